@@ -0,0 +1,87 @@
+/**
+ * Offline check of the selector registries (Google, Zoom, Teams) against
+ * saved page snapshots.
+ *
+ * Every action is resolved against each snapshot listed in its `pages`
+ * (tests/fixtures/selectors/<page>.html). Fails when an action no longer
+ * resolves, and warns when only a fallback strategy matched.
+ *
+ * Usage: npm run check:selectors [-- --fixtures <dir>]
+ */
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { googleSelectors, zoomSelectors, teamsSelectors, locate } = require('../src/selectors');
+
+function parseArgs(argv) {
+    const index = argv.indexOf('--fixtures');
+    return {
+        fixturesDir: index !== -1 && argv[index + 1]
+            ? path.resolve(argv[index + 1])
+            : path.join(__dirname, '..', 'tests', 'fixtures', 'selectors')
+    };
+}
+
+function loadPage(fixturesDir, page, cache) {
+    if (!cache.has(page)) {
+        const file = path.join(fixturesDir, `${page}.html`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Snapshot not found: ${file}`);
+        }
+        cache.set(page, new JSDOM(fs.readFileSync(file, 'utf8')).window.document);
+    }
+    return cache.get(page);
+}
+
+function checkRegistry(name, registry, fixturesDir, pages) {
+    let failures = 0;
+    let fallbacks = 0;
+
+    console.log(`Checking ${name} selector registry ${registry.version}`);
+
+    for (const [action, entry] of Object.entries(registry.actions)) {
+        if (!entry.pages || entry.pages.length === 0) {
+            console.log(`  SKIP  ${action} (no snapshot)`);
+            continue;
+        }
+
+        for (const page of entry.pages) {
+            const document = loadPage(fixturesDir, page, pages);
+            const match = locate(document, registry.strategies(action, entry.example));
+
+            if (!match) {
+                failures++;
+                console.log(`  FAIL  ${action} on ${page}: no strategy matched`);
+            } else if (match.index > 0) {
+                fallbacks++;
+                console.log(`  WARN  ${action} on ${page}: matched by fallback ${match.index + 1} of ${entry.strategies.length}`);
+            } else {
+                console.log(`  OK    ${action} on ${page}`);
+            }
+        }
+    }
+
+    console.log('');
+    return { failures, fallbacks };
+}
+
+try {
+    const { fixturesDir } = parseArgs(process.argv.slice(2));
+    const registries = { google: googleSelectors, zoom: zoomSelectors, teams: teamsSelectors };
+    const pages = new Map();
+    let failures = 0;
+    let fallbacks = 0;
+
+    console.log(`Snapshots: ${fixturesDir}\n`);
+    for (const [name, registry] of Object.entries(registries)) {
+        const result = checkRegistry(name, registry, fixturesDir, pages);
+        failures += result.failures;
+        fallbacks += result.fallbacks;
+    }
+
+    console.log(`${failures} failing, ${fallbacks} using fallbacks`);
+    process.exit(failures > 0 ? 1 : 0);
+} catch (error) {
+    console.error('Selector check failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,78 @@
+/**
+ * Turn a captured page into a selector snapshot: drops scripts, styles,
+ * inline SVG and other markup the registries never look at, and writes the
+ * rest to tests/fixtures/selectors/<name>.html.
+ *
+ * Capture the page with the browser's "Save page as" (HTML only) or take
+ * page.html from a diagnostics folder (logs/diagnostics-*), then:
+ *
+ * Usage: npm run snapshot:selectors -- <page.html> <name> [--fixtures <dir>]
+ */
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// Elements that carry no selectable UI
+const DROP = 'script, style, link, meta, noscript, template, base';
+// Attributes no strategy reads, which make up most of a captured page
+const DROP_ATTRIBUTES = ['style', 'jsaction', 'jsdata', 'jsmodel', 'jslog', 'data-ved', 'nonce'];
+
+function parseArgs(argv) {
+    const index = argv.indexOf('--fixtures');
+    const positional = argv.filter((arg, i) => !arg.startsWith('--') && i !== index + 1);
+    return {
+        source: positional[0],
+        name: positional[1],
+        fixturesDir: index !== -1 && argv[index + 1]
+            ? path.resolve(argv[index + 1])
+            : path.join(__dirname, '..', 'tests', 'fixtures', 'selectors')
+    };
+}
+
+function trim(html) {
+    const { document, Node } = new JSDOM(html).window;
+
+    document.querySelectorAll(DROP).forEach(element => element.remove());
+    // Icons: keep the element for its position and attributes, not its paths
+    document.querySelectorAll('svg').forEach(svg => {
+        svg.innerHTML = '';
+    });
+    document.querySelectorAll('*').forEach(element => {
+        DROP_ATTRIBUTES.forEach(name => element.removeAttribute(name));
+        if (element.tagName === 'IMG' && (element.getAttribute('src') || '').startsWith('data:')) {
+            element.setAttribute('src', '');
+        }
+    });
+
+    // Comments and whitespace-only text
+    const walker = document.createTreeWalker(document, 128 | 4);  // SHOW_COMMENT | SHOW_TEXT
+    const removable = [];
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (node.nodeType === Node.COMMENT_NODE || !node.textContent.trim()) {
+            removable.push(node);
+        }
+    }
+    removable.forEach(node => node.remove());
+
+    return document.documentElement.outerHTML;
+}
+
+try {
+    const { source, name, fixturesDir } = parseArgs(process.argv.slice(2));
+    if (!source || !name) {
+        throw new Error('Usage: npm run snapshot:selectors -- <page.html> <name> [--fixtures <dir>]');
+    }
+
+    const html = fs.readFileSync(source, 'utf8');
+    const trimmed = trim(html);
+    const file = path.join(fixturesDir, `${name}.html`);
+    const header = `<!-- Trimmed capture of ${name} from ${path.basename(source)}, ${new Date().toISOString().slice(0, 10)} -->`;
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    fs.writeFileSync(file, `<!DOCTYPE html>\n${header}\n${trimmed}\n`);
+
+    console.log(`Wrote ${file} (${Math.round(html.length / 1024)} KB captured, ${Math.round(trimmed.length / 1024)} KB kept)`);
+    console.log('Check it for names, emails and meeting codes before committing, then run npm run check:selectors');
+} catch (error) {
+    console.error('Snapshot failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,342 @@
+require('dotenv').config();
+
+const EventEmitter = require('events');
+const path = require('path');
+const { createBrowserService } = require('./services/BrowserService');
+const AudioService = require('./services/AudioService');
+const CaptionService = require('./services/CaptionService');
+const QueryService = require('./services/QueryService');
+const TextToSpeechService = require('./services/TextToSpeechService');
+const { JoinState, JoinError } = require('./services/JoinStateMachine');
+const { BrowserAudioSink } = require('./services/BrowserAudioSink');
+const TurnTaking = require('./services/TurnTaking');
+const BargeIn = require('./services/BargeIn');
+const { TranscriptReplaySource } = require('./services/TranscriptReplaySource');
+
+/**
+ * One bot in one meeting: browser, transcription, query pipeline and voice.
+ *
+ * With no options it behaves like the original single agent (MEET_URL, shared
+ * query/, logs/ and Chrome profile). Given a dataDir, everything it writes -
+ * Chrome profile, transcripts and analyses, diagnostics, synthesized audio, recordings -
+ * stays under that directory so several agents can run in one process.
+ *
+ * Given `replay` options it joins nothing: recorded audio files or a
+ * transcript stand in for the meeting and drive the same query pipeline.
+ * @extends EventEmitter
+ */
+class MeetAgent extends EventEmitter {
+    /**
+     * @param {Object} [options] - Agent options
+     * @param {string} [options.name='default'] - Name used in logs
+     * @param {string} [options.meetUrl] - Meeting to join (defaults to MEET_URL)
+     * @param {string} [options.dataDir] - Directory holding this agent's profile, query, logs and audio
+     * @param {string} [options.displayName] - Name used when joining as a guest
+     * @param {string} [options.transcriptSource] - 'audio' or 'captions'
+     * @param {string} [options.ttsOutput] - 'speakers' or 'browser'
+     * @param {string|string[]} [options.ttsProvider] - Text-to-speech providers in fallback order
+     *   (defaults to TTS_PROVIDER)
+     * @param {string} [options.persona] - Persona to answer and speak as (defaults to AGENT_PERSONA)
+     * @param {Object<string, string>} [options.voices] - Voice per text-to-speech provider, over the
+     *   TTS_*_VOICE settings and the persona's voices
+     * @param {string} [options.captureBackend] - Audio capture backend: dshow, pulse, alsa, pcm or auto
+     * @param {string} [options.sttProvider] - Speech-to-text provider: google, whisper or mock
+     * @param {string[]} [options.audioDevices] - Capture devices to try, in order
+     * @param {boolean} [options.record] - Archive the meeting audio with a transcript index
+     *   (defaults to RECORD_MEETING)
+     * @param {Object} [options.credentials] - Google account: email, password, totpSecret, cookiesFile
+     * @param {Object} [options.replay] - Replay a recording instead of joining a meeting
+     * @param {string[]} [options.replay.audioFiles] - Audio files transcribed as the meeting audio
+     * @param {string} [options.replay.transcriptFile] - Transcript replayed instead of audio
+     * @param {number} [options.replay.speed] - 1 for real time, higher to accelerate, 0 for as fast as possible
+     * @param {boolean} [options.replay.speak=false] - Speak replies through the local speakers
+     */
+    constructor(options = {}) {
+        super();
+        this.name = options.name || 'default';
+        this.meetUrl = options.meetUrl || process.env.MEET_URL;
+        this.replay = options.replay || null;
+        this.isShuttingDown = false;
+        this.shutdownTimeout = 10000; // 10 seconds timeout
+        this.pendingInputs = new Set();
+
+        const dirs = options.dataDir ? {
+            profileDir: path.join(options.dataDir, 'chrome-profile'),
+            queryDir: path.join(options.dataDir, 'query'),
+            logsDir: path.join(options.dataDir, 'logs'),
+            audioOutputDir: path.join(options.dataDir, 'audio_output'),
+            recordingsDir: path.join(options.dataDir, 'recordings')
+        } : {};
+
+        this.browserService = createBrowserService({
+            profileDir: dirs.profileDir,
+            queryDir: dirs.queryDir,
+            logsDir: dirs.logsDir,
+            transcriptSource: options.transcriptSource,
+            audioOutput: options.ttsOutput,
+            displayName: options.displayName,
+            credentials: options.credentials
+        });
+
+        // Replays stay silent unless asked to speak, so they run without any audio output
+        const speak = !this.replay || Boolean(this.replay.speak);
+
+        // Initialize services, speaking into the browser's virtual microphone if configured
+        this.ttsService = speak ? new TextToSpeechService({
+            audioPlayer: this.browserService.audioOutput === 'browser' && !this.replay
+                ? new BrowserAudioSink(this.browserService, { volume: 85 })
+                : undefined,
+            outputDir: dirs.audioOutputDir,
+            providers: options.ttsProvider,
+            persona: options.persona,
+            voices: options.voices
+        }) : null;
+        this.queryService = new QueryService({
+            useTTS: speak,
+            ttsService: this.ttsService,
+            skipTTS: !speak,
+            queryDir: dirs.queryDir,
+            persona: options.persona
+        });
+        
+        // Initialize AudioService with transcript handler; replays decode their files instead of capturing
+        this.audioService = new AudioService(this.replay ? {
+            backend: 'replay',
+            backendOptions: { files: this.replay.audioFiles, speed: this.replay.speed },
+            stt: options.sttProvider,
+            record: options.record,
+            recordingOptions: { dir: dirs.recordingsDir }
+        } : {
+            backend: options.captureBackend,
+            audioDevices: options.audioDevices,
+            stt: options.sttProvider,
+            record: options.record,
+            recordingOptions: { dir: dirs.recordingsDir }
+        });
+        this.transcriptSource = null;
+        this.bargeIn = null;
+
+        // Connect services for feedback prevention
+        this.queryService.setAudioService(this.audioService);
+        this.browserService.setSpeechServices(this.queryService, this.audioService);
+        if (this.ttsService) {
+            this.ttsService.setAudioService(this.audioService);
+        }
+
+        // TTS state changes reach AudioService through QueryService, which
+        // now shares this TTS instance
+    }
+
+    async start() {
+        if (this.replay) {
+            return this.startReplay();
+        }
+
+        try {
+            console.log('Initializing services...');
+            
+            // Initialize core services
+            console.log('Initializing TTS service...');
+            await this.ttsService.initialize();
+            
+            console.log('Initializing query service...');
+            await this.queryService.initialize();
+            
+            // Make sure meeting audio can be captured before joining
+            if (this.browserService.transcriptSource !== 'captions') {
+                console.log('Probing audio capture...');
+                await this.audioService.probe();
+            }
+
+            // Initialize browser and join meeting
+            console.log('Initializing browser...');
+            await this.browserService.initializeBrowser();
+            
+            const meetUrl = this.meetUrl;
+            if (!meetUrl) {
+                throw new Error('MEET_URL not found in environment variables');
+            }
+
+            // Sign in to Google when the platform needs it, then join meeting
+            if (this.browserService.requiresGoogleSignIn(meetUrl)) {
+                console.log('Signing in to Google...');
+                await this.browserService.signInToGoogle();
+            }
+            
+            console.log('Joining meeting:', meetUrl);
+            const joinOutcome = await this.browserService.joinMeeting(meetUrl);
+            if (joinOutcome.state !== JoinState.IN_CALL) {
+                throw new JoinError(joinOutcome);
+            }
+
+            // Stay muted except while replying, raising a hand first in large meetings
+            try {
+                this.turnTaking = new TurnTaking(this.browserService);
+                await this.turnTaking.attach(this.ttsService);
+            } catch (error) {
+                console.log('In-call controls not available:', error.message);
+            }
+            
+            // Start transcription from captured audio or the meeting captions; this is
+            // the agent's only transcription pipeline, so each utterance is answered once
+            this.transcriptSource = this.browserService.transcriptSource === 'captions'
+                ? new CaptionService(this.browserService)
+                : this.audioService;
+            await this.transcriptSource.startRecording((text, confidence, isFinal, details) =>
+                this.handleTranscript(text, confidence, isFinal, details));
+            console.log(`Transcription started (${this.browserService.transcriptSource})`);
+
+            // Stop talking when someone talks over the bot
+            if (this.transcriptSource === this.audioService) {
+                this.bargeIn = new BargeIn(this.audioService, this.ttsService);
+                if (!this.bargeIn.attach()) {
+                    this.bargeIn = null;
+                }
+            }
+
+            // Feed chat messages into the same query pipeline
+            try {
+                this.queryService.setChatSender(text => this.browserService.sendChatMessage(text));
+                await this.browserService.startChatWatcher(message =>
+                    this.handleInput(message.text, { channel: 'chat', author: message.author })
+                );
+            } catch (error) {
+                this.queryService.setChatSender(null);
+                console.log('Meeting chat not available:', error.message);
+            }
+
+            // Leave on our own once the meeting is over or everyone else has gone
+            this.browserService.startCallMonitor(async ({ reason, detail }) => {
+                console.log(`Meeting over for the bot (${reason}: ${detail}), leaving...`);
+                await this.cleanup();
+                this.emit('ended', reason);
+            });
+
+            console.log('MeetAgent started successfully');
+            return joinOutcome;
+        } catch (error) {
+            console.error('Error starting MeetAgent:', error);
+            await this.cleanup();
+            throw error;
+        }
+    }
+
+    /**
+     * Replay recorded audio or a transcript through the query pipeline;
+     * emits 'ended' with 'replay-finished' once everything has been answered
+     */
+    async startReplay() {
+        const { audioFiles = [], transcriptFile } = this.replay;
+        try {
+            if (!transcriptFile && audioFiles.length === 0) {
+                throw new Error('Nothing to replay: give audio files or a transcript file');
+            }
+
+            console.log('Initializing services...');
+            if (this.ttsService) {
+                await this.ttsService.initialize();
+            }
+            await this.queryService.initialize();
+
+            // A transcript needs no speech recognition; audio goes through it like live capture
+            if (transcriptFile) {
+                this.transcriptSource = new TranscriptReplaySource(transcriptFile, { speed: this.replay.speed });
+            } else {
+                await this.audioService.probe();
+                this.transcriptSource = this.audioService;
+            }
+            await this.transcriptSource.startRecording((text, confidence, isFinal, details) =>
+                this.handleTranscript(text, confidence, isFinal, details));
+            console.log(`Replay started (${transcriptFile || audioFiles.join(', ')})`);
+        } catch (error) {
+            console.error('Error starting replay:', error);
+            await this.cleanup();
+            throw error;
+        }
+
+        this.transcriptSource.whenFinished()
+            .then(() => Promise.allSettled([...this.pendingInputs]))
+            .then(async () => {
+                // Stopped early: cleanup is already under way
+                if (this.isShuttingDown) {
+                    return;
+                }
+                console.log('Replay finished');
+                await this.cleanup();
+                this.emit('ended', 'replay-finished');
+            })
+            .catch(error => {
+                console.error('Error finishing replay:', error);
+            });
+    }
+
+    async handleTranscript(text, confidence, isFinal, details = {}) {
+        if (!text || !isFinal) {
+            return;
+        }
+        const roster = this.browserService.roster;
+        const speaker = details.speaker
+            || (details.speakerId && roster.nameForSpeaker(details.speakerId))
+            || roster.getLikelySpeaker();
+        this.browserService.processTranscript(text, confidence, true, details.timestamp, speaker, details.speakerLabel);
+        if (this.transcriptSource === this.audioService) {
+            this.audioService.indexTranscript(text, { speaker, speakerLabel: details.speakerLabel, confidence });
+        }
+        await this.handleInput(text, {
+            channel: 'voice',
+            speaker,
+            speakerLabel: details.speakerLabel || null,
+            languageCode: details.languageCode || null
+        });
+    }
+
+    async handleInput(text, options = {}) {
+        const pending = this.queryService.processQuery(text, null, options);
+        this.pendingInputs.add(pending);
+        try {
+            const response = await pending;
+            if (response) {
+                console.log('Bot response:', response);
+            }
+        } catch (error) {
+            console.error('Error handling transcript:', error);
+        } finally {
+            this.pendingInputs.delete(pending);
+        }
+    }
+
+    async cleanup(preserveSession = true) {
+        if (this.isShuttingDown) {
+            console.log('Cleanup already in progress...');
+            return;
+        }
+
+        this.isShuttingDown = true;
+        console.log('Starting graceful shutdown...');
+
+        try {
+            // Stop audio recording or caption transcription
+            console.log('Stopping audio recording...');
+            if (this.bargeIn) {
+                this.bargeIn.detach();
+            }
+            if (this.transcriptSource) {
+                await this.transcriptSource.stopRecording();
+            }
+
+            // Clean up browser
+            console.log('Cleaning up browser...');
+            if (this.browserService) {
+                await this.browserService.cleanup(preserveSession);
+            }
+            console.log('Browser cleaned up successfully');
+
+            console.log('Cleanup completed successfully');
+
+        } catch (error) {
+            console.error('Error during cleanup:', error);
+        }
+    }
+}
+
+module.exports = MeetAgent;
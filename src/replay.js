@@ -0,0 +1,54 @@
+require('dotenv').config();
+
+const path = require('path');
+const MeetAgent = require('./MeetAgent');
+
+const usage = 'Usage: node src/replay.js [--speed <n>] [--speak] [--out <dir>] (--transcript <file> | <audio files...>)';
+
+// Arguments: audio files to transcribe, or --transcript with a transcript file
+const replay = { audioFiles: [] };
+let dataDir;
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--speed') {
+        replay.speed = parseFloat(args[++i]);
+    } else if (arg === '--speak') {
+        replay.speak = true;
+    } else if (arg === '--transcript') {
+        replay.transcriptFile = args[++i] && path.resolve(args[i]);
+    } else if (arg === '--out') {
+        dataDir = args[++i] && path.resolve(args[i]);
+    } else if (arg.startsWith('--')) {
+        console.error(`Unknown option ${arg}\n${usage}`);
+        process.exit(1);
+    } else {
+        replay.audioFiles.push(path.resolve(arg));
+    }
+}
+
+if (replay.speed !== undefined && !(replay.speed >= 0)) {
+    console.error(`--speed must be a number >= 0\n${usage}`);
+    process.exit(1);
+}
+const hasAudio = replay.audioFiles.length > 0;
+if (Boolean(replay.transcriptFile) === hasAudio) {
+    console.error(`Give either audio files or --transcript\n${usage}`);
+    process.exit(1);
+}
+
+// Transcripts and analyses go to query/ as in a meeting, or under --out
+const agent = new MeetAgent({ name: 'replay', dataDir, replay });
+
+// Handle process termination
+process.on('SIGINT', async () => {
+    console.log('Received SIGINT. Stopping replay...');
+    await agent.cleanup();
+    process.exit(0);
+});
+
+agent.on('ended', () => process.exit(0));
+agent.start().catch(error => {
+    console.error('Failed to start replay:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,46 @@
+require('dotenv').config();
+
+const path = require('path');
+const MeetAgent = require('./MeetAgent');
+const MeetingScheduler = require('./services/MeetingScheduler');
+
+// Calendars: arguments, or a comma-separated SCHEDULE_ICS_FILES
+const files = (process.argv.length > 2 ? process.argv.slice(2) : (process.env.SCHEDULE_ICS_FILES || '').split(','))
+    .map(file => file.trim())
+    .filter(Boolean)
+    .map(file => path.resolve(file));
+
+if (files.length === 0) {
+    console.error('No calendars given: pass .ics files as arguments or set SCHEDULE_ICS_FILES');
+    process.exit(1);
+}
+
+const maxConcurrent = parseInt(process.env.SCHEDULE_MAX_CONCURRENT, 10) || 1;
+const instancesDir = process.env.AGENT_INSTANCES_DIR || path.join(__dirname, '..', 'instances');
+
+// With overlapping meetings allowed, each slot keeps its own profile and output directories
+const scheduler = new MeetingScheduler(files, (meeting, slot) => new MeetAgent({
+    name: `schedule-${slot}`,
+    meetUrl: meeting.url,
+    ...(maxConcurrent > 1 ? { dataDir: path.join(instancesDir, `schedule-${slot}`) } : {})
+}), { maxConcurrent });
+
+// Handle process termination
+process.on('SIGINT', async () => {
+    console.log('Received SIGINT. Stopping scheduler...');
+
+    // Force exit after timeout
+    setTimeout(() => {
+        console.log('Shutdown timeout reached');
+        console.log('Forcing exit...');
+        process.exit(1);
+    }, 15000);
+
+    await scheduler.stop();
+    process.exit(0);
+});
+
+scheduler.start().catch(error => {
+    console.error('Failed to start meeting scheduler:', error);
+    process.exit(1);
+});
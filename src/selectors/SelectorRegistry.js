@@ -0,0 +1,147 @@
+/**
+ * Resolve the first element matched by an ordered list of strategies.
+ *
+ * This function is serialized and run inside the browser page through
+ * executeScript, and run directly against jsdom documents by the offline
+ * selector check, so it must stay self-contained.
+ *
+ * Strategies (all accept an optional `tag` to narrow the candidates):
+ * - { css }    - plain CSS selector
+ * - { jsname } - Google's jsname attribute
+ * - { aria }   - case-insensitive substring of aria-label
+ * - { text }   - case-insensitive visible text, exact match
+ *
+ * @param {Document|Element} root - Document or element to search in
+ * @param {Object[]} strategies - Ordered strategies, first match wins
+ * @returns {{element: Element, index: number}|null} Matched element and the index of the strategy that found it
+ */
+function locate(root, strategies) {
+    for (let index = 0; index < strategies.length; index++) {
+        const strategy = strategies[index];
+        const tag = strategy.tag || '';
+        let candidates = [];
+
+        if (strategy.css) {
+            candidates = Array.from(root.querySelectorAll(strategy.css));
+        } else if (strategy.jsname) {
+            candidates = Array.from(root.querySelectorAll(`${tag}[jsname="${strategy.jsname}"]`));
+        } else if (strategy.aria) {
+            const needle = strategy.aria.toLowerCase();
+            candidates = Array.from(root.querySelectorAll(`${tag}[aria-label]`))
+                .filter(element => element.getAttribute('aria-label').toLowerCase().includes(needle));
+        } else if (strategy.text) {
+            const needle = strategy.text.toLowerCase();
+            candidates = Array.from(root.querySelectorAll(tag || 'button, [role="button"], a'))
+                .filter(element => element.textContent.trim().toLowerCase() === needle);
+        }
+
+        candidates = candidates.filter(element => !element.closest('[hidden], [aria-hidden="true"]'));
+        if (candidates.length > 0) {
+            return { element: candidates[0], index };
+        }
+    }
+    return null;
+}
+
+/**
+ * Versioned set of named UI actions, each with ordered fallback strategies
+ * for finding its element. Keeps page selectors out of the automation code
+ * so a UI change only needs a registry update.
+ */
+class SelectorRegistry {
+    /**
+     * @param {Object} definition - Registry definition
+     * @param {string} definition.version - Version of the selector set
+     * @param {Object<string, {description: string, pages: string[], strategies: Object[], example: Object}>} definition.actions - Actions by name.
+     *   Strategy values may contain {placeholders} filled from the params passed at lookup;
+     *   `example` holds the params used by the offline check.
+     */
+    constructor(definition) {
+        this.version = definition.version;
+        this.actions = definition.actions;
+    }
+
+    /**
+     * Get the strategies for an action
+     * @param {string} action - Action name (e.g. 'meet.joinButton')
+     * @param {Object} [params] - Values for {placeholders} in the strategies
+     * @returns {Object[]}
+     * @throws {Error} If the action is not registered
+     */
+    strategies(action, params = null) {
+        const entry = this.actions[action];
+        if (!entry) {
+            throw new Error(`Unknown selector action: ${action}`);
+        }
+        if (!params) {
+            return entry.strategies;
+        }
+
+        const fill = value => value.replace(/\{(\w+)\}/g, (match, key) => (params[key] !== undefined ? String(params[key]) : match));
+        return entry.strategies.map(strategy => Object.fromEntries(
+            Object.entries(strategy).map(([key, value]) => [key, typeof value === 'string' ? fill(value) : value])
+        ));
+    }
+
+    /**
+     * Combined CSS selector of an action's CSS strategies, for use inside page scripts
+     * @param {string} action - Action name
+     * @returns {string}
+     */
+    css(action) {
+        return this.cssList(action).join(', ');
+    }
+
+    /**
+     * An action's CSS strategies in order, for PlatformAdapter findAny() and waitForAny()
+     * @param {string} action - Action name
+     * @returns {string[]}
+     */
+    cssList(action) {
+        return this.strategies(action)
+            .filter(strategy => strategy.css)
+            .map(strategy => strategy.css);
+    }
+
+    /**
+     * Find an action's element in the browser without waiting
+     * @param {import('selenium-webdriver').WebDriver} driver - Active WebDriver
+     * @param {string} action - Action name
+     * @param {Object} [params] - Values for {placeholders} in the strategies
+     * @returns {Promise<import('selenium-webdriver').WebElement|null>}
+     */
+    async find(driver, action, params = null) {
+        const strategies = this.strategies(action, params);
+        const match = await driver.executeScript(
+            `return (${locate.toString()})(document, arguments[0]);`,
+            strategies
+        );
+
+        if (!match) {
+            return null;
+        }
+        if (match.index > 0) {
+            console.log(`Selector fallback used for ${action}: strategy ${match.index + 1} of ${strategies.length} (registry ${this.version})`, 'WARN');
+        }
+        return match.element;
+    }
+
+    /**
+     * Wait for an action's element to appear
+     * @param {import('selenium-webdriver').WebDriver} driver - Active WebDriver
+     * @param {string} action - Action name
+     * @param {number} [timeout=10000] - Timeout in milliseconds
+     * @param {Object} [params] - Values for {placeholders} in the strategies
+     * @returns {Promise<import('selenium-webdriver').WebElement>}
+     */
+    async waitFor(driver, action, timeout = 10000, params = null) {
+        let element = null;
+        await driver.wait(async () => {
+            element = await this.find(driver, action, params);
+            return element !== null;
+        }, timeout, `Timeout waiting for ${action} (selector registry ${this.version})`);
+        return element;
+    }
+}
+
+module.exports = { SelectorRegistry, locate };
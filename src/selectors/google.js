@@ -0,0 +1,261 @@
+/**
+ * Selectors for Google sign-in and Google Meet.
+ *
+ * Bump `version` whenever strategies change. `pages` lists the saved
+ * snapshots in tests/fixtures/selectors/ each action must resolve against;
+ * run `npm run check:selectors` after editing.
+ */
+module.exports = {
+    version: '2024.12.3',
+    actions: {
+        // Google sign-in
+        'signIn.emailInput': {
+            description: 'Email field on the first sign-in step',
+            pages: ['sign-in'],
+            strategies: [
+                { css: 'input[type="email"]' },
+                { css: 'input#identifierId' },
+                { aria: 'Email or phone', tag: 'input' }
+            ]
+        },
+        'signIn.emailNext': {
+            description: 'Next button after the email',
+            pages: ['sign-in'],
+            strategies: [
+                { css: '#identifierNext button, #identifierNext' },
+                { text: 'Next', tag: 'button' }
+            ]
+        },
+        'signIn.passwordInput': {
+            description: 'Password field on the second sign-in step',
+            pages: ['sign-in-password'],
+            strategies: [
+                { css: 'input[type="password"]' },
+                { aria: 'Enter your password', tag: 'input' }
+            ]
+        },
+        'signIn.passwordNext': {
+            description: 'Next button after the password',
+            pages: ['sign-in-password'],
+            strategies: [
+                { css: '#passwordNext button, #passwordNext' },
+                { text: 'Next', tag: 'button' }
+            ]
+        },
+        'signIn.captcha': {
+            description: 'Image or reCAPTCHA challenge on the email/password steps',
+            pages: ['sign-in-captcha'],
+            strategies: [
+                { css: 'img#captchaimg, iframe[title="reCAPTCHA"], iframe[src*="recaptcha"]' }
+            ]
+        },
+        'signIn.totpInput': {
+            description: 'Authenticator code field on the 2-Step Verification page',
+            pages: ['sign-in-totp'],
+            strategies: [
+                { css: 'input[name="totpPin"], input#totpPin' },
+                { css: 'input[type="tel"][autocomplete="one-time-code"]' },
+                { aria: 'Enter code', tag: 'input' }
+            ]
+        },
+        'signIn.totpNext': {
+            description: 'Next button after the authenticator code',
+            pages: ['sign-in-totp'],
+            strategies: [
+                { css: '#totpNext button, #totpNext' },
+                { text: 'Next', tag: 'button' }
+            ]
+        },
+        'signIn.challengeOption': {
+            description: 'Verification method on the "Choose how you want to sign in" page',
+            pages: ['sign-in-challenge-selection'],
+            example: { type: '6' },
+            strategies: [
+                { css: '[data-challengetype="{type}"]' }
+            ]
+        },
+        'signIn.accountLink': {
+            description: 'Account avatar link shown when already signed in',
+            pages: ['pre-join'],
+            strategies: [
+                { css: 'a[aria-label*="Google Account"]' },
+                { aria: 'Google Account', tag: 'a' }
+            ]
+        },
+
+        // Meet pre-join screen
+        'meet.joinButton': {
+            description: '"Join now" / "Ask to join" button',
+            pages: ['pre-join'],
+            strategies: [
+                { jsname: 'Qx7uuf', tag: 'button' },
+                { text: 'Join now', tag: 'button' },
+                { text: 'Ask to join', tag: 'button' }
+            ]
+        },
+        'meet.preJoinCamera': {
+            description: 'Camera toggle on the pre-join preview',
+            pages: ['pre-join'],
+            strategies: [
+                { css: 'div[role="button"][data-is-muted][aria-label*="camera" i]' },
+                { aria: 'camera', tag: '[role="button"]' }
+            ]
+        },
+
+        // Meet call controls
+        'meet.micButton': {
+            description: 'Microphone toggle, pre-join or in call',
+            pages: ['pre-join', 'in-call', 'in-call-previous-ui'],
+            strategies: [
+                { css: 'button[data-is-muted][aria-label*="microphone" i], div[role="button"][data-is-muted][aria-label*="microphone" i]' },
+                { aria: 'microphone', tag: 'button' }
+            ]
+        },
+        'meet.cameraButton': {
+            description: 'Camera toggle in the call controls',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [
+                { css: 'button[data-is-muted][aria-label*="camera" i]' },
+                { aria: 'camera', tag: 'button' }
+            ]
+        },
+        'meet.raiseHandButton': {
+            description: 'Raise / lower hand toggle',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [
+                { css: 'button[aria-label*="Raise hand" i], button[aria-label*="Lower hand" i]' },
+                { aria: 'hand', tag: 'button[aria-pressed]' }
+            ]
+        },
+        'meet.reactionsButton': {
+            description: 'Button opening the reactions bar',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [
+                { css: 'button[aria-label*="Send a reaction" i]' },
+                { aria: 'reaction', tag: 'button' }
+            ]
+        },
+        'meet.reactionOption': {
+            description: 'One emoji in the reactions bar',
+            pages: ['in-call', 'in-call-previous-ui'],
+            example: { emoji: '👍' },
+            strategies: [
+                { css: 'button[data-emoji="{emoji}"]' },
+                { aria: '{emoji}', tag: 'button' },
+                { text: '{emoji}', tag: 'button' }
+            ]
+        },
+        'meet.leaveButton': {
+            description: 'Leave call button',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [
+                { css: 'button[aria-label*="Leave call" i]' },
+                { jsname: 'CQylAd', tag: 'button' }
+            ]
+        },
+        'meet.captionsOnButton': {
+            description: 'Turn on captions button',
+            pages: [],
+            strategies: [
+                { css: 'button[aria-label*="Turn on captions" i]' },
+                { aria: 'captions', tag: 'button[aria-pressed="false"]' }
+            ]
+        },
+        'meet.captionsOffButton': {
+            description: 'Turn off captions button, shown while captions are on',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [
+                { css: 'button[aria-label*="Turn off captions" i]' },
+                { aria: 'captions', tag: 'button[aria-pressed="true"]' }
+            ]
+        },
+
+        // Meet chat
+        'meet.chatButton': {
+            description: 'Button opening the chat panel',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [
+                { css: 'button[aria-label*="Chat with everyone" i]' },
+                { aria: 'chat', tag: 'button' }
+            ]
+        },
+        'meet.chatInput': {
+            description: 'Chat message box',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [
+                { css: 'textarea[aria-label*="Send a message" i]' },
+                { css: 'textarea[jsname="YPqjbf"]' }
+            ]
+        },
+        'meet.chatSendButton': {
+            description: 'Chat send button',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [
+                { css: 'button[aria-label*="Send a message" i]' },
+                { jsname: 'SoqoBf', tag: 'button' }
+            ]
+        },
+
+        // Page-script selectors (CSS only, used with querySelectorAll in the page)
+        'meet.chatMessage': {
+            description: 'One chat message',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [{ css: '[data-message-id]' }]
+        },
+        'meet.chatAuthor': {
+            description: 'Sender name in a chat message group',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [{ css: '.poVWob' }, { css: '[data-sender-name]' }]
+        },
+        'meet.chatTime': {
+            description: 'Timestamp in a chat message group',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [{ css: '[data-formatted-timestamp]' }, { css: '.MuzmKe' }]
+        },
+        'meet.chatText': {
+            description: 'Text of a chat message',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [{ css: '[jsname="dTKtvb"]' }]
+        },
+        'meet.participantTile': {
+            description: 'Participant video tile',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [{ css: '[data-participant-id]' }]
+        },
+        'meet.participantName': {
+            description: 'Name inside a participant tile',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [{ css: '.zWGUib' }, { css: '.XEazBc' }, { css: '[data-participant-name]' }]
+        },
+        'meet.selfName': {
+            description: 'Marker on the bot\'s own tile',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [{ css: '[data-self-name]' }]
+        },
+        'meet.speakingIndicator': {
+            description: 'Audio indicator shown while a participant talks',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [{ css: '.IisKdb.gjg47c' }, { css: '[data-is-speaking="true"]' }]
+        },
+        'meet.captionRegion': {
+            description: 'Live captions area',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [{ css: 'div[role="region"][aria-label*="Captions" i]' }, { css: 'div[jsname="dsyhDe"]' }]
+        },
+        'meet.captionLine': {
+            description: 'One speaker line in the captions area',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [{ css: '.nMcdL' }, { css: 'div[jsname="tgaKEf"]' }]
+        },
+        'meet.captionSpeaker': {
+            description: 'Speaker name of a caption line',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [{ css: '.NWpY1d' }, { css: '.zs7s8d' }, { css: 'img[alt]' }]
+        },
+        'meet.captionText': {
+            description: 'Text of a caption line',
+            pages: ['in-call', 'in-call-previous-ui'],
+            strategies: [{ css: '.ygicle' }, { css: '.iTTPOb' }, { css: 'div[jsname="YSxPC"]' }]
+        }
+    }
+};
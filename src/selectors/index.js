@@ -0,0 +1,13 @@
+const { SelectorRegistry, locate } = require('./SelectorRegistry');
+
+const googleSelectors = new SelectorRegistry(require('./google'));
+const zoomSelectors = new SelectorRegistry(require('./zoom'));
+const teamsSelectors = new SelectorRegistry(require('./teams'));
+
+module.exports = {
+    SelectorRegistry,
+    locate,
+    googleSelectors,
+    zoomSelectors,
+    teamsSelectors
+};
@@ -0,0 +1,88 @@
+/**
+ * Selectors for the Microsoft Teams web client.
+ *
+ * The adapter looks these up with findAny()/waitForAny(), so every strategy
+ * is CSS. Bump `version` whenever strategies change; `pages` lists the saved
+ * snapshots in tests/fixtures/selectors/ each action must resolve against.
+ */
+module.exports = {
+    version: '2024.12.1',
+    actions: {
+        // Launcher and pre-join screen
+        'teams.continueInBrowser': {
+            description: '"Continue on this browser" on the launcher page',
+            pages: ['teams-launcher'],
+            strategies: [
+                { css: 'button[data-tid="joinOnWeb"]' },
+                { css: 'button[aria-label*="Continue on this browser" i]' }
+            ]
+        },
+        'teams.nameInput': {
+            description: 'Display name field for guests',
+            pages: ['teams-pre-join'],
+            strategies: [
+                { css: 'input[data-tid="prejoin-display-name-input"]' },
+                { css: 'input[placeholder*="name" i]' }
+            ]
+        },
+        'teams.preJoinCamera': {
+            description: 'Camera switch on the pre-join screen',
+            pages: ['teams-pre-join'],
+            strategies: [
+                { css: '[data-tid="toggle-video"]' },
+                { css: 'input[title*="camera" i][role="switch"]' }
+            ]
+        },
+        'teams.preJoinMic': {
+            description: 'Microphone switch on the pre-join screen',
+            pages: ['teams-pre-join'],
+            strategies: [
+                { css: '[data-tid="toggle-mute"]' },
+                { css: 'input[title*="microphone" i][role="switch"]' }
+            ]
+        },
+        'teams.joinButton': {
+            description: '"Join now" on the pre-join screen',
+            pages: ['teams-pre-join'],
+            strategies: [
+                { css: 'button[data-tid="prejoin-join-button"]' },
+                { css: 'button#prejoin-join-button' }
+            ]
+        },
+
+        // Call controls
+        'teams.micButton': {
+            description: 'Microphone toggle in the call controls',
+            pages: ['teams-in-call'],
+            strategies: [
+                { css: 'button#microphone-button' },
+                { css: 'button[data-tid="microphone-button"]' }
+            ]
+        },
+        'teams.cameraButton': {
+            description: 'Camera toggle in the call controls',
+            pages: ['teams-in-call'],
+            strategies: [
+                { css: 'button#video-button' },
+                { css: 'button[data-tid="video-button"]' }
+            ]
+        },
+        'teams.raiseHandButton': {
+            description: 'Raise / lower hand toggle',
+            pages: ['teams-in-call'],
+            strategies: [
+                { css: 'button#raisehands-button' },
+                { css: 'button[data-tid="raise-hand-button"]' }
+            ]
+        },
+        'teams.leaveButton': {
+            description: 'Leave button in the call controls',
+            pages: ['teams-in-call'],
+            strategies: [
+                { css: 'button#hangup-button' },
+                { css: 'button[data-tid="hangup-main-btn"]' },
+                { css: 'button[data-tid="call-hangup"]' }
+            ]
+        }
+    }
+};
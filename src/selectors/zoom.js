@@ -0,0 +1,104 @@
+/**
+ * Selectors for the Zoom web client (app.zoom.us/wc).
+ *
+ * The adapter looks these up with findAny()/waitForAny(), so every strategy
+ * is CSS. Bump `version` whenever strategies change; `pages` lists the saved
+ * snapshots in tests/fixtures/selectors/ each action must resolve against.
+ */
+module.exports = {
+    version: '2024.12.1',
+    actions: {
+        'zoom.clientFrame': {
+            description: 'Iframe newer builds render the web client in',
+            pages: [],
+            strategies: [
+                { css: 'iframe#webclient' }
+            ]
+        },
+
+        // Preview screen
+        'zoom.nameInput': {
+            description: 'Display name field on the preview screen',
+            pages: ['zoom-pre-join'],
+            strategies: [
+                { css: '#input-for-name' },
+                { css: 'input[placeholder*="name" i]' }
+            ]
+        },
+        'zoom.previewMuteButton': {
+            description: 'Microphone toggle on the preview screen',
+            pages: ['zoom-pre-join'],
+            strategies: [
+                { css: '#preview-audio-control-button' },
+                { css: 'button[aria-label*="mute" i].preview-video__control-button' }
+            ]
+        },
+        'zoom.previewVideoButton': {
+            description: 'Camera toggle on the preview screen',
+            pages: ['zoom-pre-join'],
+            strategies: [
+                { css: '#preview-video-control-button' },
+                { css: 'button[aria-label*="video" i].preview-video__control-button' }
+            ]
+        },
+        'zoom.joinButton': {
+            description: 'Join button on the preview screen',
+            pages: ['zoom-pre-join'],
+            strategies: [
+                { css: 'button.preview-join-button' },
+                { css: 'button.zm-btn--primary[type="button"]' }
+            ]
+        },
+
+        // Meeting footer
+        'zoom.audioButton': {
+            description: 'Mute / unmute button in the footer',
+            pages: ['zoom-in-call'],
+            strategies: [
+                { css: 'button[aria-label*="mute my microphone" i]' },
+                { css: 'button.join-audio-container__btn' }
+            ]
+        },
+        'zoom.videoButton': {
+            description: 'Start / stop video button in the footer',
+            pages: ['zoom-in-call'],
+            strategies: [
+                { css: 'button[aria-label*="start my video" i]' },
+                { css: 'button[aria-label*="stop my video" i]' },
+                { css: 'button.send-video-container__btn' }
+            ]
+        },
+        'zoom.reactionsButton': {
+            description: 'Button opening the reactions menu',
+            pages: ['zoom-in-call'],
+            strategies: [
+                { css: 'button[aria-label*="Reactions" i]' },
+                { css: 'button.footer-button__reactions' }
+            ]
+        },
+        'zoom.raiseHandButton': {
+            description: 'Raise / lower hand in the reactions menu',
+            pages: ['zoom-in-call'],
+            strategies: [
+                { css: 'button[aria-label="Raise Hand"]' },
+                { css: 'button[aria-label="Lower Hand"]' }
+            ]
+        },
+        'zoom.leaveButton': {
+            description: 'Leave button in the footer',
+            pages: ['zoom-in-call'],
+            strategies: [
+                { css: 'button.footer__leave-btn' },
+                { css: 'button[aria-label="Leave"]' }
+            ]
+        },
+        'zoom.confirmLeaveButton': {
+            description: '"Leave Meeting" in the popover the leave button opens',
+            pages: ['zoom-in-call'],
+            strategies: [
+                { css: 'button.leave-meeting-options__btn' },
+                { css: 'button[aria-label*="Leave Meeting" i]' }
+            ]
+        }
+    }
+};
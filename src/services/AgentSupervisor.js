@@ -0,0 +1,226 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const MeetAgent = require('../MeetAgent');
+const { createInstanceLog, currentInstanceName } = require('../utils/instanceLogs');
+
+const INSTANCE_NAME = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Runs several independent MeetAgent instances in one process, e.g. to cover
+ * overlapping meetings for different teammates.
+ *
+ * Each instance gets its own directory under the supervisor's base directory
+ * (chrome-profile/, query/ with analysis/, logs/ with agent.log and
+ * diagnostics, audio_output/) and its own capture devices and voice output.
+ * One instance failing to join or ending never affects the others.
+ *
+ * Emits:
+ * - 'started' ({ name }) once an instance is in its call
+ * - 'failed' ({ name, error }) when an instance could not start or crashed
+ * - 'ended' ({ name, reason }) when an instance left on its own
+ * - 'idle' () once no instance is running any more
+ * @extends EventEmitter
+ */
+class AgentSupervisor extends EventEmitter {
+    /**
+     * @param {Object[]} instances - Instance configs: MeetAgent options plus a required name and meetUrl
+     * @param {Object} [options] - Supervisor options
+     * @param {string} [options.baseDir] - Directory holding one folder per instance
+     */
+    constructor(instances, options = {}) {
+        super();
+        this.baseDir = options.baseDir
+            || process.env.AGENT_INSTANCES_DIR
+            || path.join(__dirname, '..', '..', 'instances');
+        this.instances = AgentSupervisor.validate(instances);
+        this.agents = new Map();
+    }
+
+    /**
+     * Read instance configs from a JSON file of the form { "instances": [...] }
+     * @param {string} configPath - Path to the config file
+     * @returns {Object[]} Instance configs
+     */
+    static loadConfig(configPath) {
+        if (!fs.existsSync(configPath)) {
+            throw new Error(`Agent config not found: ${configPath}`);
+        }
+
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        const instances = Array.isArray(config) ? config : config.instances;
+        if (!Array.isArray(instances) || instances.length === 0) {
+            throw new Error(`No instances defined in ${configPath}`);
+        }
+        return instances;
+    }
+
+    /**
+     * Check instance configs and warn about shared audio routing
+     * @param {Object[]} instances - Instance configs
+     * @returns {Object[]} The same configs
+     */
+    static validate(instances) {
+        const names = new Set();
+        for (const instance of instances) {
+            if (!instance.name || !INSTANCE_NAME.test(instance.name)) {
+                throw new Error(`Invalid instance name "${instance.name}" (use letters, digits, - and _)`);
+            }
+            if (names.has(instance.name)) {
+                throw new Error(`Duplicate instance name "${instance.name}"`);
+            }
+            if (!instance.meetUrl) {
+                throw new Error(`Instance "${instance.name}" has no meetUrl`);
+            }
+            names.add(instance.name);
+        }
+
+        // Local speakers and shared capture devices would mix the meetings together
+        const speakerInstances = instances.filter(instance =>
+            (instance.ttsOutput || process.env.TTS_OUTPUT) !== 'browser');
+        if (instances.length > 1 && speakerInstances.length > 1) {
+            console.warn(`Instances ${speakerInstances.map(i => i.name).join(', ')} all speak through the local speakers; set "ttsOutput": "browser" to keep their voices apart`);
+        }
+
+        const audioInstances = instances.filter(instance =>
+            (instance.transcriptSource || process.env.TRANSCRIPT_SOURCE) !== 'captions');
+        const devices = new Map();
+        for (const instance of audioInstances) {
+            const key = JSON.stringify(instance.audioDevices || null);
+            if (devices.has(key)) {
+                console.warn(`Instances ${devices.get(key)} and ${instance.name} capture from the same audio devices; give each its own "audioDevices" or use "transcriptSource": "captions"`);
+            } else {
+                devices.set(key, instance.name);
+            }
+        }
+
+        return instances;
+    }
+
+    /**
+     * Start every configured instance
+     * @returns {Promise<Array<{name: string, ok: boolean, error?: Error}>>} Per-instance start results
+     */
+    async startAll() {
+        console.log(`Starting ${this.instances.length} agent instance(s)...`);
+        const results = await Promise.allSettled(this.instances.map(instance => this.startInstance(instance)));
+        return results.map((result, index) => ({
+            name: this.instances[index].name,
+            ok: result.status === 'fulfilled',
+            ...(result.status === 'rejected' ? { error: result.reason } : {})
+        }));
+    }
+
+    /**
+     * Start one instance in its own directory, with its output going to its own log
+     * @param {Object} instance - Instance config
+     */
+    async startInstance(instance) {
+        if (this.agents.has(instance.name)) {
+            throw new Error(`Instance "${instance.name}" is already running`);
+        }
+
+        const dataDir = instance.dataDir || path.join(this.baseDir, instance.name);
+        const log = createInstanceLog(instance.name, path.join(dataDir, 'logs', 'agent.log'));
+
+        return log.run(async () => {
+            const agent = new MeetAgent({ ...instance, dataDir });
+            const entry = { agent, log, status: 'starting', meetUrl: instance.meetUrl };
+            this.agents.set(instance.name, entry);
+
+            agent.on('ended', reason => {
+                entry.status = 'ended';
+                this.emit('ended', { name: instance.name, reason });
+                this.finish(instance.name);
+            });
+
+            try {
+                await agent.start();
+                if (entry.status === 'starting') {
+                    entry.status = 'running';
+                    this.emit('started', { name: instance.name });
+                }
+            } catch (error) {
+                // Already reported if an uncaught error took the instance down mid-start
+                if (entry.status !== 'failed') {
+                    entry.status = 'failed';
+                    this.emit('failed', { name: instance.name, error });
+                    this.finish(instance.name);
+                }
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Close a finished instance's log and report when nothing is left running
+     * @private
+     * @param {string} name - Instance name
+     */
+    finish(name) {
+        const entry = this.agents.get(name);
+        if (entry) {
+            entry.log.close();
+        }
+
+        const active = [...this.agents.values()].some(agent => ['starting', 'running'].includes(agent.status));
+        if (!active) {
+            this.emit('idle');
+        }
+    }
+
+    /**
+     * Contain an uncaught error to the instance it was thrown from: that
+     * instance is reported as failed and shut down, the others keep running
+     * @param {Error} error - Uncaught exception
+     * @returns {boolean} False if the error did not come from any instance
+     */
+    handleUncaughtError(error) {
+        const name = currentInstanceName();
+        const entry = name && this.agents.get(name);
+        if (!entry) {
+            return false;
+        }
+
+        entry.log.run(() => {
+            console.error('Uncaught exception:', error);
+            if (!['starting', 'running'].includes(entry.status)) {
+                return;
+            }
+            entry.status = 'failed';
+            this.emit('failed', { name, error });
+            entry.agent.cleanup().finally(() => this.finish(name));
+        });
+        return true;
+    }
+
+    /**
+     * Leave every meeting and shut all instances down
+     * @param {boolean} [preserveSession=true] - Keep the Chrome profiles for the next run
+     */
+    async stopAll(preserveSession = true) {
+        const running = [...this.agents.entries()].filter(([, entry]) => ['starting', 'running'].includes(entry.status));
+        await Promise.all(running.map(([name, entry]) => entry.log.run(async () => {
+            await entry.agent.cleanup(preserveSession);
+            entry.status = 'stopped';
+            this.finish(name);
+        })));
+    }
+
+    /**
+     * @returns {Array<{name: string, status: string, meetUrl: string, recognition: Object|null,
+     *   capture: Object|null}>} Current state of every instance, with its speech recognition and
+     *   audio capture health (null when not capturing audio)
+     */
+    getStatus() {
+        return [...this.agents.entries()].map(([name, entry]) => ({
+            name,
+            status: entry.status,
+            meetUrl: entry.meetUrl,
+            recognition: entry.agent.audioService.getRecognitionHealth(),
+            capture: entry.agent.audioService.getCaptureHealth()
+        }));
+    }
+}
+
+module.exports = AgentSupervisor;
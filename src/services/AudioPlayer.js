@@ -76,7 +76,7 @@ class AudioPlayer extends EventEmitter {
      * @param {string} audioPath - Full path to audio file
      * @param {Object} [options] - Playback options
      * @param {number} [options.volume] - Override default volume for this playback
-     * @returns {Promise} Resolves when playback completes, rejects on error
+     * @returns {Promise} Resolves when playback completes or is stopped, rejects on error
      */
     async playAudio(audioPath, options = {}) {
         try {
@@ -90,9 +90,17 @@ class AudioPlayer extends EventEmitter {
             const command = `"${this.ffplayPath}" -nodisp -autoexit -volume ${volume} "${validatedPath}"`;
 
             return new Promise((resolve, reject) => {
-                this.currentProcess = exec(command, (error, stdout, stderr) => {
-                    this.currentProcess = null;
-                    
+                const playback = this.currentProcess = exec(command, (error, stdout, stderr) => {
+                    if (this.currentProcess === playback) {
+                        this.currentProcess = null;
+                    }
+
+                    // Cut off by stopAudio(), which is not a playback failure
+                    if (playback.stopped) {
+                        resolve();
+                        return;
+                    }
+
                     if (error && !stderr.includes('size=') && !stderr.includes('time=')) {
                         this.emit('error', error);
                         reject(error);
@@ -119,6 +127,7 @@ class AudioPlayer extends EventEmitter {
      */
     async stopAudio() {
         if (this.currentProcess) {
+            this.currentProcess.stopped = true;
             this.currentProcess.kill();
             this.currentProcess = null;
         }
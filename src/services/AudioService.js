@@ -1,23 +1,99 @@
-const speech = require('@google-cloud/speech');
-const path = require('path');
-const { spawn } = require('child_process');
-const ffmpeg = require('@ffmpeg-installer/ffmpeg');
-
-class AudioService {
-    constructor() {
+const EventEmitter = require('events');
+const { PassThrough } = require('stream');
+const { createCaptureBackend } = require('./capture');
+const { createSttProvider } = require('./stt');
+const VoiceActivityDetector = require('./VoiceActivityDetector');
+const EchoSuppressor = require('./EchoSuppressor');
+const MeetingRecorder = require('./MeetingRecorder');
+const CaptureMonitor = require('./CaptureMonitor');
+
+/**
+ * Captures meeting audio and transcribes it with the configured
+ * speech-to-text provider (Google Cloud streaming by default).
+ *
+ * With voice activity detection on (the default), audio only reaches the
+ * recognizer while someone is speaking; 'speech-start' and 'speech-end' are
+ * re-emitted from the VoiceActivityDetector for turn-taking.
+ *
+ * With echo suppression on (the default), everything the bot plays is
+ * registered through addPlaybackReference() and its echo is removed from the
+ * capture before detection and recognition (see EchoSuppressor), so people
+ * can be heard while the bot talks. Without it, transcripts are dropped while
+ * the bot speaks and when they repeat one of its recent answers.
+ *
+ * With recording on, the capture and the bot's speech are also archived per
+ * recording session, indexed by indexTranscript() and indexAnswer() (see
+ * MeetingRecorder).
+ *
+ * The capture is watched while recording (see CaptureMonitor). When a live
+ * device stalls, its FFmpeg exits or (if configured) it stays silent, the
+ * next device that produces audio takes over and feeds the same recognizer,
+ * and 'capture-failover' is emitted with { from, to, reason }. If none works,
+ * it keeps retrying until recording stops.
+ * @extends EventEmitter
+ */
+class AudioService extends EventEmitter {
+    /**
+     * @param {Object} [options] - Service options
+     * @param {string} [options.backend] - Capture backend: dshow, pulse, alsa, pcm or auto
+     *   (defaults to AUDIO_CAPTURE_BACKEND, then auto)
+     * @param {string[]} [options.audioDevices] - Capture devices to try, in order (defaults to
+     *   AUDIO_CAPTURE_DEVICE, then the backend's defaults followed by the devices it reports)
+     * @param {Object} [options.backendOptions] - Options passed to the capture backend
+     * @param {boolean} [options.vad] - Only recognize while speech is detected (AUDIO_VAD, default true)
+     * @param {Object} [options.vadOptions] - VoiceActivityDetector options (padding, hangover, thresholds)
+     * @param {string} [options.stt] - Speech-to-text provider: google, whisper or mock
+     *   (defaults to STT_PROVIDER, then google)
+     * @param {Object} [options.sttOptions] - Options passed to the speech-to-text provider
+     * @param {boolean} [options.echoSuppression] - Remove the bot's own voice from the capture
+     *   (AUDIO_ECHO_SUPPRESSION, default true)
+     * @param {Object} [options.echoOptions] - EchoSuppressor options (delay range, margin)
+     * @param {boolean} [options.record] - Archive the meeting audio (RECORD_MEETING, default false)
+     * @param {Object} [options.recordingOptions] - MeetingRecorder options (directory, format)
+     * @param {Object} [options.monitorOptions] - CaptureMonitor options (stall, silence and clipping limits)
+     * @param {number} [options.failoverRetryMs] - Wait between attempts when no device works
+     *   (AUDIO_FAILOVER_RETRY_MS, default 5000)
+     */
+    constructor(options = {}) {
+        super();
         this.isRecording = false;
-        this.ffmpegProcess = null;
-        this.speechClient = null;
+        this.useVad = options.vad !== undefined ? options.vad : process.env.AUDIO_VAD !== 'false';
+        this.vadOptions = options.vadOptions || {};
+        this.vad = null;
+        this.useEchoSuppression = options.echoSuppression !== undefined
+            ? options.echoSuppression
+            : process.env.AUDIO_ECHO_SUPPRESSION !== 'false';
+        this.echoOptions = options.echoOptions || {};
+        this.echoSuppressor = null;
+        this.record = options.record !== undefined ? options.record : process.env.RECORD_MEETING === 'true';
+        this.recordingOptions = options.recordingOptions || {};
+        this.recorder = null;
+        this.utteranceStartMs = null;
+        this.sttName = options.stt;
+        this.sttOptions = options.sttOptions || {};
+        this.sttProvider = null;
+        this.backendName = options.backend;
+        this.backendOptions = options.backendOptions || {};
+        this.backend = null;
+        this.capture = null;
+        this.input = null;
+        this.monitor = new CaptureMonitor(options.monitorOptions)
+            .on('failure', ({ reason, silent }) => this.failover(this.capture, reason, silent));
+        this.failoverRetryMs = options.failoverRetryMs !== undefined
+            ? options.failoverRetryMs
+            : (process.env.AUDIO_FAILOVER_RETRY_MS !== undefined ? parseInt(process.env.AUDIO_FAILOVER_RETRY_MS, 10) : 5000);
+        this.failoverTimer = null;
+        this.switching = false;
+        this.failovers = 0;
+        this.finished = null;
+        this.workingDevice = null;
         this.recognizeStream = null;
         this.isPlayingTTS = false;
         this.isPlayingAudio = false;
         this.wasRecordingBeforeAudio = false;
-        this.audioDevices = [
-            'Microphone Array (Realtek(R) Audio)',
-            'Microphone (Realtek(R) Audio)',
-            'Stereo Mix (Realtek(R) Audio)',
-            'default'
-        ];
+        this.audioDevices = options.audioDevices || (process.env.AUDIO_CAPTURE_DEVICE
+            ? process.env.AUDIO_CAPTURE_DEVICE.split(',').map(device => device.trim()).filter(Boolean)
+            : null);
         this.lastTTSEndTime = 0;
         this.feedbackPreventionDelay = 1000; // 1 second delay after TTS ends
         this.recentResponses = new Set(); // Store recent bot responses
@@ -85,6 +161,11 @@ class AudioService {
     }
 
     shouldProcessAudio(transcript) {
+        // The bot's voice never reached the recognizer, so whatever was heard is someone else
+        if (this.isEchoSuppressed()) {
+            return true;
+        }
+
         // Don't process audio if TTS is playing
         if (this.isPlayingTTS) {
             console.log('Skipping processing - TTS is playing');
@@ -112,28 +193,355 @@ class AudioService {
         return true;
     }
 
+    /**
+     * Whether the bot's own voice is being removed from the capture
+     * @returns {boolean}
+     */
+    isEchoSuppressed() {
+        return this.echoSuppressor !== null;
+    }
+
+    /**
+     * Register audio the bot is about to play as the echo reference and in the
+     * recording. Call it right before playback starts; without echo
+     * suppression or recording it does nothing.
+     * @param {string} audioPath - Audio file about to be played
+     * @returns {Promise<{offsetMs: number, durationMs: number}|null>} Where the audio lands in the
+     *   recording, if recording
+     */
+    async addPlaybackReference(audioPath) {
+        if (!this.echoSuppressor && !this.recorder) {
+            return null;
+        }
+
+        try {
+            const backend = await this.getBackend();
+            const pcm = await backend.decodeFile(audioPath);
+            if (this.echoSuppressor) {
+                this.echoSuppressor.addReference(pcm);
+            }
+            return this.recorder ? this.recorder.addBotAudio(pcm) : null;
+        } catch (error) {
+            console.log(`Echo reference unavailable, the bot may hear itself: ${error.message}`, 'WARN');
+            return null;
+        }
+    }
+
+    /**
+     * Forget reference audio that will not be played after all (playback stopped early)
+     */
+    clearPlaybackReference() {
+        if (this.echoSuppressor) {
+            this.echoSuppressor.clearReference();
+        }
+        if (this.recorder) {
+            this.recorder.truncateBotAudio();
+        }
+    }
+
+    /**
+     * Add a final transcript entry to the recording index, spanning the
+     * utterance it came from
+     * @param {string} text - Transcript text
+     * @param {Object} [details] - speaker, speakerLabel and confidence to store with it
+     */
+    indexTranscript(text, details = {}) {
+        if (!this.recorder) {
+            return;
+        }
+
+        const endOffsetMs = this.recorder.offsetMs();
+        this.recorder.index({
+            type: 'transcript',
+            offsetMs: this.utteranceStartMs !== null ? this.utteranceStartMs : endOffsetMs,
+            endOffsetMs,
+            text,
+            speaker: details.speaker || null,
+            speakerLabel: details.speakerLabel || null,
+            confidence: details.confidence
+        });
+        // A long utterance can produce several results; the next one starts here
+        this.utteranceStartMs = endOffsetMs;
+    }
+
+    /**
+     * Add a spoken answer to the recording index
+     * @param {string} text - Answer text
+     * @param {Object} playback - TextToSpeechService playback state, with the offsetMs of its first chunk
+     */
+    indexAnswer(text, playback) {
+        if (!this.recorder || playback.offsetMs === null) {
+            return;
+        }
+
+        this.recorder.index({
+            type: 'answer',
+            offsetMs: playback.offsetMs,
+            endOffsetMs: this.recorder.offsetMs(),
+            text,
+            interrupted: playback.interrupted ? playback.reason : null
+        });
+    }
+
+    /**
+     * Resolve the capture backend and prepare the audio system (once)
+     * @returns {Promise<import('./capture').CaptureBackend>}
+     */
+    async getBackend() {
+        if (!this.backend) {
+            this.backend = await createCaptureBackend(this.backendName, this.backendOptions);
+            await this.backend.setup();
+        }
+        return this.backend;
+    }
+
+    /**
+     * Create and check the speech-to-text provider (once)
+     * @returns {Promise<import('./stt').SttProvider>}
+     */
+    async getSttProvider() {
+        if (!this.sttProvider) {
+            const provider = createSttProvider(this.sttName, this.sttOptions);
+            await provider.initialize();
+            this.sttProvider = provider;
+        }
+        return this.sttProvider;
+    }
+
     async listAudioDevices() {
-        return new Promise((resolve, reject) => {
-            const ffmpeg = spawn(require('@ffmpeg-installer/ffmpeg').path, [
-                '-list_devices', 'true',
-                '-f', 'dshow',
-                '-i', 'dummy'
-            ]);
-
-            let devices = '';
-            ffmpeg.stderr.on('data', (data) => {
-                devices += data.toString();
-                console.log('Available devices:', data.toString());
-            });
+        const backend = await this.getBackend();
+        const devices = await backend.listDevices();
+        console.log(`Available ${backend.name} audio devices:`, devices.length ? devices.join(', ') : '(none reported)');
+        return devices;
+    }
 
-            ffmpeg.on('close', (code) => {
-                resolve(devices);
-            });
+    /**
+     * Devices to try, in order: the one that worked last, then the configured
+     * list, or the backend's defaults followed by whatever it reports
+     * @private
+     */
+    async candidateDevices() {
+        const backend = await this.getBackend();
+        let devices = this.audioDevices;
+        if (!devices) {
+            devices = [...backend.defaultDevices, ...await this.listAudioDevices()];
+        }
+        if (this.workingDevice) {
+            devices = [this.workingDevice, ...devices];
+        }
+        return [...new Set(devices)];
+    }
 
-            ffmpeg.on('error', (err) => {
-                reject(err);
-            });
+    /**
+     * Open the first capture device that produces audio
+     * @private
+     * @param {string[]} [devices] - Devices to try, in order (default candidateDevices())
+     * @param {Object} [options]
+     * @param {boolean} [options.needSignal=false] - Skip devices that are silent
+     * @returns {Promise<Object>} Capture session (see CaptureBackend.open())
+     * @throws {Error} If no device works
+     */
+    async openCapture(devices, options = {}) {
+        const backend = await this.getBackend();
+        const failures = [];
+        devices = devices || await this.candidateDevices();
+
+        for (const device of devices) {
+            try {
+                console.log(`Attempting to use ${backend.name} audio device: ${device}`);
+                const capture = await backend.probe(device);
+                if (options.needSignal) {
+                    await this.checkSignal(capture);
+                }
+                this.workingDevice = device;
+                console.log(`Successfully connected to audio device: ${device}`);
+                return capture;
+            } catch (error) {
+                console.log(`Audio device ${device} not usable: ${error.message}`, 'WARN');
+                failures.push(`${device} (${error.message})`);
+            }
+        }
+
+        throw new Error(`Could not find a working ${backend.name} audio device. Tried: ${failures.join('; ') || 'none'}`);
+    }
+
+    /**
+     * Check that audio can be captured and transcribed, without keeping the capture open
+     * @returns {Promise<{backend: string, device: string, stt: string}>}
+     * @throws {Error} If no capture device works or the speech-to-text provider is unavailable
+     */
+    async probe() {
+        const stt = await this.getSttProvider();
+        const capture = await this.openCapture();
+        capture.stop();
+        const backend = await this.getBackend();
+        console.log(`Audio capture ready: ${backend.name} device ${capture.device}, transcribed with ${stt.name}`, 'INFO');
+        return { backend: backend.name, device: capture.device, stt: stt.name };
+    }
+
+    /**
+     * Make sure a freshly probed capture is above the silence level, leaving
+     * the audio it has produced so far buffered
+     * @private
+     * @throws {Error} If it is silent
+     */
+    async checkSignal(capture) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        const buffered = capture.stream.read();
+        if (buffered) {
+            capture.stream.unshift(buffered);
+        }
+        const { rmsDb } = buffered ? CaptureMonitor.analyze(buffered) : { rmsDb: -Infinity };
+        if (rmsDb < this.monitor.silenceDb) {
+            capture.stop();
+            throw new Error(`silent too (${buffered ? `${rmsDb.toFixed(1)} dBFS` : 'no audio'})`);
+        }
+    }
+
+    /**
+     * Feed a capture session into the processing chain and watch it
+     * @private
+     */
+    attachCapture(capture) {
+        const backend = this.backend;
+        this.capture = capture;
+        capture.stream.pipe(this.input, { end: false });
+
+        // A live device stopping on its own (unplugged, FFmpeg crashed) is replaced;
+        // a capture that runs out (replayed files, a closed pipe) ends the input
+        capture.stream.once('end', () => {
+            if (this.capture !== capture) {
+                return;
+            }
+            if (backend.isLive) {
+                // FFmpeg's exit below explains why its output ended
+                if (!capture.process) {
+                    this.failover(capture, 'capture stream ended');
+                }
+            } else {
+                this.input.end();
+            }
         });
+        if (capture.process) {
+            capture.process.on('error', error => {
+                console.error('FFmpeg process error:', error);
+                if (this.capture !== capture) {
+                    return;
+                }
+                if (backend.isLive) {
+                    this.failover(capture, error.message);
+                } else {
+                    this.stopRecording().catch(err => {
+                        console.error('Error stopping recording after FFmpeg error:', err);
+                    });
+                }
+            });
+            capture.process.once('exit', (code, signal) => {
+                if (this.capture === capture && backend.isLive) {
+                    const lastLine = (capture.process.stderrTail || '').trim().split(/[\r\n]+/).pop();
+                    const status = code !== null ? `code ${code}` : `signal ${signal}`;
+                    this.failover(capture, `FFmpeg exited with ${status}${lastLine ? `: ${lastLine}` : ''}`);
+                }
+            });
+        }
+
+        this.monitor.watch(capture, { detectFailures: backend.isLive });
+    }
+
+    /**
+     * Replace a failed capture with the next device that works, trying the
+     * failed one last; keeps retrying while recording if none does. A device
+     * that went silent still works, so it stays until another has signal.
+     * @private
+     * @param {Object} failed - Capture session that failed
+     * @param {string} reason - What went wrong
+     * @param {boolean} [silent=false] - It failed by going silent
+     */
+    async failover(failed, reason, silent = false) {
+        if (!failed || this.capture !== failed || !this.isRecording || this.switching) {
+            return;
+        }
+
+        console.log(`Audio device ${failed.device} failed (${reason}), looking for another`, 'WARN');
+        this.monitor.stop();
+
+        if (silent) {
+            this.switching = true;
+            let capture = null;
+            try {
+                const others = (await this.candidateDevices()).filter(device => device !== failed.device);
+                capture = await this.openCapture(others, { needSignal: true });
+            } catch (error) {
+                console.log(`No other audio device has signal, staying on ${failed.device}: ${error.message}`, 'WARN');
+            } finally {
+                this.switching = false;
+            }
+
+            if (this.capture !== failed) {
+                // Stopped, or replaced after a crash, in the meantime
+                if (capture) {
+                    capture.stop();
+                }
+                return;
+            }
+            if (!capture) {
+                this.monitor.watch(failed);
+                return;
+            }
+            this.capture = null;
+            failed.stop();
+            this.useReplacement(capture, failed.device, reason);
+            return;
+        }
+
+        this.capture = null;
+        failed.stop();
+        // What was heard before the device dropped out is recognized now
+        if (this.recognizeStream) {
+            this.recognizeStream.flush();
+        }
+        if (this.recorder) {
+            this.recorder.index({ type: 'capture-failure', device: failed.device, reason });
+        }
+
+        const retry = async () => {
+            this.failoverTimer = null;
+            if (!this.isRecording) {
+                return;
+            }
+
+            let capture;
+            try {
+                const others = (await this.candidateDevices()).filter(device => device !== failed.device);
+                capture = await this.openCapture([...others, failed.device]);
+            } catch (error) {
+                console.log(`No working audio device, retrying in ${this.failoverRetryMs}ms: ${error.message}`, 'WARN');
+                this.failoverTimer = setTimeout(retry, this.failoverRetryMs);
+                return;
+            }
+
+            if (!this.isRecording) {
+                capture.stop();
+                return;
+            }
+            this.useReplacement(capture, failed.device, reason);
+        };
+        await retry();
+    }
+
+    /**
+     * @private
+     */
+    useReplacement(capture, from, reason) {
+        this.failovers++;
+        this.attachCapture(capture);
+        if (this.recorder) {
+            this.recorder.index({ type: 'capture-failover', from, to: capture.device, reason });
+        }
+        console.log(capture.device === from
+            ? `Reopened audio device ${capture.device}`
+            : `Switched audio capture from ${from} to ${capture.device}`, 'INFO');
+        this.emit('capture-failover', { from, to: capture.device, reason });
     }
 
     async startRecording(transcriptCallback) {
@@ -148,126 +556,94 @@ class AudioService {
             throw new Error('transcriptCallback must be a function');
         }
 
+        let capture = null;
         try {
-            // List available devices first
-            const deviceList = await this.listAudioDevices();
-            console.log('Available audio devices:', deviceList);
-
-            // Initialize speech client if not already initialized
-            if (!this.speechClient) {
-                this.speechClient = new speech.SpeechClient({
-                    keyFilename: path.join(__dirname, '..', 'creds', 'meetBot-credentials.json')
-                });
-            }
-
-            const encoding = 'LINEAR16';
-            const sampleRateHertz = 16000;
-            const languageCode = 'en-US';
-
-            const request = {
-                config: {
-                    encoding: encoding,
-                    sampleRateHertz: sampleRateHertz,
-                    languageCode: languageCode,
-                    enableAutomaticPunctuation: true,
-                    model: 'latest_long',
-                },
-                interimResults: true,
-            };
-
-            // Create a recognize stream
-            this.recognizeStream = this.speechClient
-                .streamingRecognize(request)
-                .on('error', console.error)
-                .on('data', data => {
-                    const result = data.results[0];
-                    const transcript = result.alternatives[0].transcript;
-                    
-                    // Skip processing if we shouldn't process this audio
-                    if (!this.shouldProcessAudio(transcript)) {
-                        return;
-                    }
-                    
-                    const isFinal = result.isFinal;
-                    const confidence = isFinal ? result.alternatives[0].confidence * 100 : 0;
-                    
-                    if (transcriptCallback) {
-                        transcriptCallback(transcript, confidence, isFinal);
-                    }
-                });
-
-            // Try each audio device until one works
-            let success = false;
-            for (const device of this.audioDevices) {
-                try {
-                    console.log(`Attempting to use audio device: ${device}`);
-                    
-                    // Start FFmpeg process with current device
-                    this.ffmpegProcess = spawn(require('@ffmpeg-installer/ffmpeg').path, [
-                        '-f', 'dshow',
-                        '-rtbufsize', '1024M',  // Increase real-time buffer size
-                        '-thread_queue_size', '4096',  // Increase thread queue size
-                        '-i', `audio=${device}`,
-                        '-acodec', 'pcm_s16le',
-                        '-ac', '1',
-                        '-ar', '16000',
-                        '-f', 's16le',
-                        '-probesize', '32M',  // Increase probe size
-                        '-analyzeduration', '0',  // Reduce analysis time
-                        '-fflags', 'nobuffer',  // Reduce buffering
-                        '-'
-                    ]);
-
-                    // Set up error handling
-                    let deviceError = false;
-                    this.ffmpegProcess.stderr.on('data', data => {
-                        const message = data.toString();
-                        console.log(`FFmpeg stderr: ${message}`, 'DEBUG');
-                        if (message.includes('I/O error') || message.includes('Could not find')) {
-                            deviceError = true;
-                        }
-                    });
-
-                    // Wait a moment to check if the device works
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    
-                    if (!deviceError) {
-                        success = true;
-                        console.log(`Successfully connected to audio device: ${device}`);
-                        break;
-                    } else {
-                        this.ffmpegProcess.kill();
-                        this.ffmpegProcess = null;
-                    }
-                } catch (error) {
-                    console.error(`Error with device ${device}:`, error);
-                    if (this.ffmpegProcess) {
-                        this.ffmpegProcess.kill();
-                        this.ffmpegProcess = null;
-                    }
-                }
+            // One recognizer for the whole recording; Google's rotates streams before
+            // the duration limit and reconnects after errors
+            const stt = await this.getSttProvider();
+            this.recognizeStream = stt.createRecognizer()
+                .on('result', result => this.handleResult(result, transcriptCallback))
+                .on('health', health => this.emit('recognizer-health', health));
+
+            // Open the first capture device that produces audio
+            capture = await this.openCapture();
+
+            // A capture that runs out (replayed files, a closed pipe) finishes once the
+            // recognizer has delivered its last results
+            const recognizeStream = this.recognizeStream;
+            this.finished = new Promise(resolve => recognizeStream.once('finish', resolve));
+
+            // Captures feed this stream, so a replacement device continues where the last one stopped
+            this.input = new PassThrough();
+            let input = this.input;
+            if (this.useEchoSuppression) {
+                // Take the bot's own voice out before anything listens
+                this.echoSuppressor = new EchoSuppressor(this.echoOptions)
+                    .on('delay', delayMs => console.log(`Echo delay estimated at ${delayMs}ms`, 'DEBUG'));
+                input = input.pipe(this.echoSuppressor);
             }
 
-            if (!success) {
-                throw new Error('Could not find a working audio device');
+            if (this.record) {
+                // Archive what was captured, before echo suppression takes anything out
+                this.recorder = new MeetingRecorder(this.recordingOptions);
+                this.recorder.start();
+                const recorder = this.recorder;
+                this.input.on('data', chunk => recorder.writeCapture(chunk));
             }
 
-            // Set up FFmpeg error handling
-            this.ffmpegProcess.on('error', error => {
-                console.error('FFmpeg process error:', error);
-                this.stopRecording().catch(err => {
-                    console.error('Error stopping recording after FFmpeg error:', err);
+            if (this.useVad) {
+                // Recognize only while someone speaks, one stream per utterance
+                this.vad = new VoiceActivityDetector(this.vadOptions);
+                this.vad.on('speech-start', event => {
+                    recognizeStream.write(event.audio);
+                    if (this.recorder) {
+                        // The utterance includes the padding from before the detection
+                        this.utteranceStartMs = Math.max(0, this.recorder.offsetMs() - Math.round(event.audio.length / 32));
+                    }
+                    this.emit('speech-start', event);
                 });
-            });
-
-            // Pipe FFmpeg output to recognition stream
-            this.ffmpegProcess.stdout.pipe(this.recognizeStream);
+                this.vad.on('audio', chunk => recognizeStream.write(chunk));
+                this.vad.on('speech-end', event => {
+                    recognizeStream.flush();
+                    this.emit('speech-end', event);
+                });
+                this.vad.on('finish', () => recognizeStream.end());
+                input.pipe(this.vad);
+            } else {
+                // Pipe captured PCM to recognition stream
+                input.pipe(recognizeStream);
+            }
             this.isRecording = true;
-            console.log('Started recording and speech recognition', 'INFO');
+            this.attachCapture(capture);
+            const gating = [this.useVad && 'voice activity gated', this.echoSuppressor && 'echo suppressed'].filter(Boolean);
+            console.log(`Started recording and speech recognition${gating.length ? ` (${gating.join(', ')})` : ''}`, 'INFO');
 
         } catch (error) {
             console.error('Failed to start recording:', error);
-            await this.stopRecording();
+            if (this.isRecording) {
+                await this.stopRecording();
+            } else {
+                // stopRecording() skips a recording that never started, so end what
+                // was set up here, the recognizer and its timers included
+                if (capture) {
+                    capture.stop();
+                }
+                if (this.recorder) {
+                    this.recorder.stop();
+                    this.recorder = null;
+                }
+                if (this.vad) {
+                    this.vad.removeAllListeners();
+                    this.vad = null;
+                }
+                this.echoSuppressor = null;
+                this.input = null;
+                if (this.recognizeStream) {
+                    this.recognizeStream.end();
+                    this.recognizeStream = null;
+                }
+                this.finished = null;
+            }
             throw error;
         }
     }
@@ -281,11 +657,28 @@ class AudioService {
         try {
             this.isRecording = false;
 
-            // Stop FFmpeg process
-            if (this.ffmpegProcess) {
-                this.ffmpegProcess.stdout.unpipe();
-                this.ffmpegProcess.kill();
-                this.ffmpegProcess = null;
+            // Stop capturing
+            clearTimeout(this.failoverTimer);
+            this.failoverTimer = null;
+            this.monitor.stop();
+            if (this.capture) {
+                const capture = this.capture;
+                this.capture = null;
+                capture.stop();
+            }
+            this.input = null;
+            if (this.vad) {
+                this.vad.removeAllListeners();
+                this.vad = null;
+            }
+            if (this.echoSuppressor) {
+                this.echoSuppressor.unpipe();
+                this.echoSuppressor = null;
+            }
+            if (this.recorder) {
+                this.recorder.stop();
+                this.recorder = null;
+                this.utteranceStartMs = null;
             }
 
             // Close recognition stream
@@ -301,6 +694,62 @@ class AudioService {
         }
     }
 
+    /**
+     * Pass a recognition result on to the transcript callback
+     * @private
+     */
+    handleResult(result, transcriptCallback) {
+        // Skip processing if we shouldn't process this audio
+        if (!result.text || !this.shouldProcessAudio(result.text)) {
+            return;
+        }
+
+        if (transcriptCallback) {
+            const details = { languageCode: this.sttProvider.resolveLanguage(result.languageCode) };
+            // Speaker numbers restart with every recognition stream, and with voice
+            // activity detection each utterance gets its own, so they tell nobody apart
+            if (result.speakerLabel && !this.useVad) {
+                details.speakerLabel = result.speakerLabel;
+                details.speakerId = result.speakerId;
+            }
+            transcriptCallback(result.text, result.confidence, result.isFinal, details);
+        }
+    }
+
+    /**
+     * Health of the speech recognizer (see ManagedRecognizer and ChunkedRecognizer getHealth())
+     * @returns {Object|null} Null when not recording
+     */
+    getRecognitionHealth() {
+        return this.recognizeStream ? this.recognizeStream.getHealth() : null;
+    }
+
+    /**
+     * Input level and problems of the capture (see CaptureMonitor getHealth())
+     * @returns {Object|null} Health plus the backend and failover count; null when not recording
+     */
+    getCaptureHealth() {
+        if (!this.isRecording) {
+            return null;
+        }
+        const health = this.monitor.getHealth();
+        return {
+            backend: this.backend ? this.backend.name : null,
+            ...health,
+            // Between a failure and the next working device
+            state: this.capture ? health.state : 'switching',
+            failovers: this.failovers
+        };
+    }
+
+    /**
+     * Resolves once the capture has run out and its last results are in
+     * @returns {Promise<void>}
+     */
+    whenFinished() {
+        return this.finished || Promise.resolve();
+    }
+
     async suspendListening() {
         this.wasRecordingBeforeAudio = this.isRecording;
         if (this.isRecording) {
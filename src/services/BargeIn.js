@@ -0,0 +1,89 @@
+/**
+ * Lets people interrupt the bot: when someone keeps talking while an answer
+ * is playing, the answer is stopped and what they said goes through the
+ * query pipeline like any other utterance.
+ *
+ * Listens to AudioService's voice activity events, so it needs voice activity
+ * detection and echo suppression; without the latter the bot's own voice
+ * would interrupt it.
+ */
+class BargeIn {
+    /**
+     * @param {import('./AudioService')} audioService - Capture with voice activity events
+     * @param {import('./TextToSpeechService')} ttsService - Speech to interrupt
+     * @param {Object} [options] - Barge-in options
+     * @param {boolean} [options.enabled] - Interrupt the bot at all (BARGE_IN, default true)
+     * @param {number} [options.minSpeechMs] - How long someone must talk over the bot before it stops
+     *   (BARGE_IN_MIN_SPEECH_MS, default 500)
+     */
+    constructor(audioService, ttsService, options = {}) {
+        this.audioService = audioService;
+        this.ttsService = ttsService;
+        this.enabled = options.enabled !== undefined
+            ? options.enabled
+            : process.env.BARGE_IN !== 'false';
+        this.minSpeechMs = options.minSpeechMs !== undefined
+            ? options.minSpeechMs
+            : (process.env.BARGE_IN_MIN_SPEECH_MS !== undefined ? parseInt(process.env.BARGE_IN_MIN_SPEECH_MS, 10) : 500);
+        this.timer = null;
+
+        this.onSpeechStart = () => this.speechStarted();
+        this.onSpeechEnd = () => this.speechEnded();
+    }
+
+    /**
+     * Start watching for people talking over the bot
+     * @returns {boolean} False if barge-in is off or the capture cannot tell people from the bot
+     */
+    attach() {
+        if (!this.enabled) {
+            return false;
+        }
+        if (!this.audioService.useVad) {
+            console.log('Barge-in disabled: it needs voice activity detection (AUDIO_VAD)', 'WARN');
+            return false;
+        }
+        if (!this.audioService.isEchoSuppressed()) {
+            console.log('Barge-in disabled: it needs echo suppression (AUDIO_ECHO_SUPPRESSION)', 'WARN');
+            return false;
+        }
+
+        this.audioService.on('speech-start', this.onSpeechStart);
+        this.audioService.on('speech-end', this.onSpeechEnd);
+        return true;
+    }
+
+    detach() {
+        this.audioService.removeListener('speech-start', this.onSpeechStart);
+        this.audioService.removeListener('speech-end', this.onSpeechEnd);
+        this.speechEnded();
+    }
+
+    /**
+     * @private
+     */
+    speechStarted() {
+        if (!this.ttsService.isSpeaking) {
+            return;
+        }
+
+        // Short sounds ("mm-hmm", a cough) do not stop the bot; speech that goes on does
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.ttsService.interrupt('barge-in').catch(error => {
+                console.error('Error interrupting speech:', error);
+            });
+        }, this.minSpeechMs);
+    }
+
+    /**
+     * @private
+     */
+    speechEnded() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = BargeIn;
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+
+/**
+ * Page script installed through CDP on every new document. It replaces the
+ * audio part of getUserMedia with a WebAudio stream so whatever we play into
+ * window.__meetAgentMic becomes the bot's microphone in the meeting.
+ */
+const VIRTUAL_MIC_SCRIPT = `
+  (() => {
+    if (!navigator.mediaDevices || window.__meetAgentMic) {
+      return;
+    }
+    const originalGetUserMedia = navigator.mediaDevices.getUserMedia.bind(navigator.mediaDevices);
+    let context = null;
+    let destination = null;
+    let gain = null;
+
+    const ensureGraph = () => {
+      if (!context) {
+        context = new AudioContext();
+        gain = context.createGain();
+        destination = context.createMediaStreamDestination();
+        gain.connect(destination);
+      }
+    };
+
+    const mic = window.__meetAgentMic = {
+      current: null,
+      async play(base64, volume) {
+        ensureGraph();
+        await context.resume();
+        const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        const buffer = await context.decodeAudioData(bytes.buffer);
+        mic.stop();
+        gain.gain.value = volume;
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(gain);
+        source.onended = () => {
+          if (mic.current === source) {
+            mic.current = null;
+          }
+        };
+        mic.current = source;
+        source.start();
+        return buffer.duration;
+      },
+      stop() {
+        if (mic.current) {
+          try { mic.current.stop(); } catch (error) {}
+          mic.current = null;
+        }
+      },
+      isPlaying() {
+        return mic.current !== null;
+      }
+    };
+
+    navigator.mediaDevices.getUserMedia = async (constraints = {}) => {
+      if (!constraints.audio) {
+        return originalGetUserMedia(constraints);
+      }
+      ensureGraph();
+      // Clone so the page stopping one track (e.g. on mute) doesn't kill the source
+      const tracks = destination.stream.getAudioTracks().map(track => track.clone());
+      if (constraints.video) {
+        const video = await originalGetUserMedia({ video: constraints.video });
+        video.getVideoTracks().forEach(track => tracks.push(track));
+      }
+      return new MediaStream(tracks);
+    };
+  })();
+`;
+
+/**
+ * Plays audio files into the browser's virtual microphone instead of the
+ * local speakers. Same interface as AudioPlayer, so TextToSpeechService can
+ * use either one.
+ * @extends EventEmitter
+ */
+class BrowserAudioSink extends EventEmitter {
+    /**
+     * @param {Object} browserService - BrowserService whose driver hosts the virtual microphone
+     * @param {Object} [config] - Configuration object
+     * @param {number} [config.volume=100] - Default volume (0-100)
+     * @param {number} [config.pollInterval=200] - Milliseconds between playback state checks
+     */
+    constructor(browserService, config = {}) {
+        super();
+        this.browserService = browserService;
+        this.volume = Math.min(Math.max(config.volume ?? 100, 0), 100);
+        this.pollInterval = config.pollInterval || 200;
+        this.playing = false;
+    }
+
+    /**
+     * Set playback volume
+     * @param {number} volume - Volume level (0-100)
+     */
+    setVolume(volume) {
+        this.volume = Math.min(Math.max(volume, 0), 100);
+    }
+
+    /**
+     * Play an audio file into the meeting
+     * @param {string} audioPath - Full path to audio file
+     * @param {Object} [options] - Playback options
+     * @param {number} [options.volume] - Override default volume for this playback
+     * @returns {Promise} Resolves when playback completes, rejects on error
+     */
+    async playAudio(audioPath, options = {}) {
+        const driver = this.browserService.driver;
+        if (!driver) {
+            throw new Error('Browser not initialized');
+        }
+        if (!fs.existsSync(audioPath)) {
+            throw new Error(`Audio file not found: ${audioPath}`);
+        }
+
+        // Set before the page starts playing so a stopAudio() meanwhile isn't lost
+        this.playing = true;
+        try {
+            const audio = fs.readFileSync(audioPath).toString('base64');
+            const volume = (options.volume ?? this.volume) / 100;
+
+            const duration = await driver.executeAsyncScript(`
+                const done = arguments[arguments.length - 1];
+                if (!window.__meetAgentMic) {
+                    done({ error: 'Virtual microphone not installed' });
+                    return;
+                }
+                window.__meetAgentMic.play(arguments[0], arguments[1])
+                    .then(done, error => done({ error: error.message }));
+            `, audio, volume);
+
+            if (duration && duration.error) {
+                throw new Error(duration.error);
+            }
+
+            // Stopped while the page was still decoding: its stop() ran before anything played
+            if (!this.playing) {
+                await driver.executeScript('window.__meetAgentMic.stop();');
+                return;
+            }
+
+            // Wait for the page to finish playing, or for stopAudio()
+            while (this.playing) {
+                await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+                if (!this.playing) {
+                    break;
+                }
+                const stillPlaying = await driver.executeScript('return window.__meetAgentMic.isPlaying();');
+                this.playing = this.playing && stillPlaying;
+            }
+        } catch (error) {
+            this.playing = false;
+            // The caller gets the rejection; an 'error' event with no listener would throw instead
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', error);
+            }
+            console.error('Error playing audio in browser:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stop current playback
+     * @returns {Promise} Resolves when playback is stopped
+     */
+    async stopAudio() {
+        if (!this.playing) {
+            return;
+        }
+        this.playing = false;
+
+        const driver = this.browserService.driver;
+        if (driver) {
+            await driver.executeScript('if (window.__meetAgentMic) window.__meetAgentMic.stop();').catch(() => {});
+        }
+    }
+
+    /**
+     * Check if audio is currently playing
+     * @returns {boolean} True if audio is playing
+     */
+    isPlaying() {
+        return this.playing;
+    }
+}
+
+module.exports = { BrowserAudioSink, VIRTUAL_MIC_SCRIPT };
@@ -1,22 +1,24 @@
 const { Builder, By, until, Key } = require('selenium-webdriver');
 const chrome = require('selenium-webdriver/chrome');
 const dotenv = require('dotenv');
-const AudioService = require('./AudioService');
-const speech = require('@google-cloud/speech');
+const RosterService = require('./RosterService');
 const record = require('node-record-lpcm16');
 const fs = require('fs');
 const path = require('path');
+const { createPlatformAdapter, resolvePlatform } = require('./platforms');
+const { JoinState, JoinStateMachine } = require('./JoinStateMachine');
+const { CallMonitor } = require('./CallMonitor');
+const { VIRTUAL_MIC_SCRIPT } = require('./BrowserAudioSink');
+const { googleSelectors } = require('../selectors');
+const DiagnosticsService = require('./DiagnosticsService');
+const { GoogleChallenge, SignInError, TOTP_CHALLENGE_TYPE, detectChallenge } = require('./GoogleAuth');
+const { readCookieFile } = require('../utils/cookies');
+const { generateTotp, msUntilNextTotp } = require('../utils/totp');
 
 dotenv.config();
 
+// Methods shared by every browser service; per-instance state is set up in createBrowserService()
 const BrowserService = {
-  driver: null,
-  audioService: null,
-  speechClient: null,
-  isListening: false,
-  audioStream: null,
-  transcriptionStartTime: null,
-
   initializeBrowser: async function() {
     if (this.driver) {
       return;
@@ -41,12 +43,19 @@ const BrowserService = {
       options.addArguments('--disable-extensions');
       options.addArguments('--disable-popup-blocking');
       options.addArguments('--disable-infobars');
+
+      if (this.audioOutput === 'browser') {
+        // The virtual microphone replaces real capture devices, and its
+        // AudioContext has to start without a user gesture
+        options.addArguments('--use-fake-device-for-media-stream');
+        options.addArguments('--autoplay-policy=no-user-gesture-required');
+      }
       
       // Set user agent
       options.addArguments('--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36');
       
       // Add preferences
-      options.addArguments(`--user-data-dir=${process.env.APPDATA}\\ChromeProfile`);
+      options.addArguments(`--user-data-dir=${this.profileDir}`);
       options.addArguments('--profile-directory=Default');
       
       // Set preferences for media permissions
@@ -79,36 +88,41 @@ const BrowserService = {
         `
       });
 
+      // Keep recent browser console output for failure diagnostics
+      await this.diagnostics.attach(this.driver, cdpConnection);
+
+      // Route the bot's speech straight into the page's microphone stream
+      if (this.audioOutput === 'browser') {
+        await cdpConnection.execute('Page.addScriptToEvaluateOnNewDocument', {
+          source: VIRTUAL_MIC_SCRIPT
+        });
+        console.log('Installed virtual microphone');
+      }
+
       // Set script timeout to 30 seconds
       await this.driver.manage().setTimeouts({ script: 30000 });
 
-      // Initialize speech client
-      this.speechClient = new speech.SpeechClient();
-
     } catch (error) {
       console.error('Error initializing browser:', error);
+      await this.captureDiagnostics('initialize-browser', error);
       await this.cleanup();
       throw error;
     }
   },
 
-  waitAndType: async function(selector, text, timeout = 10000) {
-    const element = await this.driver.wait(
-      until.elementLocated(By.css(selector)),
-      timeout,
-      `Timeout waiting for element: ${selector}`
-    );
+  waitAndType: async function(action, text, timeout = 10000) {
+    const element = await googleSelectors.waitFor(this.driver, action, timeout);
     
     await this.driver.wait(
       until.elementIsVisible(element),
       timeout,
-      `Element not visible: ${selector}`
+      `Element not visible: ${action}`
     );
 
     await this.driver.wait(
       until.elementIsEnabled(element),
       timeout,
-      `Element not enabled: ${selector}`
+      `Element not enabled: ${action}`
     );
 
     // Clear any existing text
@@ -134,14 +148,12 @@ const BrowserService = {
         return true;
       }
 
-      try {
-        await this.driver.findElement(By.css('a[aria-label*="Google Account"]'));
+      if (await googleSelectors.find(this.driver, 'signIn.accountLink')) {
         console.log('Found Google Account element, user is signed in');
         return true;
-      } catch (error) {
-        console.log('Google Account element not found, user is not signed in');
-        return false;
       }
+      console.log('Google Account element not found, user is not signed in');
+      return false;
     } catch (error) {
       console.error('Error checking sign-in status:', error);
       return false;
@@ -153,27 +165,40 @@ const BrowserService = {
       throw new Error('Browser not initialized');
     }
 
+    let step = 'sign-in:check';
     try {
       if (await this.isSignedIn()) {
         console.log('Already signed in to Google, skipping sign-in process');
         return;
       }
 
+      // An exported browser session skips the password and any 2FA prompt
+      if (this.credentials.cookiesFile) {
+        step = 'sign-in:cookies';
+        await this.importSessionCookies(this.credentials.cookiesFile);
+        if (await this.isSignedIn()) {
+          console.log('Signed in to Google with the imported session');
+          return;
+        }
+        console.log('Imported session is not signed in (expired?), falling back to password sign-in', 'WARN');
+      }
+
+      if (!this.credentials.email || !this.credentials.password) {
+        throw new SignInError('Not signed in to Google and no email/password configured', { step });
+      }
+
+      step = 'sign-in:email';
       console.log('Navigating to Google sign-in page...');
       await this.driver.get('https://accounts.google.com/ServiceLogin');
       await this.driver.sleep(3000);
 
       // Wait for and enter email with slow typing
       console.log('Waiting for email input field...');
-      await this.waitAndType('input[type="email"]', process.env.GOOGLE_EMAIL);
+      await this.waitAndType('signIn.emailInput', this.credentials.email);
       
       // Click next button and wait
       console.log('Clicking next button...');
-      const nextButton = await this.driver.wait(
-        until.elementLocated(By.css('#identifierNext')),
-        10000,
-        'Next button not found'
-      );
+      const nextButton = await googleSelectors.waitFor(this.driver, 'signIn.emailNext', 10000);
       await this.driver.wait(
         until.elementIsEnabled(nextButton),
         10000,
@@ -184,17 +209,23 @@ const BrowserService = {
       // Wait longer for password field to be properly loaded
       await this.driver.sleep(5000);
 
+      // A captcha (or any other challenge) here would only surface as a password field timeout
+      const emailChallenge = await detectChallenge(this.driver);
+      if (emailChallenge) {
+        throw new SignInError(`Google sign-in stopped at a ${emailChallenge} challenge after the email step`, {
+          challenge: emailChallenge,
+          step
+        });
+      }
+
       // Wait for and enter password with slow typing
+      step = 'sign-in:password';
       console.log('Waiting for password input field...');
-      await this.waitAndType('input[type="password"]', process.env.GOOGLE_PASSWORD, 15000);
+      await this.waitAndType('signIn.passwordInput', this.credentials.password, 15000);
       
       // Click password next button and wait
       console.log('Clicking password next button...');
-      const passwordNext = await this.driver.wait(
-        until.elementLocated(By.css('#passwordNext')),
-        10000,
-        'Password next button not found'
-      );
+      const passwordNext = await googleSelectors.waitFor(this.driver, 'signIn.passwordNext', 10000);
       await this.driver.wait(
         until.elementIsEnabled(passwordNext),
         10000,
@@ -203,189 +234,361 @@ const BrowserService = {
       await passwordNext.click();
       
       // Wait longer for sign-in to complete
+      step = 'sign-in:complete';
       console.log('Waiting for sign-in to complete...');
       await this.driver.sleep(5000);
-      await this.driver.wait(async () => {
-        const url = await this.driver.getCurrentUrl();
-        return !url.includes('signin') && !url.includes('challenge');
-      }, 20000, 'Sign-in process did not complete');
+      await this.completeSignInChallenges();
 
       console.log('Successfully signed in to Google');
 
     } catch (error) {
       console.error('Error during Google sign-in:', error);
+      await this.captureDiagnostics(error.challenge ? `sign-in:${error.challenge}` : step, error);
       throw error;
     }
   },
 
-  turnOffDevices: async function() {
-    console.log('Turning off camera and microphone...');
-    
-    try {
-      // Wait for the buttons to be present
-      await this.driver.sleep(2000);
-      
-      // Find and click camera button
-      const cameraButton = await this.driver.wait(
-        until.elementLocated(By.css('div[role="button"][data-is-muted][aria-label*="camera" i]')),
-        5000
-      );
-      if (cameraButton) {
-        await cameraButton.click();
-        console.log('Clicked camera button');
+  /**
+   * Wait for sign-in to finish after the password step. Authenticator (TOTP)
+   * prompts are answered from the configured secret and phone prompts are
+   * waited on; any other challenge fails with a SignInError naming it.
+   * @param {number} [timeout=20000] - How long to wait when no challenge is shown
+   */
+  async completeSignInChallenges(timeout = 20000) {
+    const phonePromptTimeout = parseInt(process.env.GOOGLE_PHONE_PROMPT_TIMEOUT_MS, 10) || 120000;
+    let deadline = Date.now() + timeout;
+    let lastChallenge = null;
+    let totpAttempts = 0;
+    let triedTotpOption = false;
+
+    while (Date.now() < deadline) {
+      const url = await this.driver.getCurrentUrl();
+      if (!url.includes('signin') && !url.includes('challenge')) {
+        return;
       }
-    } catch (error) {
-      console.log('Error turning off devices:', error.message);
+
+      const challenge = await detectChallenge(this.driver);
+      if (challenge && challenge !== lastChallenge) {
+        console.log(`Google sign-in challenge: ${challenge}`, 'INFO');
+        lastChallenge = challenge;
+        if (challenge === GoogleChallenge.PHONE_PROMPT) {
+          console.log(`Waiting up to ${Math.round(phonePromptTimeout / 1000)}s for the sign-in to be approved on the phone...`);
+          deadline = Date.now() + phonePromptTimeout;
+        }
+      }
+
+      if (challenge === GoogleChallenge.TOTP) {
+        if (!this.credentials.totpSecret) {
+          throw new SignInError('Google asked for an authenticator code but no TOTP secret is configured', { challenge });
+        }
+        if (totpAttempts >= 2) {
+          throw new SignInError('Google rejected the authenticator codes', { challenge });
+        }
+
+        // A rejected code is retried with the next one, not the same one again
+        if (totpAttempts > 0) {
+          await this.driver.sleep(msUntilNextTotp() + 1000);
+        }
+        totpAttempts++;
+        await this.waitAndType('signIn.totpInput', generateTotp(this.credentials.totpSecret));
+        await (await googleSelectors.waitFor(this.driver, 'signIn.totpNext', 10000)).click();
+        console.log('Submitted authenticator code');
+        await this.driver.sleep(3000);
+        continue;
+      }
+
+      if (challenge === GoogleChallenge.SELECTION && this.credentials.totpSecret && !triedTotpOption) {
+        triedTotpOption = true;
+        const option = await googleSelectors.find(this.driver, 'signIn.challengeOption', { type: TOTP_CHALLENGE_TYPE });
+        if (option) {
+          console.log('Choosing the authenticator app verification method');
+          await option.click();
+          await this.driver.sleep(3000);
+          continue;
+        }
+      }
+
+      if (challenge && challenge !== GoogleChallenge.PHONE_PROMPT) {
+        throw new SignInError(`Google sign-in stopped at a ${challenge} challenge the bot cannot answer`, { challenge });
+      }
+
+      await this.driver.sleep(1000);
     }
-  },
 
-  async joinMeeting(meetUrl) {
-    try {
-      console.log('Joining meeting:', meetUrl);
+    throw new SignInError(
+      lastChallenge ? `Google sign-in ${lastChallenge} challenge was not completed in time` : 'Sign-in process did not complete',
+      { challenge: lastChallenge, step: 'sign-in:complete' }
+    );
+  },
 
-      // Navigate to the meeting URL
-      await this.driver.get(meetUrl);
+  /**
+   * Load an exported cookie/session file into the browser profile
+   * @param {string} file - Cookie export (JSON or Netscape cookies.txt)
+   */
+  async importSessionCookies(file) {
+    const cookies = readCookieFile(file);
+    await this.driver.sendDevToolsCommand('Network.setCookies', { cookies });
+    console.log(`Imported ${cookies.length} session cookie(s) from ${file}`);
+  },
 
-      // Wait for and click the join button
-      await this.driver.wait(
-        until.elementLocated(By.css('button[jsname="Qx7uuf"]')),
-        10000,
-        'Join button not found'
-      );
+  turnOffDevices: async function() {
+    if (!this.platform) {
+      throw new Error('No meeting platform selected');
+    }
+    await this.platform.turnOffDevices();
+  },
 
-      const joinButton = await this.driver.findElement(By.css('button[jsname="Qx7uuf"]'));
-      console.log('Meet page loaded, found element: button[jsname="Qx7uuf"]');
+  requiresGoogleSignIn(meetUrl) {
+    return resolvePlatform(meetUrl).requiresGoogleSignIn;
+  },
 
-      // Turn off camera and microphone before joining
-      console.log('Turning off camera and microphone...');
-      await this.turnOffDevices();
+  /**
+   * Join a meeting and follow it through the lobby into the call
+   * @param {string} meetUrl - Meeting URL
+   * @param {Object} [options] - Join options passed to JoinStateMachine
+   * @returns {Promise<{state: string, reason: string, attempts: number}>} Join outcome
+   */
+  async joinMeeting(meetUrl, options = {}) {
+    try {
+      console.log('Joining meeting:', meetUrl);
 
-      await this.driver.wait(
-        until.elementIsVisible(joinButton),
-        5000,
-        'Join button not visible'
-      );
+      // Pick the platform adapter from the meeting URL host
+      this.platform = createPlatformAdapter(meetUrl, this.driver, { displayName: this.displayName });
+      console.log(`Using ${this.platform.name} adapter`);
 
-      await this.driver.wait(
-        until.elementIsEnabled(joinButton),
-        5000,
-        'Join button not enabled'
-      );
+      const joinFlow = new JoinStateMachine(this.platform, options);
+      const outcome = await joinFlow.run(meetUrl);
+      if (outcome.state !== JoinState.IN_CALL) {
+        console.log(`Could not join meeting: ${outcome.state} (${outcome.reason})`);
+        await this.captureDiagnostics(`join:${outcome.state}`, outcome.reason);
+        return outcome;
+      }
 
-      // Try multiple click methods
+      // Track participants for speaker attribution
       try {
-        // Method 1: JavaScript click
-        await this.driver.executeScript('arguments[0].click();', joinButton);
+        await this.roster.start(this.platform);
       } catch (error) {
-        console.log('JavaScript click failed, trying WebDriver click');
-        try {
-          // Method 2: WebDriver click
-          await joinButton.click();
-        } catch (error) {
-          console.log('WebDriver click failed, trying Actions click');
-          // Method 3: Actions click
-          const actions = this.driver.actions({bridge: true});
-          await actions.move({origin: joinButton}).click().perform();
-        }
-      }
-      
-      console.log('Clicked join button');
-      
-      // Wait to confirm we've joined
-      await this.driver.sleep(2000);
-      
-      // Initialize audio service and start speech recognition
-      console.log('Starting audio recording...');
-      if (!this.audioService) {
-        this.audioService = new AudioService();
+        console.log('Participant roster not available:', error.message);
       }
-      await this.startSpeechRecognition();
+
+      return outcome;
     } catch (error) {
       console.error('Error joining meeting:', error);
+      await this.captureDiagnostics('join', error);
       throw error;
     }
   },
 
-  async startSpeechRecognition() {
-    if (this.isListening) {
-      console.log('Speech recognition is already running', 'WARN');
+  /**
+   * Save a screenshot, page HTML, URL and console logs for a failed step
+   * @param {string} step - Step that failed
+   * @param {Error|string} [error] - Error or reason
+   * @returns {Promise<string|null>} Diagnostics folder path
+   */
+  async captureDiagnostics(step, error = null) {
+    try {
+      return await this.diagnostics.capture(this.driver, step, error);
+    } catch (captureError) {
+      console.error('Error capturing diagnostics:', captureError);
+      return null;
+    }
+  },
+
+  /**
+   * Leave the call cleanly: stop the pollers that read the page before
+   * clicking leave so nothing races the page teardown
+   */
+  async leaveMeeting() {
+    if (!this.platform) {
       return;
     }
 
-    console.log('Starting speech recognition...', 'INFO');
-    this.isListening = true;
-    this.transcriptionStartTime = new Date();
+    this.stopCallMonitor();
+    this.stopChatWatcher();
+    this.roster.stop();
 
     try {
-      // Initialize Google Cloud Speech client if not already initialized
-      if (!this.speechClient) {
-        this.speechClient = new speech.SpeechClient();
+      await this.platform.leave();
+    } catch (error) {
+      console.error('Error leaving meeting:', error);
+      await this.captureDiagnostics('leave', error);
+    }
+  },
 
-      }
+  /**
+   * Watch the call and report when the bot should leave
+   * @param {function({reason: string, detail: string}): void} onEnd - Called once a leave condition outlasts the grace period
+   * @param {Object} [options] - CallMonitor options
+   */
+  startCallMonitor(onEnd, options = {}) {
+    if (!this.platform) {
+      throw new Error('No meeting platform selected');
+    }
 
-      // Create AudioService instance if not exists
-      if (!this.audioService) {
-        const AudioService = require('./AudioService');
-        this.audioService = new AudioService();
-      }
+    this.stopCallMonitor();
+    this.callMonitor = new CallMonitor(this.platform, options);
+    this.callMonitor.on('end', onEnd);
+    this.callMonitor.start();
+  },
 
-      // Define the transcript callback
-      const handleTranscript = (transcriptData) => {
-        if (!transcriptData) return;
-        console.log('Received transcript data:', transcriptData);
-        
-        try {
-          this.processTranscript(
-            transcriptData.text,
-            transcriptData.confidence,
-            transcriptData.isFinal,
-            transcriptData.timestamp
-          );
-        } catch (error) {
-          console.error('Error processing transcript:', error);
-        }
-      };
+  stopCallMonitor() {
+    if (this.callMonitor) {
+      this.callMonitor.stop();
+      this.callMonitor.removeAllListeners();
+      this.callMonitor = null;
+    }
+  },
+
+  /**
+   * Run an in-call control, capturing diagnostics if it fails
+   * @private
+   * @param {string} step - Step name used for the diagnostics folder
+   * @param {function(PlatformAdapter): Promise<*>} action - Control to run
+   */
+  async runControl(step, action) {
+    if (!this.platform) {
+      throw new Error('No meeting platform selected');
+    }
 
-      // Start recording with transcript callback
-      await this.audioService.startRecording(handleTranscript);
-      console.log('Speech recognition started successfully', 'INFO');
+    try {
+      return await action(this.platform);
     } catch (error) {
-      console.error('Failed to start speech recognition:', error);
-      this.isListening = false;
+      await this.captureDiagnostics(step, error);
       throw error;
     }
   },
 
-  async stopSpeechRecognition() {
-    if (!this.isListening) {
-      console.log('Speech recognition is not running', 'WARN');
+  async setMuted(muted) {
+    return this.runControl(muted ? 'mute' : 'unmute', platform => platform.setMuted(muted));
+  },
+
+  async isMuted() {
+    return this.runControl('mute-state', platform => platform.isMuted());
+  },
+
+  async setCameraEnabled(enabled) {
+    return this.runControl(enabled ? 'camera-on' : 'camera-off', platform => platform.setCameraEnabled(enabled));
+  },
+
+  async raiseHand() {
+    return this.runControl('raise-hand', platform => platform.setHandRaised(true));
+  },
+
+  async lowerHand() {
+    return this.runControl('lower-hand', platform => platform.setHandRaised(false));
+  },
+
+  /**
+   * Send an emoji reaction to the call
+   * @param {string} emoji - Emoji to send (e.g. '👍')
+   */
+  async sendReaction(emoji) {
+    return this.runControl('reaction', platform => platform.sendReaction(emoji));
+  },
+
+  async isInCall() {
+    if (!this.platform || !this.driver) {
+      return false;
+    }
+    return this.platform.isInCall();
+  },
+
+  async startChatWatcher(onMessage) {
+    if (this.chatWatcher) {
+      console.log('Chat watcher is already running', 'WARN');
       return;
     }
 
-    console.log('Stopping speech recognition...', 'INFO');
-    try {
-      if (this.audioService) {
-        await this.audioService.stopRecording();
+    if (typeof onMessage !== 'function') {
+      throw new Error('onMessage must be a function');
+    }
+
+    await this.platform.openChat();
+
+    // Messages already in the panel were sent before we joined, don't answer them
+    const existing = await this.platform.readChatMessages();
+    existing.forEach(message => this.seenChatMessageIds.add(message.id));
+
+    let isPolling = false;
+    this.chatWatcher = setInterval(async () => {
+      if (isPolling || !this.driver) {
+        return;
       }
-      this.isListening = false;
 
-      // Calculate and log session statistics
-      if (this.transcriptionStartTime) {
-        const duration = (new Date() - this.transcriptionStartTime) / 1000;
-        console.log(`Speech recognition session ended. Duration: ${duration.toFixed(2)} seconds`, 'INFO');
-        this.transcriptionStartTime = null;
+      isPolling = true;
+      try {
+        const messages = await this.platform.readChatMessages();
+        for (const message of messages) {
+          if (!message.id || this.seenChatMessageIds.has(message.id)) {
+            continue;
+          }
+          this.seenChatMessageIds.add(message.id);
+
+          if (message.self || !message.text) {
+            continue;
+          }
+
+          console.log(`Chat message from ${message.author || 'unknown'}: ${message.text}`, 'INFO');
+          try {
+            await onMessage(message);
+          } catch (error) {
+            console.error('Error handling chat message:', error);
+          }
+        }
+      } catch (error) {
+        console.error('Error reading chat messages:', error.message);
+      } finally {
+        isPolling = false;
       }
+    }, this.chatPollInterval);
+
+    console.log('Chat watcher started', 'INFO');
+  },
 
-      console.log('Speech recognition stopped successfully', 'INFO');
+  stopChatWatcher() {
+    if (this.chatWatcher) {
+      clearInterval(this.chatWatcher);
+      this.chatWatcher = null;
+      console.log('Chat watcher stopped', 'INFO');
+    }
+    this.seenChatMessageIds.clear();
+  },
+
+  async sendChatMessage(text) {
+    if (!this.platform) {
+      throw new Error('No meeting platform selected');
+    }
+
+    // Newlines would submit the message early, and Meet caps message length:
+    // split at whitespace, or hard-split a longer run without any (e.g. a URL)
+    const flattened = text.replace(/\s*\n+\s*/g, ' ').trim();
+    const limit = this.chatMessageLimit;
+    const parts = flattened.match(new RegExp(`.{1,${limit}}(\\s|$)|.{${limit}}`, 'g')) || [flattened];
+
+    try {
+      for (const part of parts) {
+        await this.platform.sendChatMessage(part.trim());
+      }
     } catch (error) {
-      console.error('Error stopping speech recognition:', error);
+      await this.captureDiagnostics('chat:send', error);
       throw error;
     }
   },
 
-  processTranscript(transcript, confidence, isFinal, timestamp = new Date().toISOString()) {
-    // Check if system is speaking
-    if (this.queryService && this.queryService.isSpeaking) {
+  /**
+   * Share the agent's speaking and echo-suppression state, which decide
+   * whether transcripts heard while the bot talks are kept
+   * @param {Object} queryService - Exposes isSpeaking
+   * @param {Object} audioService - Exposes isEchoSuppressed()
+   */
+  setSpeechServices(queryService, audioService) {
+    this.queryService = queryService;
+    this.audioService = audioService;
+  },
+
+  processTranscript(transcript, confidence, isFinal, timestamp = new Date().toISOString(), speaker = null, speakerLabel = null) {
+    // Check if system is speaking, unless its voice is already removed from the capture
+    if (this.queryService && this.queryService.isSpeaking && !(this.audioService && this.audioService.isEchoSuppressed())) {
         console.log('System is speaking, ignoring transcript');
         return;
     }
@@ -394,7 +597,7 @@ const BrowserService = {
       return;
     }
 
-    const queryDir = path.join(__dirname, '..', '..', 'query');
+    const queryDir = this.queryDir;
     if (!fs.existsSync(queryDir)) {
       fs.mkdirSync(queryDir, { recursive: true });
     }
@@ -402,10 +605,12 @@ const BrowserService = {
     // Format the transcript entry
     const confidenceStr = confidence ? ` (confidence: ${(confidence * 100).toFixed(2)}%)` : '';
     const finalityStr = isFinal ? '[FINAL]' : '[INTERIM]';
-    const transcriptEntry = `[${timestamp}] ${finalityStr}${confidenceStr}\n${transcript}\n\n`;
+    const speakerStr = speaker ? ` [speaker: ${speaker}]` : '';
+    const labelStr = speakerLabel ? ` [label: ${speakerLabel}]` : '';
+    const transcriptEntry = `[${timestamp}] ${finalityStr}${confidenceStr}${speakerStr}${labelStr}\n${transcript}\n\n`;
 
     // Log transcript
-    console.log(`Transcript: ${transcript}${confidenceStr}`, isFinal ? 'INFO' : 'DEBUG');
+    console.log(`Transcript${speaker || speakerLabel ? ` (${speaker || speakerLabel})` : ''}: ${transcript}${confidenceStr}`, isFinal ? 'INFO' : 'DEBUG');
 
     // Only save final transcripts to file
     if (isFinal) {
@@ -423,7 +628,7 @@ const BrowserService = {
   clearSession: async function(preserveSession = true) {
     try {
       console.log('Managing Chrome profile...');
-      const profilePath = `${process.env.APPDATA}\\ChromeProfile`;
+      const profilePath = this.profileDir;
       
       if (fs.existsSync(profilePath)) {
         if (!preserveSession) {
@@ -449,8 +654,13 @@ const BrowserService = {
 
   cleanup: async function(preserveSession = true) {
     try {
+      this.stopCallMonitor();
+      this.stopChatWatcher();
+      this.roster.stop();
+
       // Close browser if it's open
       if (this.driver) {
+        await this.leaveMeeting();
         try {
           await this.driver.quit();
         } catch (error) {
@@ -458,28 +668,66 @@ const BrowserService = {
         }
         this.driver = null;
       }
+      this.platform = null;
 
       // Clear Chrome profile if not preserving session
       await this.clearSession(preserveSession);
 
       // Clear query.txt file
-      const queryDir = path.join(__dirname, '..', '..', 'query');
-      const queryFile = path.join(queryDir, 'query.txt');
+      const queryFile = path.join(this.queryDir, 'query.txt');
       if (fs.existsSync(queryFile)) {
         fs.writeFileSync(queryFile, ''); // Clear the file
         console.log('Cleared query.txt file');
       }
 
-      // Reset other properties
-      this.speechClient = null;
-      this.isListening = false;
-      this.audioStream = null;
-      this.transcriptionStartTime = null;
-
     } catch (error) {
       console.error('Error in cleanup:', error);
     }
   }
 };
 
-module.exports = BrowserService;
+/**
+ * Create a browser service with its own driver, Chrome profile and output
+ * directories, so several can run side by side in one process
+ * @param {Object} [options] - Instance options
+ * @param {string} [options.profileDir] - Chrome user data directory
+ * @param {string} [options.queryDir] - Directory final transcripts are appended to (query.txt)
+ * @param {string} [options.logsDir] - Directory diagnostics bundles are written to
+ * @param {string} [options.transcriptSource] - 'audio' or 'captions'
+ * @param {string} [options.audioOutput] - 'speakers' or 'browser'
+ * @param {string} [options.displayName] - Name used when joining as a guest
+ * @param {{email: string, password: string, totpSecret: string, cookiesFile: string}} [options.credentials] -
+ *   Google account to sign in with: password plus optional authenticator secret, and/or an exported session
+ * @returns {Object} Browser service instance
+ */
+function createBrowserService(options = {}) {
+  const transcriptSource = options.transcriptSource || process.env.TRANSCRIPT_SOURCE;
+  const audioOutput = options.audioOutput || process.env.TTS_OUTPUT;
+
+  return Object.assign(Object.create(BrowserService), {
+    driver: null,
+    platform: null,
+    roster: new RosterService(),
+    callMonitor: null,
+    diagnostics: new DiagnosticsService({ logsDir: options.logsDir }),
+    transcriptSource: transcriptSource === 'captions' ? 'captions' : 'audio',
+    audioOutput: audioOutput === 'browser' ? 'browser' : 'speakers',
+    profileDir: options.profileDir || `${process.env.APPDATA}\\ChromeProfile`,
+    queryDir: options.queryDir || path.join(__dirname, '..', '..', 'query'),
+    displayName: options.displayName,
+    credentials: options.credentials || {
+      email: process.env.GOOGLE_EMAIL,
+      password: process.env.GOOGLE_PASSWORD,
+      totpSecret: process.env.GOOGLE_TOTP_SECRET,
+      cookiesFile: process.env.GOOGLE_COOKIES_FILE
+    },
+    queryService: null,
+    audioService: null,
+    chatWatcher: null,
+    seenChatMessageIds: new Set(),
+    chatPollInterval: parseInt(process.env.CHAT_POLL_INTERVAL_MS, 10) || 2000,
+    chatMessageLimit: 500
+  });
+}
+
+module.exports = { createBrowserService };
@@ -0,0 +1,112 @@
+const EventEmitter = require('events');
+
+/**
+ * Reasons the bot should leave a call on its own
+ * @readonly
+ * @enum {string}
+ */
+const CallEndReason = Object.freeze({
+    ALONE: 'alone',
+    REMOVED: 'removed',
+    NETWORK: 'network',
+    ENDED: 'ended'
+});
+
+/**
+ * Watches a joined call for conditions that mean the bot should leave:
+ * being the only one left, removal by the host, a lost connection, or the
+ * post-call screen.
+ *
+ * A condition has to hold for the whole grace period before 'end' is
+ * emitted, so a participant rejoining or the network coming back cancels it.
+ *
+ * Emits:
+ * - 'condition' ({ reason, detail }) when a condition is first seen
+ * - 'cleared' ({ reason }) when a pending condition goes away
+ * - 'end' ({ reason, detail }) once a condition outlasts the grace period
+ * @extends EventEmitter
+ */
+class CallMonitor extends EventEmitter {
+    /**
+     * @param {import('./platforms/PlatformAdapter')} platform - Adapter for the joined call
+     * @param {Object} [options] - Monitor options
+     * @param {number} [options.graceMs] - How long a condition must last before leaving
+     * @param {number} [options.pollInterval=5000] - Milliseconds between checks
+     */
+    constructor(platform, options = {}) {
+        super();
+        this.platform = platform;
+        this.graceMs = options.graceMs !== undefined
+            ? options.graceMs
+            : (process.env.CALL_END_GRACE_MS !== undefined ? parseInt(process.env.CALL_END_GRACE_MS, 10) : 60000);
+        this.pollInterval = options.pollInterval || 5000;
+        this.timer = null;
+        this.isChecking = false;
+        this.pending = null;
+        this.hasEnded = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.check().catch(error => {
+                console.error('Error checking call state:', error.message);
+            });
+        }, this.pollInterval);
+        console.log(`Call monitor started (grace period ${Math.round(this.graceMs / 1000)}s)`, 'INFO');
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Call monitor stopped', 'INFO');
+        }
+        this.pending = null;
+    }
+
+    /**
+     * Check the call once
+     * @private
+     */
+    async check() {
+        if (this.isChecking || this.hasEnded) {
+            return;
+        }
+
+        this.isChecking = true;
+        try {
+            const condition = await this.platform.detectCallEndState();
+            const now = Date.now();
+
+            if (!condition) {
+                if (this.pending) {
+                    console.log(`Call condition cleared: ${this.pending.reason}`, 'INFO');
+                    this.emit('cleared', { reason: this.pending.reason });
+                    this.pending = null;
+                }
+                return;
+            }
+
+            if (!this.pending || this.pending.reason !== condition.reason) {
+                this.pending = { ...condition, since: now };
+                console.log(`Call condition detected: ${condition.reason} (${condition.detail})`, 'INFO');
+                this.emit('condition', condition);
+            }
+
+            if (now - this.pending.since >= this.graceMs) {
+                this.hasEnded = true;
+                this.stop();
+                console.log(`Leaving call: ${condition.reason}`, 'INFO');
+                this.emit('end', condition);
+            }
+        } finally {
+            this.isChecking = false;
+        }
+    }
+}
+
+module.exports = { CallMonitor, CallEndReason };
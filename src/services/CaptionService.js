@@ -0,0 +1,180 @@
+/**
+ * Transcript source that reads the meeting's built-in live captions instead of
+ * capturing audio. It turns captions on, watches the caption area with a
+ * MutationObserver inside the page and turns caption updates into the same
+ * (text, confidence, isFinal, details) callbacks AudioService.startRecording produces.
+ *
+ * Captions carry no confidence score, so final results report 1 and interim ones 0.
+ */
+class CaptionService {
+    /**
+     * @param {Object} browserService - BrowserService holding the joined platform adapter
+     * @param {Object} [options] - Caption options
+     * @param {number} [options.pollInterval=500] - Milliseconds between reads of the page queue
+     * @param {number} [options.finalizeAfterMs=1500] - Quiet time after which a caption line counts as final
+     */
+    constructor(browserService, options = {}) {
+        this.browserService = browserService;
+        this.pollInterval = options.pollInterval || 500;
+        this.finalizeAfterMs = options.finalizeAfterMs || parseInt(process.env.CAPTION_FINALIZE_MS, 10) || 1500;
+        this.isRecording = false;
+        this.timer = null;
+        this.isPolling = false;
+        this.callbacks = new Set();
+        this.blocks = new Map();
+    }
+
+    async startRecording(transcriptCallback) {
+        if (typeof transcriptCallback !== 'function') {
+            throw new Error('transcriptCallback must be a function');
+        }
+
+        this.callbacks.add(transcriptCallback);
+        if (this.isRecording) {
+            console.log('Caption transcription already running, added listener');
+            return;
+        }
+
+        const platform = this.browserService.platform;
+        if (!platform) {
+            throw new Error('Cannot read captions before joining a meeting');
+        }
+
+        await platform.enableCaptions();
+        await platform.installCaptionObserver();
+
+        this.isRecording = true;
+        this.timer = setInterval(() => {
+            this.poll().catch(error => {
+                console.error('Error reading captions:', error.message);
+            });
+        }, this.pollInterval);
+        console.log('Started caption transcription', 'INFO');
+    }
+
+    async stopRecording() {
+        if (!this.isRecording) {
+            console.log('No caption transcription in progress', 'WARN');
+            return;
+        }
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.isRecording = false;
+
+        // Whatever was still being spoken is dropped rather than answered on the way out
+        this.blocks.clear();
+        this.callbacks.clear();
+        console.log('Stopped caption transcription', 'INFO');
+    }
+
+    /**
+     * Drain caption updates from the page and emit interim/final results
+     * @private
+     */
+    async poll() {
+        if (this.isPolling || !this.browserService.platform) {
+            return;
+        }
+
+        this.isPolling = true;
+        try {
+            const updates = await this.browserService.platform.drainCaptionUpdates();
+            const now = Date.now();
+
+            for (const update of updates) {
+                // The bot's own speech shows up as captions too
+                if (update.self || !update.text) {
+                    continue;
+                }
+
+                let block = this.blocks.get(update.id);
+                if (!block) {
+                    block = { speaker: update.speaker, text: '', finalText: '', updatedAt: now };
+                    this.blocks.set(update.id, block);
+                }
+
+                block.text = update.text;
+                block.updatedAt = now;
+
+                const pending = this.pendingText(block);
+                if (pending) {
+                    this.emit(pending, 0, false, block.speaker);
+                }
+            }
+
+            for (const [id, block] of this.blocks) {
+                if (now - block.updatedAt >= this.finalizeAfterMs) {
+                    this.finalize(id);
+                }
+                // Lines that scrolled away long ago won't change again
+                if (now - block.updatedAt >= 60000) {
+                    this.blocks.delete(id);
+                }
+            }
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Text of a caption line that has not been reported as final yet.
+     * Meet keeps appending to the same line while someone talks, but also
+     * rewrites it in place: it corrects recent words and punctuation and drops
+     * the start of long lines. Rewritten lines continue after the last words
+     * already reported, or failing that after as many words as were reported;
+     * corrections to reported words are not sent again.
+     * @private
+     */
+    pendingText(block) {
+        if (!block.finalText) {
+            return block.text.trim();
+        }
+        if (block.text.startsWith(block.finalText)) {
+            return block.text.slice(block.finalText.length).trim();
+        }
+
+        const words = block.text.trim().split(/\s+/);
+        const reported = block.finalText.trim().split(/\s+/);
+        const normalize = list => list.map(word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '')).join(' ');
+        const tailLength = Math.min(3, reported.length);
+        const tail = normalize(reported.slice(-tailLength));
+        for (let end = words.length; end >= tailLength; end--) {
+            if (normalize(words.slice(end - tailLength, end)) === tail) {
+                return words.slice(end).join(' ');
+            }
+        }
+        return words.slice(reported.length).join(' ');
+    }
+
+    /**
+     * @private
+     */
+    finalize(id) {
+        const block = this.blocks.get(id);
+        if (!block) {
+            return;
+        }
+
+        const pending = this.pendingText(block);
+        if (pending) {
+            this.emit(pending, 1, true, block.speaker);
+            block.finalText = block.text;
+        }
+    }
+
+    /**
+     * @private
+     */
+    emit(text, confidence, isFinal, speaker) {
+        for (const callback of this.callbacks) {
+            try {
+                callback(text, confidence, isFinal, { speaker: speaker || null });
+            } catch (error) {
+                console.error('Error in caption callback:', error);
+            }
+        }
+    }
+}
+
+module.exports = CaptionService;
@@ -0,0 +1,236 @@
+const EventEmitter = require('events');
+
+const SAMPLE_RATE = 16000;
+const CHECK_INTERVAL_MS = 1000;
+// Silence this long is reported even when it does not count as a failure
+const SILENCE_WARNING_MS = 60000;
+// Level reported for digital silence, and the smoothing of the reported level
+const MIN_LEVEL_DB = -100;
+const LEVEL_SMOOTHING = 0.3;
+// Samples at or beyond this magnitude count as clipped
+const CLIP_SAMPLE = 32700;
+
+function readNumber(value, envName, fallback) {
+    if (value !== undefined) {
+        return value;
+    }
+    return process.env[envName] !== undefined ? parseFloat(process.env[envName]) : fallback;
+}
+
+function toDb(value) {
+    return value > 0 ? Math.max(20 * Math.log10(value / 32768), MIN_LEVEL_DB) : MIN_LEVEL_DB;
+}
+
+/**
+ * Watches a capture session (see CaptureBackend.open()) while it records.
+ *
+ * Meters the input level and peak of the 16 kHz mono s16le PCM, and checks
+ * every second for a stall (no audio at all for `stallMs`), silence (level
+ * below `silenceDb`) and clipping (more than `clipRatio` of the last second's
+ * samples at full scale).
+ *
+ * Emits 'failure' with { reason, device, silent } once per session when it
+ * stalls, or stays silent for `silenceMs` if that is set; a quiet meeting is
+ * silent too, so by default silence is only reported. Emits 'warning' with
+ * { reason, device } when clipping starts and after a minute of silence.
+ * @extends EventEmitter
+ */
+class CaptureMonitor extends EventEmitter {
+    /**
+     * @param {Object} [options] - Monitor options
+     * @param {number} [options.stallMs] - Time without audio that counts as a failure
+     *   (AUDIO_STALL_TIMEOUT_MS, default 5000)
+     * @param {number} [options.silenceDb] - Level (dBFS) below which input counts as silent
+     *   (AUDIO_SILENCE_DB, default -70)
+     * @param {number} [options.silenceMs] - Silence that counts as a failure, 0 to only report it
+     *   (AUDIO_SILENCE_TIMEOUT_MS, default 0)
+     * @param {number} [options.clipRatio=0.01] - Share of clipped samples that triggers a warning
+     */
+    constructor(options = {}) {
+        super();
+        this.stallMs = readNumber(options.stallMs, 'AUDIO_STALL_TIMEOUT_MS', 5000);
+        this.silenceDb = readNumber(options.silenceDb, 'AUDIO_SILENCE_DB', -70);
+        this.silenceMs = readNumber(options.silenceMs, 'AUDIO_SILENCE_TIMEOUT_MS', 0);
+        this.clipRatio = options.clipRatio !== undefined ? options.clipRatio : 0.01;
+
+        this.capture = null;
+        this.timer = null;
+        this.onData = chunk => this.measure(chunk);
+        this.reset();
+    }
+
+    /**
+     * @private
+     */
+    reset() {
+        this.levelDb = MIN_LEVEL_DB;
+        this.peakDb = MIN_LEVEL_DB;
+        this.lastDataAt = Date.now();
+        this.silentSince = null;
+        this.clipped = 0;
+        this.samples = 0;
+        this.clippedRatio = 0;
+        this.isClipping = false;
+        this.silenceReported = false;
+        this.failed = null;
+        this.bytesReceived = 0;
+    }
+
+    /**
+     * Start watching a capture session, replacing any previous one
+     * @param {Object} capture - Capture session
+     * @param {Object} [options]
+     * @param {boolean} [options.detectFailures=true] - Report stalls and silence (off for
+     *   inputs that end on their own, such as replays)
+     */
+    watch(capture, options = {}) {
+        this.stop();
+        this.reset();
+        this.capture = capture;
+        this.detectFailures = options.detectFailures !== false;
+        capture.stream.on('data', this.onData);
+        this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.capture) {
+            this.capture.stream.removeListener('data', this.onData);
+            this.capture = null;
+        }
+    }
+
+    /**
+     * Current input level and problems
+     * @returns {{device: string|null, state: string, levelDb: number, peakDb: number, silentMs: number,
+     *   clippedRatio: number, lastDataAt: Date, bytesReceived: number}} state is ok, silent,
+     *   clipping, stalled or failed
+     */
+    getHealth() {
+        const now = Date.now();
+        let state = 'ok';
+        if (this.failed) {
+            state = 'failed';
+        } else if (now - this.lastDataAt >= this.stallMs) {
+            state = 'stalled';
+        } else if (this.silentSince !== null) {
+            state = 'silent';
+        } else if (this.isClipping) {
+            state = 'clipping';
+        }
+
+        return {
+            device: this.capture ? this.capture.device : null,
+            state,
+            levelDb: Math.round(this.levelDb * 10) / 10,
+            peakDb: Math.round(this.peakDb * 10) / 10,
+            silentMs: this.silentSince !== null ? now - this.silentSince : 0,
+            clippedRatio: this.clippedRatio,
+            lastDataAt: new Date(this.lastDataAt),
+            bytesReceived: this.bytesReceived
+        };
+    }
+
+    /**
+     * Level of a piece of audio
+     * @param {Buffer} chunk - s16le samples
+     * @returns {{rmsDb: number, peakDb: number, clipped: number, samples: number}}
+     */
+    static analyze(chunk) {
+        const samples = chunk.length >> 1;
+        let sum = 0;
+        let peak = 0;
+        let clipped = 0;
+        for (let i = 0; i < samples; i++) {
+            const sample = chunk.readInt16LE(i * 2);
+            const magnitude = Math.abs(sample);
+            sum += sample * sample;
+            if (magnitude > peak) {
+                peak = magnitude;
+            }
+            if (magnitude >= CLIP_SAMPLE) {
+                clipped++;
+            }
+        }
+        return {
+            rmsDb: toDb(Math.sqrt(sum / Math.max(samples, 1))),
+            peakDb: toDb(peak),
+            clipped,
+            samples
+        };
+    }
+
+    /**
+     * @private
+     */
+    measure(chunk) {
+        const now = Date.now();
+        const { rmsDb, peakDb, clipped, samples } = CaptureMonitor.analyze(chunk);
+        this.lastDataAt = now;
+        this.bytesReceived += chunk.length;
+        this.levelDb += (rmsDb - this.levelDb) * LEVEL_SMOOTHING;
+        this.peakDb = Math.max(peakDb, this.peakDb - 1);
+        this.clipped += clipped;
+        this.samples += samples;
+
+        if (rmsDb >= this.silenceDb) {
+            this.silentSince = null;
+            this.silenceReported = false;
+        } else if (this.silentSince === null) {
+            this.silentSince = now - Math.round(samples / SAMPLE_RATE * 1000);
+        }
+    }
+
+    /**
+     * @private
+     */
+    check() {
+        if (!this.capture || this.failed) {
+            return;
+        }
+        const device = this.capture.device;
+
+        // Clipping over the last second
+        this.clippedRatio = this.samples ? this.clipped / this.samples : 0;
+        const clipping = this.clippedRatio > this.clipRatio;
+        if (clipping && !this.isClipping) {
+            const percent = (this.clippedRatio * 100).toFixed(1);
+            console.log(`Audio input clipping on ${device} (${percent}% of samples at full scale); lower the capture volume`, 'WARN');
+            this.emit('warning', { reason: `clipping (${percent}% of samples)`, device });
+        }
+        this.isClipping = clipping;
+        this.clipped = 0;
+        this.samples = 0;
+
+        const silentMs = this.silentSince !== null ? Date.now() - this.silentSince : 0;
+        if (silentMs >= SILENCE_WARNING_MS && !this.silenceReported) {
+            this.silenceReported = true;
+            console.log(`Audio input on ${device} has been silent for ${Math.round(silentMs / 1000)}s`, 'WARN');
+            this.emit('warning', { reason: `silent for ${Math.round(silentMs / 1000)}s`, device });
+        }
+
+        if (!this.detectFailures) {
+            return;
+        }
+
+        const idleMs = Date.now() - this.lastDataAt;
+        if (idleMs >= this.stallMs) {
+            this.fail(`no audio for ${Math.round(idleMs / 1000)}s`, false);
+        } else if (this.silenceMs && silentMs >= this.silenceMs) {
+            this.fail(`silent (below ${this.silenceDb} dBFS) for ${Math.round(silentMs / 1000)}s`, true);
+        }
+    }
+
+    /**
+     * @private
+     */
+    fail(reason, silent) {
+        this.failed = reason;
+        this.emit('failure', { reason, device: this.capture.device, silent });
+    }
+}
+
+module.exports = CaptureMonitor;
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Writes a diagnostics folder when browser automation fails, so remote and
+ * headless runs can be debugged after the fact.
+ *
+ * Each capture creates logs/diagnostics-<timestamp>-<step>/ containing:
+ * - screenshot.png - what the browser showed
+ * - page.html      - the page source
+ * - url.txt        - the current URL
+ * - console.json   - recent browser console messages and exceptions (via CDP)
+ * - step.json      - the failed step and error
+ */
+class DiagnosticsService {
+    /**
+     * @param {Object} [options] - Diagnostics options
+     * @param {string} [options.logsDir] - Directory the diagnostics folders are created in
+     * @param {number} [options.maxConsoleEntries=500] - Console messages kept in memory
+     */
+    constructor(options = {}) {
+        this.logsDir = options.logsDir || path.join(__dirname, '..', '..', 'logs');
+        this.maxConsoleEntries = options.maxConsoleEntries || 500;
+        this.consoleEntries = [];
+    }
+
+    /**
+     * Start collecting browser console output over an existing CDP connection
+     * @param {import('selenium-webdriver').WebDriver} driver - Active WebDriver
+     * @param {Object} cdpConnection - Connection from driver.createCDPConnection()
+     */
+    async attach(driver, cdpConnection) {
+        try {
+            await driver.onLogEvent(cdpConnection, event => {
+                this.record({
+                    timestamp: event.timestamp,
+                    level: event.level || event.type,
+                    message: event.message !== undefined
+                        ? event.message
+                        : (event.args || []).map(arg => (arg.value !== undefined ? arg.value : arg.description)).join(' ')
+                });
+            });
+            await driver.onLogException(cdpConnection, event => {
+                const details = event.exceptionDetails || {};
+                this.record({
+                    timestamp: event.timestamp,
+                    level: 'exception',
+                    message: details.exception ? details.exception.description : details.text
+                });
+            });
+        } catch (error) {
+            console.warn('Could not collect browser console logs:', error.message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    record(entry) {
+        this.consoleEntries.push(entry);
+        if (this.consoleEntries.length > this.maxConsoleEntries) {
+            this.consoleEntries.shift();
+        }
+    }
+
+    /**
+     * Write a diagnostics folder for a failed step
+     * @param {import('selenium-webdriver').WebDriver} driver - WebDriver the step ran in
+     * @param {string} step - Name of the step that failed (e.g. 'sign-in:password')
+     * @param {Error|string} [error] - Error or reason for the failure
+     * @returns {Promise<string|null>} Path of the diagnostics folder, or null if nothing could be written
+     */
+    async capture(driver, step, error = null) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const safeStep = step.replace(/[^a-z0-9-]+/gi, '-');
+        const dir = path.join(this.logsDir, `diagnostics-${timestamp}-${safeStep}`);
+
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+        } catch (mkdirError) {
+            console.error('Could not create diagnostics folder:', mkdirError);
+            return null;
+        }
+
+        const stepInfo = {
+            step,
+            time: new Date().toISOString(),
+            error: error instanceof Error
+                ? { name: error.name, message: error.message, stack: error.stack }
+                : error
+        };
+        fs.writeFileSync(path.join(dir, 'step.json'), JSON.stringify(stepInfo, null, 2));
+        fs.writeFileSync(path.join(dir, 'console.json'), JSON.stringify(this.consoleEntries, null, 2));
+
+        // The browser may be the thing that broke, so each artifact is best-effort
+        if (driver) {
+            await this.writeArtifact(dir, 'url.txt', () => driver.getCurrentUrl());
+            await this.writeArtifact(dir, 'page.html', () => driver.getPageSource());
+            await this.writeArtifact(dir, 'screenshot.png', async () => Buffer.from(await driver.takeScreenshot(), 'base64'));
+        }
+
+        console.log(`Diagnostics for failed step "${step}" written to: ${dir}`);
+        return dir;
+    }
+
+    /**
+     * @private
+     */
+    async writeArtifact(dir, name, produce) {
+        try {
+            fs.writeFileSync(path.join(dir, name), await produce());
+        } catch (error) {
+            console.warn(`Could not capture ${name}:`, error.message);
+        }
+    }
+}
+
+module.exports = DiagnosticsService;
@@ -0,0 +1,297 @@
+const { Transform } = require('stream');
+
+const SAMPLE_RATE = 16000;
+const FRAME_MS = 10;
+const FRAME_BYTES = SAMPLE_RATE * 2 * FRAME_MS / 1000;
+
+// Reference frames quieter than this carry nothing worth suppressing
+const SILENCE_DB = -60;
+// How much captured level history the delay search looks at
+const CORRELATION_WINDOW_FRAMES = 200;
+const CORRELATION_INTERVAL_FRAMES = 50;
+const MIN_CORRELATION = 0.6;
+// Room and device reverb keeps the echo going a little after the reference frame
+const TAIL_FRAMES = 5;
+
+function readNumber(value, envName, fallback) {
+    if (value !== undefined) {
+        return value;
+    }
+    return process.env[envName] !== undefined ? parseFloat(process.env[envName]) : fallback;
+}
+
+function energyDb(energy) {
+    return energy > 0 ? 10 * Math.log10(energy / (32768 * 32768)) : -Infinity;
+}
+
+/**
+ * Removes the bot's own voice from captured 16 kHz mono s16le PCM.
+ *
+ * The audio the bot plays is added as a reference, placed on the capture
+ * timeline at the moment playback starts. The echo delay is found by
+ * correlating the level of captured frames with the reference's, and the
+ * echo level relative to the reference is tracked while it plays. A captured
+ * 10 ms frame no louder than the predicted echo (plus `marginDb`) is
+ * replaced with silence; anything louder is someone talking over the bot and
+ * passes through untouched.
+ *
+ * Emits 'delay' with the echo delay in milliseconds whenever the estimate changes.
+ * @extends Transform
+ */
+class EchoSuppressor extends Transform {
+    /**
+     * @param {Object} [options] - Suppressor options
+     * @param {number} [options.maxDelayMs] - Longest echo delay searched for (AUDIO_ECHO_MAX_DELAY_MS, default 500)
+     * @param {number} [options.marginDb] - How far above the predicted echo a frame must be to
+     *   count as a person talking (AUDIO_ECHO_MARGIN_DB, default 6)
+     * @param {number} [options.echoGainDb=0] - Starting guess of the echo level relative to the reference
+     */
+    constructor(options = {}) {
+        super();
+        this.maxDelayFrames = Math.ceil(readNumber(options.maxDelayMs, 'AUDIO_ECHO_MAX_DELAY_MS', 500) / FRAME_MS);
+        this.marginDb = readNumber(options.marginDb, 'AUDIO_ECHO_MARGIN_DB', 6);
+        this.echoGainDb = options.echoGainDb !== undefined ? options.echoGainDb : 0;
+
+        // Capture timeline, in frames
+        this.frame = 0;
+        this.delayFrames = null;
+        this.remainder = Buffer.alloc(0);
+        // Frame index -> reference energy, and recent captured energies for the delay search
+        this.reference = new Map();
+        this.captured = [];
+        this.stats = { framesSuppressed: 0, framesPassed: 0 };
+    }
+
+    /**
+     * Current position on the capture timeline, to pass to addReference()
+     * when playback starts
+     * @returns {number}
+     */
+    mark() {
+        return this.frame;
+    }
+
+    /**
+     * Add audio the bot is playing
+     * @param {Buffer} pcm - 16 kHz mono s16le PCM of what is played
+     * @param {number} [at=this.mark()] - Capture position where playback started
+     */
+    addReference(pcm, at = this.mark()) {
+        for (let i = 0; (i + 1) * FRAME_BYTES <= pcm.length; i++) {
+            const energy = EchoSuppressor.frameEnergy(pcm.subarray(i * FRAME_BYTES, (i + 1) * FRAME_BYTES));
+            this.reference.set(at + i, (this.reference.get(at + i) || 0) + energy);
+        }
+    }
+
+    /**
+     * Drop references that have not played yet, e.g. when playback is cut short
+     */
+    clearReference() {
+        for (const index of this.reference.keys()) {
+            if (index > this.frame) {
+                this.reference.delete(index);
+            }
+        }
+    }
+
+    /**
+     * Whether reference audio is playing or its echo can still arrive
+     * @returns {boolean}
+     */
+    isReferenceActive() {
+        for (const index of this.reference.keys()) {
+            if (index >= this.frame - this.maxDelayFrames - TAIL_FRAMES) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Echo delay estimate and suppression counts
+     * @returns {{delayMs: number|null, echoGainDb: number, framesSuppressed: number, framesPassed: number}}
+     */
+    getStats() {
+        return {
+            delayMs: this.delayFrames !== null ? this.delayFrames * FRAME_MS : null,
+            echoGainDb: Math.round(this.echoGainDb * 10) / 10,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Mean square of one frame's samples
+     * @param {Buffer} frame - s16le samples
+     * @returns {number}
+     */
+    static frameEnergy(frame) {
+        let sum = 0;
+        const samples = frame.length >> 1;
+        for (let i = 0; i < samples; i++) {
+            const sample = frame.readInt16LE(i * 2);
+            sum += sample * sample;
+        }
+        return sum / Math.max(samples, 1);
+    }
+
+    _transform(chunk, encoding, callback) {
+        const data = this.remainder.length ? Buffer.concat([this.remainder, chunk]) : chunk;
+        let offset = 0;
+        const frames = [];
+        for (; offset + FRAME_BYTES <= data.length; offset += FRAME_BYTES) {
+            frames.push(this.processFrame(Buffer.from(data.subarray(offset, offset + FRAME_BYTES))));
+        }
+        this.remainder = Buffer.from(data.subarray(offset));
+        if (frames.length) {
+            this.push(Buffer.concat(frames));
+        }
+        callback();
+    }
+
+    _flush(callback) {
+        if (this.remainder.length) {
+            this.push(this.remainder);
+        }
+        callback();
+    }
+
+    /**
+     * @private
+     * @returns {Buffer} The frame, or silence if it is only echo
+     */
+    processFrame(frame) {
+        const index = this.frame++;
+        const energy = EchoSuppressor.frameEnergy(frame);
+
+        this.captured.push(energy);
+        if (this.captured.length > CORRELATION_WINDOW_FRAMES + this.maxDelayFrames) {
+            this.captured.shift();
+        }
+        this.pruneReference();
+
+        if (this.reference.size === 0) {
+            return frame;
+        }
+        if (index % CORRELATION_INTERVAL_FRAMES === 0) {
+            this.estimateDelay();
+        }
+
+        const referenceDb = energyDb(this.referenceAt(index));
+        if (referenceDb < SILENCE_DB) {
+            this.stats.framesPassed++;
+            return frame;
+        }
+
+        const levelDb = energyDb(energy);
+        this.trackEchoGain(levelDb - referenceDb);
+        if (levelDb < referenceDb + this.echoGainDb + this.marginDb) {
+            this.stats.framesSuppressed++;
+            return Buffer.alloc(frame.length);
+        }
+        this.stats.framesPassed++;
+        return frame;
+    }
+
+    /**
+     * Loudest reference frame whose echo can arrive at this capture frame: around
+     * the estimated delay, or anywhere in the search range until there is one
+     * @private
+     */
+    referenceAt(index) {
+        const [from, to] = this.delayFrames !== null
+            ? [this.delayFrames - 2, this.delayFrames + TAIL_FRAMES]
+            : [0, this.maxDelayFrames + TAIL_FRAMES];
+
+        let loudest = 0;
+        for (let lag = Math.max(0, from); lag <= to; lag++) {
+            const energy = this.reference.get(index - lag);
+            if (energy > loudest) {
+                loudest = energy;
+            }
+        }
+        return loudest;
+    }
+
+    /**
+     * Follow the echo level quickly up (so echo never leaks through for long)
+     * and slowly down; readings far above it are someone talking, not echo
+     * @private
+     */
+    trackEchoGain(measuredDb) {
+        if (!isFinite(measuredDb) || measuredDb > this.echoGainDb + this.marginDb) {
+            return;
+        }
+        const rate = measuredDb > this.echoGainDb ? 0.2 : 0.01;
+        this.echoGainDb += (measuredDb - this.echoGainDb) * rate;
+    }
+
+    /**
+     * Find the lag at which the reference's level best matches the captured level
+     * @private
+     */
+    estimateDelay() {
+        const count = this.captured.length;
+        const window = Math.min(CORRELATION_WINDOW_FRAMES, count - this.maxDelayFrames);
+        if (window < CORRELATION_WINDOW_FRAMES / 2) {
+            return;
+        }
+
+        const firstIndex = this.frame - count;
+        const start = count - window;
+        const capturedDb = this.captured.slice(start).map(energy => Math.max(energyDb(energy), SILENCE_DB));
+
+        let bestLag = null;
+        let bestCorrelation = MIN_CORRELATION;
+        for (let lag = 0; lag <= this.maxDelayFrames; lag++) {
+            const referenceDb = capturedDb.map((value, i) =>
+                Math.max(energyDb(this.reference.get(firstIndex + start + i - lag) || 0), SILENCE_DB));
+            const correlation = EchoSuppressor.correlate(capturedDb, referenceDb);
+            if (correlation > bestCorrelation) {
+                bestCorrelation = correlation;
+                bestLag = lag;
+            }
+        }
+
+        if (bestLag !== null && bestLag !== this.delayFrames) {
+            this.delayFrames = bestLag;
+            this.emit('delay', bestLag * FRAME_MS);
+        }
+    }
+
+    /**
+     * Pearson correlation of two equally long series (0 if either is flat)
+     * @private
+     */
+    static correlate(a, b) {
+        const n = a.length;
+        const meanA = a.reduce((sum, value) => sum + value, 0) / n;
+        const meanB = b.reduce((sum, value) => sum + value, 0) / n;
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += (a[i] - meanA) ** 2;
+            varianceB += (b[i] - meanB) ** 2;
+        }
+        return varianceA && varianceB ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+    }
+
+    /**
+     * Forget reference frames older than the delay search can reach
+     * @private
+     */
+    pruneReference() {
+        const oldest = this.frame - this.captured.length - this.maxDelayFrames - TAIL_FRAMES;
+        for (const index of this.reference.keys()) {
+            if (index >= oldest) {
+                break;
+            }
+            this.reference.delete(index);
+        }
+    }
+}
+
+EchoSuppressor.SAMPLE_RATE = SAMPLE_RATE;
+
+module.exports = EchoSuppressor;
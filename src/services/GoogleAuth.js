@@ -0,0 +1,82 @@
+const { googleSelectors } = require('../selectors');
+
+/**
+ * Verification steps Google can put between the password and the account
+ * @readonly
+ * @enum {string}
+ */
+const GoogleChallenge = Object.freeze({
+    TOTP: 'totp',
+    SMS_CODE: 'sms-code',
+    PHONE_PROMPT: 'phone-prompt',
+    PHONE_VERIFICATION: 'phone-verification',
+    SECURITY_KEY: 'security-key',
+    CAPTCHA: 'captcha',
+    SELECTION: 'selection',
+    UNKNOWN: 'unknown'
+});
+
+// challenge/<kind> path segments; challenge/pwd is the password step itself
+const CHALLENGE_PATHS = [
+    { pattern: /\/challenge\/totp\b/, challenge: GoogleChallenge.TOTP },
+    { pattern: /\/challenge\/(ipp|sms)\b/, challenge: GoogleChallenge.SMS_CODE },
+    { pattern: /\/challenge\/(dp|az|ootp)\b/, challenge: GoogleChallenge.PHONE_PROMPT },
+    { pattern: /\/challenge\/iap\b/, challenge: GoogleChallenge.PHONE_VERIFICATION },
+    { pattern: /\/challenge\/sk\b/, challenge: GoogleChallenge.SECURITY_KEY },
+    { pattern: /\/challenge\/recaptcha\b/, challenge: GoogleChallenge.CAPTCHA },
+    { pattern: /\/challenge\/selection\b/, challenge: GoogleChallenge.SELECTION }
+];
+
+// Authenticator app option on the "choose how to sign in" page
+const TOTP_CHALLENGE_TYPE = '6';
+
+/**
+ * Raised when Google sign-in stops at a step the bot cannot get past
+ */
+class SignInError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} [details]
+     * @param {string} [details.challenge] - GoogleChallenge that blocked sign-in
+     * @param {string} [details.step] - Sign-in step that failed
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'SignInError';
+        this.challenge = details.challenge || null;
+        this.step = details.step || null;
+    }
+}
+
+/**
+ * Work out which verification page, if any, the browser is on
+ * @param {import('selenium-webdriver').WebDriver} driver - Active WebDriver
+ * @returns {Promise<string|null>} GoogleChallenge, or null on a regular sign-in step
+ */
+async function detectChallenge(driver) {
+    const url = await driver.getCurrentUrl();
+
+    // Captchas show up on the email and password steps without a URL of their own
+    if (await googleSelectors.find(driver, 'signIn.captcha')) {
+        return GoogleChallenge.CAPTCHA;
+    }
+
+    const known = CHALLENGE_PATHS.find(({ pattern }) => pattern.test(url));
+    if (known) {
+        return known.challenge;
+    }
+    if (await googleSelectors.find(driver, 'signIn.totpInput')) {
+        return GoogleChallenge.TOTP;
+    }
+    if (/\/challenge\//.test(url) && !/\/challenge\/pwd\b/.test(url)) {
+        return GoogleChallenge.UNKNOWN;
+    }
+    return null;
+}
+
+module.exports = {
+    GoogleChallenge,
+    SignInError,
+    TOTP_CHALLENGE_TYPE,
+    detectChallenge
+};
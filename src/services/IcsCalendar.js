@@ -0,0 +1,147 @@
+const ical = require('node-ical');
+const { resolvePlatform } = require('./platforms');
+
+// Events without DTEND/DURATION are assumed to take an hour
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+// Links that open a meeting, not just a platform's home or settings page
+const MEETING_LINK_PATHS = [
+    /^\/[a-z]{3}-[a-z]{4}-[a-z]{3}\b/i,   // meet.google.com/abc-defg-hij
+    /^\/(j|my|w|wc\/join)\//i,              // zoom.us/j/123..., zoom.us/my/name
+    /^\/(l\/meetup-join|meet)\//i           // teams.microsoft.com/l/meetup-join/..., teams.live.com/meet/...
+];
+
+/**
+ * Find the first supported meeting link in an event
+ * (URL, location, description, then Google's conference property)
+ * @param {Object} event - node-ical VEVENT
+ * @returns {string|null} Meeting URL
+ */
+function extractMeetingUrl(event) {
+    const fields = [event.url, event.location, event.description, event['X-GOOGLE-CONFERENCE']];
+    for (const field of fields) {
+        const text = typeof field === 'object' && field !== null ? field.val : field;
+        if (!text) {
+            continue;
+        }
+
+        for (const match of String(text).match(/https?:\/\/[^\s<>"'\\]+/g) || []) {
+            const candidate = match.replace(/[).,;>]+$/, '');
+            try {
+                resolvePlatform(candidate);
+            } catch (error) {
+                continue;
+            }
+            if (MEETING_LINK_PATHS.some(pattern => pattern.test(new URL(candidate).pathname))) {
+                return candidate;
+            }
+        }
+    }
+    return null;
+}
+
+function isCancelled(event) {
+    return String(event.status || '').toUpperCase() === 'CANCELLED'
+        || String(event.method || '').toUpperCase() === 'CANCEL';
+}
+
+function dateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Expand one VEVENT into its occurrences overlapping [from, to], applying
+ * EXDATE exclusions and RECURRENCE-ID overrides (moved or cancelled instances)
+ * @private
+ */
+function expandEvent(event, from, to) {
+    const duration = event.end ? event.end - event.start : DEFAULT_DURATION_MS;
+    const toOccurrence = (source, start, end) => ({
+        id: `${event.uid}@${start.toISOString()}`,
+        uid: event.uid,
+        summary: source.summary || event.summary || '(untitled)',
+        start,
+        end,
+        url: extractMeetingUrl(source) || extractMeetingUrl(event),
+        cancelled: isCancelled(source),
+        recurrenceKey: dateKey(source.recurrenceid || start)
+    });
+
+    if (!event.rrule) {
+        const end = event.end || new Date(event.start.getTime() + duration);
+        return end >= from && event.start <= to ? [toOccurrence(event, event.start, end)] : [];
+    }
+
+    const occurrences = [];
+    for (const start of event.rrule.between(new Date(from.getTime() - duration), to, true)) {
+        const key = dateKey(start);
+        if (event.exdate && event.exdate[key]) {
+            continue;
+        }
+
+        const override = event.recurrences && event.recurrences[key];
+        if (override) {
+            const overrideEnd = override.end || new Date(override.start.getTime() + duration);
+            occurrences.push({ ...toOccurrence(override, override.start, overrideEnd), recurrenceKey: key });
+        } else {
+            occurrences.push(toOccurrence(event, start, new Date(start.getTime() + duration)));
+        }
+    }
+    return occurrences.filter(occurrence => occurrence.end >= from && occurrence.start <= to);
+}
+
+/**
+ * Read meetings from one or more .ics files.
+ *
+ * Recurring events are expanded over the window. Cancellations are honoured
+ * whether they are a cancelled event, a cancelled recurrence override, or a
+ * METHOD:CANCEL update in another file for the same UID.
+ * @param {string[]} files - .ics file paths
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Promise<Array<{id: string, uid: string, summary: string, start: Date, end: Date,
+ *   url: string|null, cancelled: boolean}>>} Occurrences sorted by start
+ */
+async function readMeetings(files, from, to) {
+    const events = [];
+    for (const file of files) {
+        const data = await ical.async.parseFile(file);
+        events.push(...Object.values(data).filter(entry => entry.type === 'VEVENT' && entry.start));
+    }
+
+    // Cancellations sent separately: whole series (no RECURRENCE-ID) or a single instance
+    const cancelledSeries = new Set();
+    const cancelledInstances = new Set();
+    for (const event of events) {
+        if (!event.rrule && isCancelled(event)) {
+            if (event.recurrenceid) {
+                cancelledInstances.add(`${event.uid}@${dateKey(event.recurrenceid)}`);
+            } else {
+                cancelledSeries.add(event.uid);
+            }
+        }
+    }
+
+    const occurrences = new Map();
+    for (const event of events) {
+        for (const occurrence of expandEvent(event, from, to)) {
+            if (cancelledSeries.has(occurrence.uid) || cancelledInstances.has(`${occurrence.uid}@${occurrence.recurrenceKey}`)) {
+                occurrence.cancelled = true;
+            }
+            delete occurrence.recurrenceKey;
+
+            // The same event can appear in several files; a cancellation wins
+            const existing = occurrences.get(occurrence.id);
+            if (!existing || occurrence.cancelled) {
+                occurrences.set(occurrence.id, occurrence);
+            }
+        }
+    }
+
+    return [...occurrences.values()].sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    readMeetings,
+    extractMeetingUrl
+};
@@ -0,0 +1,158 @@
+const EventEmitter = require('events');
+
+/**
+ * States a meeting join attempt moves through
+ * @readonly
+ * @enum {string}
+ */
+const JoinState = Object.freeze({
+    PRE_JOIN: 'pre-join',
+    WAITING_FOR_ADMISSION: 'waiting-for-admission',
+    IN_CALL: 'in-call',
+    DENIED: 'denied',
+    ADMISSION_TIMEOUT: 'admission-timeout',
+    ENDED: 'ended',
+    FAILED: 'failed'
+});
+
+const TERMINAL_STATES = [JoinState.IN_CALL, JoinState.DENIED, JoinState.ADMISSION_TIMEOUT, JoinState.ENDED, JoinState.FAILED];
+
+/**
+ * Raised when a join attempt finishes in any state other than in-call
+ * @extends Error
+ */
+class JoinError extends Error {
+    /**
+     * @param {{state: string, reason: string, attempts: number}} outcome - Final join outcome
+     */
+    constructor(outcome) {
+        super(`Could not join meeting (${outcome.state}): ${outcome.reason}`);
+        this.name = 'JoinError';
+        this.state = outcome.state;
+        this.reason = outcome.reason;
+        this.attempts = outcome.attempts;
+    }
+}
+
+/**
+ * Drives a platform adapter from the pre-join screen into the call.
+ *
+ * pre-join -> waiting-for-admission -> in-call | denied | admission-timeout | ended | failed
+ *
+ * Failed attempts (page errors) are retried; denial, admission timeout and
+ * ended meetings are final, since asking again would only repeat them.
+ * Emits 'transition' with { from, to, reason }.
+ * @extends EventEmitter
+ */
+class JoinStateMachine extends EventEmitter {
+    /**
+     * @param {import('./platforms/PlatformAdapter')} platform - Adapter for the meeting
+     * @param {Object} [options] - Join options
+     * @param {number} [options.admissionTimeout] - Milliseconds to wait in the lobby before giving up
+     * @param {number} [options.retries] - Extra attempts after a failed one
+     * @param {number} [options.pollInterval=1000] - Milliseconds between page state checks
+     */
+    constructor(platform, options = {}) {
+        super();
+        this.platform = platform;
+        this.admissionTimeout = options.admissionTimeout ?? (parseInt(process.env.MEET_ADMISSION_TIMEOUT_MS, 10) || 300000);
+        this.retries = options.retries !== undefined
+            ? options.retries
+            : (process.env.MEET_JOIN_RETRIES !== undefined ? parseInt(process.env.MEET_JOIN_RETRIES, 10) : 2);
+        this.pollInterval = options.pollInterval ?? 1000;
+        this.state = JoinState.PRE_JOIN;
+    }
+
+    transition(to, reason = '') {
+        const from = this.state;
+        this.state = to;
+        console.log(`Join state: ${from} -> ${to}${reason ? ` (${reason})` : ''}`, 'INFO');
+        this.emit('transition', { from, to, reason });
+    }
+
+    /**
+     * Join the meeting, retrying failed attempts
+     * @param {string} meetingUrl - Meeting URL
+     * @returns {Promise<{state: string, reason: string, attempts: number}>} Final outcome
+     */
+    async run(meetingUrl) {
+        let outcome = null;
+
+        for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+            if (attempt > 1) {
+                console.log(`Retrying join (attempt ${attempt} of ${this.retries + 1})...`);
+            }
+
+            const { state, reason } = await this.attempt(meetingUrl);
+            outcome = { state, reason, attempts: attempt };
+
+            if (state !== JoinState.FAILED) {
+                break;
+            }
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Run a single join attempt
+     * @private
+     * @param {string} meetingUrl - Meeting URL
+     * @returns {Promise<{state: string, reason: string}>}
+     */
+    async attempt(meetingUrl) {
+        if (this.state !== JoinState.PRE_JOIN) {
+            this.transition(JoinState.PRE_JOIN, 'retrying');
+        }
+
+        try {
+            await this.platform.openPreJoin(meetingUrl);
+        } catch (error) {
+            // The join button may be missing because the page shows an error instead
+            const detected = await this.detect();
+            if (detected && TERMINAL_STATES.includes(detected.state)) {
+                return this.finish(detected.state, detected.reason);
+            }
+            return this.finish(JoinState.FAILED, `pre-join screen not ready: ${error.message}`);
+        }
+
+        try {
+            await this.platform.requestJoin();
+        } catch (error) {
+            return this.finish(JoinState.FAILED, `could not request to join: ${error.message}`);
+        }
+        this.transition(JoinState.WAITING_FOR_ADMISSION, 'join requested');
+
+        const deadline = Date.now() + this.admissionTimeout;
+        while (Date.now() < deadline) {
+            const detected = await this.detect();
+            if (detected) {
+                if (TERMINAL_STATES.includes(detected.state)) {
+                    return this.finish(detected.state, detected.reason);
+                }
+                if (detected.state !== this.state) {
+                    this.transition(detected.state, detected.reason);
+                }
+            }
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+        }
+
+        return this.finish(JoinState.ADMISSION_TIMEOUT, `not admitted within ${Math.round(this.admissionTimeout / 1000)} seconds`);
+    }
+
+    async detect() {
+        try {
+            return await this.platform.detectJoinState();
+        } catch (error) {
+            console.log('Error detecting join state:', error.message);
+            return null;
+        }
+    }
+
+    finish(state, reason) {
+        this.transition(state, reason);
+        return { state, reason };
+    }
+}
+
+module.exports = { JoinState, JoinError, JoinStateMachine };
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_RATE = 16000;
+const BYTES_PER_MS = SAMPLE_RATE * 2 / 1000;
+const WAV_HEADER_BYTES = 44;
+
+/**
+ * 44-byte PCM WAV header; sizes are patched in once the recording is closed
+ * @private
+ */
+function wavHeader(channels, dataBytes) {
+    const header = Buffer.alloc(WAV_HEADER_BYTES);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(SAMPLE_RATE * channels * 2, 28);
+    header.writeUInt16LE(channels * 2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataBytes, 40);
+    return header;
+}
+
+/**
+ * Records a meeting: the captured audio ("them") and the bot's own speech
+ * ("us") on one timeline, with an index of what was said when.
+ *
+ * The timeline follows the capture, so offsets are positions in the audio.
+ * Bot speech is placed at the capture position where its playback starts.
+ * `stereo` writes <name>.wav with them on the left and us on the right;
+ * `split` writes <name>-them.wav and <name>-us.wav of equal length.
+ * <name>.index.jsonl gets one JSON line per transcript entry and answer
+ * with its offsetMs (and endOffsetMs) in the recording.
+ */
+class MeetingRecorder {
+    /**
+     * @param {Object} [options] - Recorder options
+     * @param {string} [options.dir] - Where recordings go (RECORDING_DIR, default recordings/)
+     * @param {string} [options.format] - 'stereo' or 'split' (RECORDING_FORMAT, default stereo)
+     * @param {string} [options.name] - Base file name (default meeting-<start time>)
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || process.env.RECORDING_DIR || path.join(__dirname, '..', '..', 'recordings');
+        this.format = options.format || process.env.RECORDING_FORMAT || 'stereo';
+        if (!['stereo', 'split'].includes(this.format)) {
+            throw new Error(`Unknown recording format: ${this.format} (use stereo or split)`);
+        }
+        this.name = options.name || `meeting-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+
+        // Samples written so far, and bot speech queued at absolute sample positions
+        this.samples = 0;
+        this.botAudio = [];
+        this.remainder = Buffer.alloc(0);
+        this.files = null;
+        this.indexFile = path.join(this.dir, `${this.name}.index.jsonl`);
+    }
+
+    /**
+     * Create the files and write the index header
+     */
+    start() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const names = this.format === 'stereo' ? [`${this.name}.wav`] : [`${this.name}-them.wav`, `${this.name}-us.wav`];
+        this.files = names.map(name => {
+            const file = path.join(this.dir, name);
+            const fd = fs.openSync(file, 'w');
+            fs.writeSync(fd, wavHeader(this.format === 'stereo' ? 2 : 1, 0));
+            return { file, fd, bytes: 0 };
+        });
+
+        this.index({
+            type: 'recording',
+            started: new Date().toISOString(),
+            format: this.format,
+            sampleRate: SAMPLE_RATE,
+            files: this.files.map(({ file }) => path.basename(file))
+        });
+        console.log(`Recording meeting audio to ${this.files.map(({ file }) => file).join(', ')}`);
+    }
+
+    /**
+     * Current position in the recording
+     * @returns {number} Milliseconds
+     */
+    offsetMs() {
+        return Math.round(this.samples / SAMPLE_RATE * 1000);
+    }
+
+    /**
+     * Append captured audio, mixing in bot speech due at the same position
+     * @param {Buffer} chunk - 16 kHz mono s16le PCM
+     */
+    writeCapture(chunk) {
+        if (!this.files) {
+            return;
+        }
+        const data = this.remainder.length ? Buffer.concat([this.remainder, chunk]) : chunk;
+        const count = data.length >> 1;
+        this.remainder = Buffer.from(data.subarray(count * 2));
+
+        const them = data.subarray(0, count * 2);
+        const us = this.takeBotAudio(count);
+        if (this.format === 'stereo') {
+            const frames = Buffer.alloc(count * 4);
+            for (let i = 0; i < count; i++) {
+                frames.writeInt16LE(them.readInt16LE(i * 2), i * 4);
+                frames.writeInt16LE(us.readInt16LE(i * 2), i * 4 + 2);
+            }
+            this.append(this.files[0], frames);
+        } else {
+            this.append(this.files[0], them);
+            this.append(this.files[1], us);
+        }
+        this.samples += count;
+    }
+
+    /**
+     * Queue bot speech at the current position, after any still queued
+     * @param {Buffer} pcm - 16 kHz mono s16le PCM being played
+     * @returns {{offsetMs: number, durationMs: number}} Where it lands in the recording
+     */
+    addBotAudio(pcm) {
+        const last = this.botAudio[this.botAudio.length - 1];
+        const start = Math.max(this.samples, last ? last.start + (last.pcm.length >> 1) : 0);
+        this.botAudio.push({ start, pcm });
+        return {
+            offsetMs: Math.round(start / SAMPLE_RATE * 1000),
+            durationMs: Math.round(pcm.length / BYTES_PER_MS)
+        };
+    }
+
+    /**
+     * Drop queued bot speech that will not be played (playback stopped early)
+     */
+    truncateBotAudio() {
+        this.botAudio = this.botAudio
+            .filter(({ start }) => start < this.samples)
+            .map(({ start, pcm }) => ({ start, pcm: pcm.subarray(0, (this.samples - start) * 2) }));
+    }
+
+    /**
+     * Add an entry to the index
+     * @param {Object} entry - Entry with a type; offsetMs defaults to the current position
+     */
+    index(entry) {
+        try {
+            fs.appendFileSync(this.indexFile, JSON.stringify({ offsetMs: this.offsetMs(), ...entry }) + '\n');
+        } catch (error) {
+            console.error('Error writing recording index:', error.message);
+        }
+    }
+
+    /**
+     * Finish the files; bot speech still queued is written out against silence
+     */
+    stop() {
+        if (!this.files) {
+            return;
+        }
+
+        const last = this.botAudio[this.botAudio.length - 1];
+        const remaining = last ? last.start + (last.pcm.length >> 1) - this.samples : 0;
+        if (remaining > 0) {
+            this.writeCapture(Buffer.alloc(remaining * 2));
+        }
+
+        for (const { fd, bytes } of this.files) {
+            fs.writeSync(fd, wavHeader(this.format === 'stereo' ? 2 : 1, bytes), 0, WAV_HEADER_BYTES, 0);
+            fs.closeSync(fd);
+        }
+        this.index({ type: 'stopped', time: new Date().toISOString() });
+        console.log(`Meeting recording finished (${Math.round(this.offsetMs() / 1000)}s): ${this.indexFile}`);
+        this.files = null;
+    }
+
+    /**
+     * @private
+     */
+    append(file, data) {
+        fs.writeSync(file.fd, data);
+        file.bytes += data.length;
+    }
+
+    /**
+     * Bot speech for the next `count` samples (silence where there is none)
+     * @private
+     */
+    takeBotAudio(count) {
+        const out = Buffer.alloc(count * 2);
+        const end = this.samples + count;
+        for (const { start, pcm } of this.botAudio) {
+            const from = Math.max(start, this.samples);
+            const to = Math.min(start + (pcm.length >> 1), end);
+            if (from < to) {
+                pcm.copy(out, (from - this.samples) * 2, (from - start) * 2, (to - start) * 2);
+            }
+        }
+        this.botAudio = this.botAudio.filter(({ start, pcm }) => start + (pcm.length >> 1) > end);
+        return out;
+    }
+}
+
+module.exports = MeetingRecorder;
@@ -0,0 +1,267 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { readMeetings } = require('./IcsCalendar');
+
+/**
+ * Joins meetings from .ics calendars on time.
+ *
+ * The calendars are re-read every refresh interval, so new events, moved
+ * instances and cancellations are picked up while the scheduler runs. Each
+ * meeting is joined `leadMs` before its start and left at its scheduled end,
+ * or earlier if the call ends on its own.
+ *
+ * Every decision is logged to the console and appended to
+ * logs/schedule.jsonl. Emits 'scheduled', 'joined', 'left', 'skipped',
+ * 'failed' and 'cancelled' with { meeting, reason }.
+ * @extends EventEmitter
+ */
+class MeetingScheduler extends EventEmitter {
+    /**
+     * @param {string[]} files - .ics files to read
+     * @param {function(Object, number): Object} createAgent - Builds an agent (start()/cleanup(),
+     *   emits 'ended') for a meeting occurrence and a free slot number
+     * @param {Object} [options] - Scheduler options
+     * @param {number} [options.leadMs] - How long before the start to join
+     * @param {number} [options.refreshMs] - How often the calendars are re-read
+     * @param {number} [options.horizonMs=86400000] - How far ahead meetings are scheduled
+     * @param {number} [options.maxConcurrent] - Meetings that may run at the same time
+     * @param {string} [options.logFile] - JSON-lines history of scheduling decisions
+     */
+    constructor(files, createAgent, options = {}) {
+        super();
+        this.files = files;
+        this.createAgent = createAgent;
+        this.leadMs = options.leadMs !== undefined
+            ? options.leadMs
+            : (process.env.SCHEDULE_LEAD_MS !== undefined ? parseInt(process.env.SCHEDULE_LEAD_MS, 10) : 60000);
+        this.refreshMs = options.refreshMs || parseInt(process.env.SCHEDULE_REFRESH_MS, 10) || 5 * 60 * 1000;
+        this.horizonMs = options.horizonMs || 24 * 60 * 60 * 1000;
+        this.maxConcurrent = options.maxConcurrent || parseInt(process.env.SCHEDULE_MAX_CONCURRENT, 10) || 1;
+        this.logFile = options.logFile || path.join(__dirname, '..', '..', 'logs', 'schedule.jsonl');
+
+        // Occurrence id -> { meeting, status, joinTimer, leaveTimer, agent, slot }
+        this.entries = new Map();
+        this.slots = new Array(this.maxConcurrent).fill(null);
+        this.refreshTimer = null;
+    }
+
+    async start() {
+        await this.refresh();
+        this.refreshTimer = setInterval(() => {
+            this.refresh().catch(error => {
+                console.error('Error reading calendars:', error.message);
+            });
+        }, this.refreshMs);
+        console.log(`Meeting scheduler started (${this.files.length} calendar(s), joining ${Math.round(this.leadMs / 1000)}s early)`);
+    }
+
+    /**
+     * Stop scheduling and leave any meeting in progress
+     */
+    async stop() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+
+        const running = [];
+        for (const entry of this.entries.values()) {
+            clearTimeout(entry.joinTimer);
+            if (entry.status === 'running' || entry.status === 'joining') {
+                running.push(this.leave(entry, 'scheduler stopped'));
+            }
+        }
+        await Promise.all(running);
+        console.log('Meeting scheduler stopped');
+    }
+
+    /**
+     * Re-read the calendars and update pending joins
+     */
+    async refresh() {
+        const now = Date.now();
+        const meetings = await readMeetings(this.files, new Date(now), new Date(now + this.horizonMs));
+        const seen = new Set();
+
+        for (const meeting of meetings) {
+            seen.add(meeting.id);
+            const entry = this.entries.get(meeting.id);
+
+            if (meeting.cancelled) {
+                if (entry && entry.status === 'pending') {
+                    clearTimeout(entry.joinTimer);
+                    entry.status = 'cancelled';
+                    this.record('cancelled', meeting, 'cancelled in calendar');
+                } else if (!entry) {
+                    this.entries.set(meeting.id, { meeting, status: 'cancelled' });
+                    this.record('cancelled', meeting, 'cancelled in calendar');
+                }
+                continue;
+            }
+
+            if (!entry) {
+                this.schedule(meeting);
+            } else if (entry.meeting.end.getTime() !== meeting.end.getTime()) {
+                // Extended or shortened: a running meeting gets a new leave time
+                entry.meeting = meeting;
+                if (entry.status === 'running') {
+                    this.scheduleLeave(entry);
+                }
+            }
+        }
+
+        for (const [id, entry] of this.entries) {
+            // Pending occurrences that vanished from the calendar were deleted (or moved)
+            if (entry.status === 'pending' && !seen.has(id)) {
+                clearTimeout(entry.joinTimer);
+                entry.status = 'cancelled';
+                this.record('cancelled', entry.meeting, 'removed from calendar');
+            }
+            // Forget finished meetings once they are out of the window
+            if (!['pending', 'joining', 'running'].includes(entry.status) && entry.meeting.end.getTime() < now) {
+                this.entries.delete(id);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    schedule(meeting) {
+        const entry = { meeting, status: 'pending', joinTimer: null, leaveTimer: null, agent: null, slot: null };
+        this.entries.set(meeting.id, entry);
+
+        if (!meeting.url) {
+            entry.status = 'skipped';
+            this.record('skipped', meeting, 'no supported meeting link in the event');
+            return;
+        }
+
+        const delay = Math.max(0, meeting.start.getTime() - this.leadMs - Date.now());
+        entry.joinTimer = setTimeout(() => {
+            this.join(entry).catch(error => {
+                console.error('Error joining scheduled meeting:', error);
+            });
+        }, delay);
+        this.record('scheduled', meeting, delay === 0 ? 'joining now' : `joining at ${new Date(Date.now() + delay).toISOString()}`);
+    }
+
+    /**
+     * @private
+     */
+    async join(entry) {
+        const { meeting } = entry;
+        if (entry.status !== 'pending') {
+            return;
+        }
+        if (meeting.end.getTime() <= Date.now()) {
+            entry.status = 'skipped';
+            this.record('skipped', meeting, 'meeting already over');
+            return;
+        }
+
+        const slot = this.slots.indexOf(null);
+        if (slot === -1) {
+            entry.status = 'skipped';
+            const busy = this.slots.map(other => other.meeting.summary).join(', ');
+            this.record('skipped', meeting, `already in ${this.maxConcurrent} meeting(s): ${busy}`);
+            return;
+        }
+
+        entry.status = 'joining';
+        entry.slot = slot;
+        this.slots[slot] = entry;
+        entry.agent = this.createAgent(meeting, slot);
+
+        entry.agent.on('ended', reason => {
+            if (entry.status === 'running') {
+                this.release(entry, 'left', `call ended (${reason})`);
+            }
+        });
+
+        try {
+            await entry.agent.start();
+        } catch (error) {
+            this.release(entry, 'failed', error.message);
+            return;
+        }
+
+        if (entry.status !== 'joining') {
+            return;
+        }
+        entry.status = 'running';
+        this.record('joined', meeting, `until ${meeting.end.toISOString()}`);
+        this.scheduleLeave(entry);
+    }
+
+    /**
+     * @private
+     */
+    scheduleLeave(entry) {
+        clearTimeout(entry.leaveTimer);
+        entry.leaveTimer = setTimeout(() => {
+            this.leave(entry, 'scheduled end').catch(error => {
+                console.error('Error leaving scheduled meeting:', error);
+            });
+        }, Math.max(0, entry.meeting.end.getTime() - Date.now()));
+    }
+
+    /**
+     * @private
+     */
+    async leave(entry, reason) {
+        if (entry.status !== 'running' && entry.status !== 'joining') {
+            return;
+        }
+        const agent = entry.agent;
+        this.release(entry, 'left', reason);
+        await agent.cleanup();
+    }
+
+    /**
+     * Free the entry's slot and record how it finished
+     * @private
+     */
+    release(entry, status, reason) {
+        clearTimeout(entry.leaveTimer);
+        entry.status = status;
+        entry.agent = null;
+        if (entry.slot !== null && this.slots[entry.slot] === entry) {
+            this.slots[entry.slot] = null;
+        }
+        this.record(status, entry.meeting, reason);
+    }
+
+    /**
+     * Log a scheduling decision and append it to the history file
+     * @private
+     */
+    record(event, meeting, reason) {
+        const line = `${meeting.summary} (${meeting.start.toISOString()}): ${reason}`;
+        if (event === 'failed') {
+            console.error(`Scheduled join failed - ${line}`);
+        } else {
+            console.log(`Schedule ${event} - ${line}`);
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+            fs.appendFileSync(this.logFile, JSON.stringify({
+                time: new Date().toISOString(),
+                event,
+                summary: meeting.summary,
+                start: meeting.start.toISOString(),
+                end: meeting.end.toISOString(),
+                url: meeting.url,
+                reason
+            }) + '\n');
+        } catch (error) {
+            console.error('Error writing schedule log:', error.message);
+        }
+
+        this.emit(event, { meeting, reason });
+    }
+}
+
+module.exports = MeetingScheduler;
@@ -1,5 +1,6 @@
 const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
 const { getPersona, determineConversationType } = require('./persona');
+const { languageName } = require('./languages');
 
 class ProcessResult {
     constructor(config = {}) {
@@ -8,6 +9,7 @@ class ProcessResult {
         this.minRelevantChunks = config.minRelevantChunks || 1;
         this.chunkSize = config.chunkSize || 500;
         this.chunkOverlap = config.chunkOverlap || 50;
+        this.persona = config.persona;
         
         this.textSplitter = new RecursiveCharacterTextSplitter({
             chunkSize: this.chunkSize,
@@ -92,14 +94,18 @@ class ProcessResult {
         return { context, sources };
     }
 
-    async createAnalysisPrompt(transcript, context, conversationType) {
-        const persona = getPersona();
+    async createAnalysisPrompt(transcript, context, conversationType, details = {}) {
+        const persona = getPersona(this.persona);
+        const asker = details.speaker ? ` from ${details.speaker}` : '';
+        const language = details.languageCode
+            ? `The question was asked in ${languageName(details.languageCode)}. Answer in ${languageName(details.languageCode)}.`
+            : 'Answer in the language the question was asked in.';
         
         const promptContent = conversationType === 'casual' 
             ? persona.casualPrompt 
             : persona.technicalPrompt;
 
-        const basePrompt = `You are me - Jed McCaleb. I'm direct, honest, and straightforward in all conversations.
+        const basePrompt = `${persona.systemPrompt}
 
 ${promptContent}
 
@@ -108,7 +114,9 @@ ${conversationType === 'technical' ?
     persona.responseTemplates.technical : 
     persona.responseTemplates.casual}
 
-Remember: This is me speaking directly to someone, not about me in third person.`;
+Remember: This is me speaking directly to someone, not about me in third person.
+
+${language}`;
 
         // If no context is provided, create a prompt without it
         if (!context) {
@@ -121,8 +129,8 @@ Remember: This is me speaking directly to someone, not about me in third person.
                 {
                     role: 'user',
                     content: conversationType === 'technical' 
-                        ? `Question for me: ${transcript}\n\nKeep the response focused and brief, highlighting only the most important points.`
-                        : `Question for me: ${transcript}`
+                        ? `Question for me${asker}: ${transcript}\n\nKeep the response focused and brief, highlighting only the most important points.`
+                        : `Question for me${asker}: ${transcript}`
                 }
             ];
 
@@ -157,8 +165,8 @@ Remember: This is me speaking directly to someone, not about me in third person.
             {
                 role: 'user',
                 content: conversationType === 'technical'
-                    ? `Context: ${combinedContext}\n\nQuestion for me: ${transcript}\n\nKeep the response focused and brief, highlighting only the most important points.`
-                    : `Question for me: ${transcript}`
+                    ? `Context: ${combinedContext}\n\nQuestion for me${asker}: ${transcript}\n\nKeep the response focused and brief, highlighting only the most important points.`
+                    : `Question for me${asker}: ${transcript}`
             }
         ];
 
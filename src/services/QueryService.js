@@ -10,8 +10,13 @@ const TextToSpeechService = require('./TextToSpeechService');
 dotenv.config();
 
 class QueryService {
+    /**
+     * @param {Object} [options] - Service options
+     * @param {string} [options.queryDir] - Transcript/query directory; analyses go in its analysis/ folder
+     * @param {string} [options.persona] - Persona the answers are written as (defaults to AGENT_PERSONA)
+     */
     constructor(options = {}) {
-        this.queryDir = path.join(__dirname, '..', '..', 'query');
+        this.queryDir = options.queryDir || path.join(__dirname, '..', '..', 'query');
         this.queryFile = path.join(this.queryDir, 'query.txt');
         this.analysisDir = path.join(this.queryDir, 'analysis');
         
@@ -37,12 +42,13 @@ class QueryService {
             maxContextLength: 3000,
             minRelevantChunks: 1,
             chunkSize: 500,
-            chunkOverlap: 50
+            chunkOverlap: 50,
+            persona: options.persona
         });
 
         // Conditionally initialize text-to-speech service
         if (!options.skipTTS) {
-            this.ttsService = new TextToSpeechService();
+            this.ttsService = options.ttsService || new TextToSpeechService({ persona: options.persona });
             this.ttsService.setOnSpeakingStateChange((speaking) => {
                 this.isSpeaking = speaking;
                 // Notify AudioService about TTS state
@@ -61,6 +67,37 @@ class QueryService {
 
         this.isSpeaking = false;
         this.audioService = null;
+        this.chatSender = null;
+
+        // Phrases that ask the agent to answer in the meeting chat instead of speaking
+        this.chatReplyPatterns = [
+            /\b(in|into|on|to|via|over) (the )?chat\b/i,
+            /\b(type|write) (it|that|this) (out|down) for (me|us)\b/i
+        ];
+    }
+
+    /**
+     * Set the function used to post replies to the meeting chat
+     * @param {function(string): Promise} sender - Posts a message to the chat
+     */
+    setChatSender(sender) {
+        this.chatSender = sender;
+    }
+
+    /**
+     * Decide how to deliver the answer for a query
+     * @param {string} transcript - Incoming query text
+     * @param {string} channel - Where the query came from ('voice' or 'chat')
+     * @returns {string} 'chat' or 'voice'
+     */
+    getReplyChannel(transcript, channel) {
+        if (!this.chatSender) {
+            return 'voice';
+        }
+        if (channel === 'chat') {
+            return 'chat';
+        }
+        return this.chatReplyPatterns.some(pattern => pattern.test(transcript)) ? 'chat' : 'voice';
     }
 
     setAudioService(audioService) {
@@ -119,6 +156,11 @@ class QueryService {
     }
 
     getMostRecentTranscript() {
+        const entry = this.getMostRecentTranscriptEntry();
+        return entry ? entry.text : null;
+    }
+
+    getMostRecentTranscriptEntry() {
         try {
             if (!fs.existsSync(this.queryFile)) {
                 console.log('Query file does not exist');
@@ -144,11 +186,16 @@ class QueryService {
                 const lines = entry.split('\n');
                 if (lines.length >= 2) {
                     const firstLine = lines[0];
-                    const matches = firstLine.match(/\[(.*?)\] \[(FINAL|INTERIM)\] \(confidence: ([\d.]+)%\)/);
+                    const matches = firstLine.match(/\[(.*?)\] \[(FINAL|INTERIM)\] \(confidence: ([\d.]+)%\)(?: \[speaker: (.*?)\])?(?: \[label: (.*?)\])?/);
                     
                     if (matches && matches[2] === 'FINAL') {
                         console.log('Found most recent final transcript');
-                        return lines.slice(1).join('\n').trim();
+                        return {
+                            timestamp: matches[1],
+                            speaker: matches[4] || null,
+                            speakerLabel: matches[5] || null,
+                            text: lines.slice(1).join('\n').trim()
+                        };
                     }
                 }
             }
@@ -163,14 +210,14 @@ class QueryService {
 
     async queryWithRecentTranscript() {
         try {
-            const transcript = this.getMostRecentTranscript();
-            if (!transcript) {
+            const entry = this.getMostRecentTranscriptEntry();
+            if (!entry) {
                 console.log('No recent transcript found');
                 return null;
             }
 
-            console.log('Processing recent transcript:', transcript);
-            return await this.processQuery(transcript);
+            console.log('Processing recent transcript:', entry.text);
+            return await this.processQuery(entry.text, null, { speaker: entry.speaker, speakerLabel: entry.speakerLabel });
         } catch (error) {
             console.error('Error processing recent transcript:', error);
             throw error;
@@ -210,12 +257,17 @@ Consider the following:
         }
     }
 
-    async processQuery(transcript, context = null) {
+    async processQuery(transcript, context = null, options = {}) {
+        const channel = options.channel || 'voice';
+        const speaker = options.speaker || options.author || null;
+        const speakerLabel = options.speakerLabel || null;
+        const languageCode = options.languageCode || null;
+
         try {
             console.log('Processing query...');
             
             // Skip processing if we detect it's our own speech
-            if (this.audioService && !this.audioService.shouldProcessAudio(transcript)) {
+            if (channel === 'voice' && this.audioService && !this.audioService.shouldProcessAudio(transcript)) {
                 console.log('Skipping query processing - detected potential feedback');
                 return null;
             }
@@ -246,7 +298,10 @@ Consider the following:
             }
 
             // Get analysis prompt with conversation type and context
-            const prompt = await this.processor.createAnalysisPrompt(transcript, context, conversationType);
+            const prompt = await this.processor.createAnalysisPrompt(transcript, context, conversationType, {
+                speaker: speaker || speakerLabel,
+                languageCode
+            });
 
             console.log('Sending request to OpenAI...');
             const response = await this.openai.chat.completions.create({
@@ -262,8 +317,10 @@ Consider the following:
             const analysis = response.choices[0].message.content;
             console.log(`Analysis generated successfully (${conversationType} response)`);
             
+            const replyChannel = this.getReplyChannel(transcript, channel);
+
             // Save the analysis
-            await this.saveAnalysis(transcript, analysis, context, conversationType);
+            const analysisFile = await this.saveAnalysis(transcript, analysis, context, conversationType, { channel, replyChannel, speaker, speakerLabel, languageCode });
 
             // Store the response for feedback prevention
             if (this.audioService) {
@@ -271,11 +328,21 @@ Consider the following:
                 this.audioService.storeResponse(analysis);
             }
 
-            // Handle TTS if enabled
-            if (this.config.useTTS && this.ttsService) {
+            // Answer in the meeting chat when asked to, otherwise speak
+            if (replyChannel === 'chat') {
+                console.log('Posting analysis to meeting chat...');
+                try {
+                    await this.chatSender(analysis);
+                } catch (error) {
+                    console.error('Error posting to chat:', error);
+                }
+            } else if (this.config.useTTS && this.ttsService) {
                 console.log('Converting analysis to speech...');
                 try {
-                    await this.ttsService.synthesizeAndPlay(analysis);
+                    const playback = await this.ttsService.synthesizeAndPlay(analysis, { languageCode });
+                    if (playback && playback.interrupted) {
+                        this.recordInterruption(analysisFile, playback);
+                    }
                 } catch (error) {
                     console.error('Error in text-to-speech:', error);
                 }
@@ -289,7 +356,7 @@ Consider the following:
         }
     }
 
-    async saveAnalysis(transcript, analysis, context, conversationType) {
+    async saveAnalysis(transcript, analysis, context, conversationType, details = {}) {
         const analysisDir = path.join(this.queryDir, 'analysis');
         if (!fs.existsSync(analysisDir)) {
             fs.mkdirSync(analysisDir, { recursive: true });
@@ -303,19 +370,42 @@ Consider the following:
             transcript,
             context,
             analysis,
-            conversationType // Add conversation type to saved data
+            conversationType, // Add conversation type to saved data
+            ...details
         };
 
         try {
             fs.writeFileSync(analysisFile, JSON.stringify(analysisData, null, 2));
             console.log(`Analysis saved to: ${analysisFile}`);
+            return analysisFile;
         } catch (error) {
             console.error('Error saving analysis:', error);
             throw error;
         }
     }
 
-    async saveQuery(text, confidence, isFinal, timestamp = new Date().toISOString()) {
+    /**
+     * Note in a saved analysis that its answer was cut short while being spoken
+     * @param {string} analysisFile - File written by saveAnalysis()
+     * @param {{reason: string, at: string, chunksPlayed: number, chunksTotal: number}} playback -
+     *   Result of TextToSpeechService.synthesizeAndPlay()
+     */
+    recordInterruption(analysisFile, playback) {
+        try {
+            const analysisData = JSON.parse(fs.readFileSync(analysisFile, 'utf8'));
+            analysisData.interrupted = {
+                reason: playback.reason,
+                at: playback.at,
+                chunksPlayed: playback.chunksPlayed,
+                chunksTotal: playback.chunksTotal
+            };
+            fs.writeFileSync(analysisFile, JSON.stringify(analysisData, null, 2));
+        } catch (error) {
+            console.error('Error recording interrupted answer:', error);
+        }
+    }
+
+    async saveQuery(text, confidence, isFinal, timestamp = new Date().toISOString(), speaker = null, speakerLabel = null) {
         // Ensure text is a string and not empty
         if (!text || typeof text !== 'string' || text.trim().length === 0) {
             console.log('Skipping empty or invalid transcript');
@@ -324,7 +414,9 @@ Consider the following:
 
         const confidenceStr = confidence ? ` (confidence: ${(confidence * 100).toFixed(2)}%)` : '';
         const finalityStr = isFinal ? '[FINAL]' : '[INTERIM]';
-        const queryEntry = `${timestamp}\n${finalityStr}${confidenceStr}\n${text}\n\n`;
+        const speakerStr = speaker ? ` [speaker: ${speaker}]` : '';
+        const labelStr = speakerLabel ? ` [label: ${speakerLabel}]` : '';
+        const queryEntry = `${timestamp}\n${finalityStr}${confidenceStr}${speakerStr}${labelStr}\n${text}\n\n`;
 
         try {
             // Append to query file
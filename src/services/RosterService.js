@@ -0,0 +1,186 @@
+const EventEmitter = require('events');
+
+/**
+ * Tracks meeting participants and who is speaking by polling the meeting page.
+ *
+ * Emits:
+ * - 'join'  ({ id, name }) when a participant appears
+ * - 'leave' ({ id, name }) when a participant disappears
+ * - 'speaking' (name) each time a participant is seen with the speaking highlight
+ * @extends EventEmitter
+ */
+class RosterService extends EventEmitter {
+    /**
+     * @param {Object} [options] - Roster options
+     * @param {number} [options.pollInterval=1000] - Milliseconds between page scrapes
+     * @param {number} [options.speakerWindowMs=8000] - How far back speaking samples count towards attribution
+     */
+    constructor(options = {}) {
+        super();
+        this.pollInterval = options.pollInterval || parseInt(process.env.ROSTER_POLL_INTERVAL_MS, 10) || 1000;
+        this.speakerWindowMs = options.speakerWindowMs || 8000;
+        this.platform = null;
+        this.timer = null;
+        this.isPolling = false;
+        this.participants = new Map();
+        this.speakerSamples = [];
+        this.labelVotes = new Map();
+    }
+
+    /**
+     * Start polling the meeting page
+     * @param {import('./platforms/PlatformAdapter')} platform - Adapter for the joined meeting
+     */
+    async start(platform) {
+        if (this.timer) {
+            console.log('Roster tracking is already running', 'WARN');
+            return;
+        }
+
+        this.platform = platform;
+
+        // Fail early if the platform cannot provide a roster
+        await this.poll();
+
+        this.timer = setInterval(() => {
+            this.poll().catch(error => {
+                console.error('Error reading roster:', error.message);
+            });
+        }, this.pollInterval);
+        console.log('Roster tracking started', 'INFO');
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Roster tracking stopped', 'INFO');
+        }
+        this.platform = null;
+        this.participants.clear();
+        this.speakerSamples = [];
+        this.labelVotes.clear();
+    }
+
+    /**
+     * Scrape the roster once and emit join/leave events for any changes
+     * @private
+     */
+    async poll() {
+        if (this.isPolling || !this.platform) {
+            return;
+        }
+
+        this.isPolling = true;
+        try {
+            const { participants, activeSpeakers } = await this.platform.readRoster();
+            const now = Date.now();
+
+            const current = new Map(participants.map(participant => [participant.id, participant]));
+            for (const [id, participant] of current) {
+                if (!this.participants.has(id)) {
+                    this.participants.set(id, participant);
+                    console.log(`Participant joined: ${participant.name}`, 'INFO');
+                    this.emit('join', participant);
+                }
+            }
+            for (const [id, participant] of this.participants) {
+                if (!current.has(id)) {
+                    this.participants.delete(id);
+                    console.log(`Participant left: ${participant.name}`, 'INFO');
+                    this.emit('leave', participant);
+                }
+            }
+
+            for (const name of activeSpeakers) {
+                this.speakerSamples.push({ name, time: now });
+                this.emit('speaking', name);
+            }
+
+            // Keep only samples that can still matter for attribution
+            const oldest = now - this.speakerWindowMs * 2;
+            while (this.speakerSamples.length && this.speakerSamples[0].time < oldest) {
+                this.speakerSamples.shift();
+            }
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Current participants, excluding the bot itself
+     * @returns {Array<{id: string, name: string}>}
+     */
+    getParticipants() {
+        return Array.from(this.participants.values());
+    }
+
+    /**
+     * Guess who spoke an utterance that ended at the given time
+     * @param {number} [at=Date.now()] - End time of the utterance in milliseconds
+     * @param {number} [windowMs] - How far back to look for speaking samples
+     * @returns {string|null} Participant name, or null if nobody can be attributed
+     */
+    getLikelySpeaker(at = Date.now(), windowMs = this.speakerWindowMs) {
+        const counts = new Map();
+        for (const sample of this.speakerSamples) {
+            if (sample.time >= at - windowMs && sample.time <= at) {
+                counts.set(sample.name, (counts.get(sample.name) || 0) + 1);
+            }
+        }
+
+        let speaker = null;
+        let best = 0;
+        for (const [name, count] of counts) {
+            if (count > best) {
+                speaker = name;
+                best = count;
+            }
+        }
+
+        // With only one other person in the call there's nobody else it could be
+        if (!speaker && this.participants.size === 1) {
+            speaker = this.getParticipants()[0].name;
+        }
+
+        return speaker;
+    }
+
+    /**
+     * Map a diarization speaker to a participant name. Each call counts who
+     * the page showed speaking at the time towards that speaker, so one
+     * misattributed utterance does not rename a voice.
+     * @param {string} speakerId - Recognizer's speaker id (see SttProvider)
+     * @param {number} [at=Date.now()] - End time of the utterance in milliseconds
+     * @returns {string|null} Participant name, or null if nobody has been seen speaking for that voice
+     */
+    nameForSpeaker(speakerId, at = Date.now()) {
+        let votes = this.labelVotes.get(speakerId);
+        if (!votes) {
+            votes = new Map();
+            this.labelVotes.set(speakerId, votes);
+
+            // Recognition streams come and go; only recent voices are worth remembering
+            if (this.labelVotes.size > 50) {
+                this.labelVotes.delete(this.labelVotes.keys().next().value);
+            }
+        }
+
+        const current = this.getLikelySpeaker(at);
+        if (current) {
+            votes.set(current, (votes.get(current) || 0) + 1);
+        }
+
+        let name = null;
+        let best = 0;
+        for (const [candidate, count] of votes) {
+            if (count > best) {
+                name = candidate;
+                best = count;
+            }
+        }
+        return name;
+    }
+}
+
+module.exports = RosterService;
@@ -1,39 +1,52 @@
-const { TextToSpeechClient } = require('@google-cloud/text-to-speech');
 const fs = require('fs').promises;
 const fsSync = require('fs');  // For sync operations
 const path = require('path');
 const AudioPlayer = require('./AudioPlayer');
 const numberToWords = require('number-to-words');
+const { primaryLanguage, languageName } = require('./languages');
+const { createTtsProviders } = require('./tts');
+const { getPersona } = require('./persona');
 
+/**
+ * Speaks answers through the configured text-to-speech providers (see
+ * ./tts). The first provider that initializes is used; if it fails on a
+ * sentence, the next one in TTS_PROVIDER order speaks it instead.
+ */
 class TextToSpeechService {
-    constructor() {
-        this.client = null;
-        this.audioPlayer = new AudioPlayer({
+    /**
+     * @param {Object} [options] - Service options
+     * @param {Object} [options.audioPlayer] - Player to use instead of local FFplay playback
+     *   (e.g. a BrowserAudioSink feeding the meeting microphone)
+     * @param {string} [options.outputDir] - Where synthesized audio files are written
+     * @param {string|string[]} [options.providers] - Providers in fallback order: google, elevenlabs,
+     *   openai, piper, espeak (TTS_PROVIDER, comma-separated, default google)
+     * @param {string} [options.persona] - Persona whose voices are used (defaults to AGENT_PERSONA)
+     * @param {Object<string, string>} [options.voices] - Voice per provider, over the TTS_*_VOICE
+     *   settings and the persona's voices
+     * @param {Object<string, Object>} [options.providerOptions] - Other options per provider
+     */
+    constructor(options = {}) {
+        this.audioPlayer = options.audioPlayer || new AudioPlayer({
             volume: 85  // Slightly lower default volume for comfort
         });
-        this.outputDir = path.join(__dirname, '..', '..', 'audio_output');
+        this.outputDir = options.outputDir || path.join(__dirname, '..', '..', 'audio_output');
         this.isInitialized = false;
-        this.credentialsPath = path.join(__dirname, '..', 'creds', 'meetBot-credentials.json');
-        
-        // Voice settings for more natural speech
-        this.voiceSettings = {
-            languageCode: 'en-US',
-            name: 'en-US-Neural2-D',  // Male voice with natural intonation
-            ssmlGender: 'MALE'
-        };
-        
-        // Audio settings for better quality
-        this.audioConfig = {
-            audioEncoding: 'MP3',
-            speakingRate: 1.1,        // Slightly faster for engagement
-            pitch: -0.5,              // Slightly lower pitch for male voice
-            volumeGainDb: 1.0,        // Slight volume boost
-            effectsProfileId: ['small-bluetooth-speaker-class-device']  // Optimize for speakers
-        };
+        this.languageCode = 'en-US';
+
+        // An agent's voices win over the TTS_*_VOICE settings, which win over the persona's
+        this.providers = createTtsProviders(options.providers, {
+            voices: options.voices,
+            personaVoices: getPersona(options.persona).voices,
+            providerOptions: options.providerOptions
+        });
+        this.available = [];
 
         this.isSpeaking = false;
+        // The answer being spoken: { interrupted, reason, at, offsetMs }
+        this.currentPlayback = null;
         this.audioService = null;
         this.onSpeakingStateChange = null;
+        this.speakingHooks = {};
     }
 
     async initialize() {
@@ -41,16 +54,24 @@ class TextToSpeechService {
             // Ensure output directory exists
             await fs.mkdir(this.outputDir, { recursive: true });
             
-            try {
-                // Initialize with credentials file path
-                this.client = new TextToSpeechClient({
-                    keyFilename: this.credentialsPath
-                });
-                this.isInitialized = true;
-                console.log('Text-to-speech service initialized with credentials from:', this.credentialsPath);
-            } catch (error) {
-                console.warn('Failed to initialize Google Cloud Text-to-Speech:', error.message);
-                this.isInitialized = false;
+            // Providers that cannot run here are left out of the fallback chain
+            this.available = [];
+            for (const provider of this.providers) {
+                try {
+                    await provider.initialize();
+                    this.available.push(provider);
+                } catch (error) {
+                    console.warn(`Text-to-speech provider ${provider.name} unavailable:`, error.message);
+                }
+            }
+
+            this.isInitialized = this.available.length > 0;
+            if (this.isInitialized) {
+                const [primary, ...fallbacks] = this.available;
+                console.log(`Text-to-speech service initialized: ${primary.name} (voice ${primary.voice || 'default'})`
+                    + (fallbacks.length ? `, falling back to ${fallbacks.map(provider => provider.name).join(', ')}` : ''));
+            } else {
+                console.warn('No text-to-speech provider could be initialized');
             }
         } catch (error) {
             console.error('Error initializing text-to-speech service:', error);
@@ -62,7 +83,22 @@ class TextToSpeechService {
         this.audioService = audioService;
     }
 
-    async synthesizeAndPlay(text) {
+    /**
+     * Speak an answer, sentence by sentence. An answer still playing is
+     * interrupted first.
+     * @param {string} text - Answer to speak
+     * @param {Object} [options] - Speech options
+     * @param {string} [options.languageCode] - Language of the answer, which picks the voice
+     * @returns {Promise<{interrupted: boolean, reason: string|null, at: string|null, chunksPlayed: number,
+     *   chunksTotal: number}>} How much was spoken, and whether interrupt() cut it short
+     */
+    async synthesizeAndPlay(text, options = {}) {
+        if (this.currentPlayback) {
+            await this.interrupt('superseded by a new answer');
+        }
+        const playback = { interrupted: false, reason: null, at: null, chunksPlayed: 0, chunksTotal: 0, offsetMs: null };
+        this.currentPlayback = playback;
+
         try {
             this.isSpeaking = true;
             // Notify about speaking state
@@ -79,44 +115,163 @@ class TextToSpeechService {
                 throw new Error('Text-to-speech service not initialized');
             }
 
+            const languageCode = options.languageCode || this.languageCode;
+            if (primaryLanguage(languageCode) !== primaryLanguage(this.languageCode)) {
+                console.log(`Answering in ${languageName(languageCode)}`);
+            }
+
             // Prepare the text for better speech synthesis
-            const preparedText = this.prepareTextForSpeech(text);
+            const preparedText = this.prepareTextForSpeech(text, languageCode);
 
             // Split text into manageable chunks if needed
             const chunks = this.splitTextIntoChunks(preparedText);
-            
-            for (const chunk of chunks) {
-                const request = {
-                    input: { ssml: `<speak>${chunk}</speak>` },
-                    voice: this.voiceSettings,
-                    audioConfig: this.audioConfig
-                };
-
-                const [response] = await this.client.synthesizeSpeech(request);
-                const audioFilename = `speech_${Date.now()}.mp3`;
-                const audioPath = path.join(this.outputDir, audioFilename);
-
-                await fs.writeFile(audioPath, response.audioContent, 'binary');
-                await this.audioPlayer.playAudio(audioPath);
 
-                // Clean up the file after playing
-                await fs.unlink(audioPath).catch(console.error);
+            playback.chunksTotal = chunks.length;
+
+            await this.runSpeakingHook('beforeSpeaking');
+            try {
+                await this.playChunks(chunks, playback, languageCode);
+            } finally {
+                // A newer answer has already taken over the microphone
+                if (this.currentPlayback === playback) {
+                    await this.runSpeakingHook('afterSpeaking');
+                }
             }
 
-            this.isSpeaking = false;
-            if (this.onSpeakingStateChange) {
-                this.onSpeakingStateChange(false);
+            this.finishPlayback(playback);
+            if (this.audioService) {
+                this.audioService.indexAnswer(text, playback);
             }
+            const { interrupted, reason, at, chunksPlayed, chunksTotal } = playback;
+            return { interrupted, reason, at, chunksPlayed, chunksTotal };
         } catch (error) {
-            this.isSpeaking = false;
-            if (this.onSpeakingStateChange) {
-                this.onSpeakingStateChange(false);
-            }
+            this.finishPlayback(playback);
             console.error('Error synthesizing or playing speech:', error);
             throw error;
         }
     }
 
+    /**
+     * Synthesize one sentence with the first provider that manages it
+     * @param {string} fragment - SSML fragment
+     * @param {string} languageCode - Language of the answer
+     * @returns {Promise<{audio: Buffer, extension: string}>}
+     * @throws {Error} If every provider fails
+     */
+    async synthesize(fragment, languageCode) {
+        const failures = [];
+        for (const provider of this.available) {
+            try {
+                const result = await provider.synthesize(fragment, { languageCode });
+                if (failures.length) {
+                    console.log(`Spoke with ${provider.name} instead (${failures.join('; ')})`, 'WARN');
+                }
+                return result;
+            } catch (error) {
+                failures.push(`${provider.name} failed: ${error.message}`);
+            }
+        }
+        throw new Error(`No text-to-speech provider could speak: ${failures.join('; ')}`);
+    }
+
+    /**
+     * Stop the answer being spoken: the current chunk is cut off and the rest dropped
+     * @param {string} reason - Why, recorded with the answer (e.g. 'barge-in')
+     * @returns {Promise<boolean>} False if nothing was playing
+     */
+    async interrupt(reason) {
+        const playback = this.currentPlayback;
+        if (!playback || playback.interrupted) {
+            return false;
+        }
+
+        playback.interrupted = true;
+        playback.reason = reason;
+        playback.at = new Date().toISOString();
+        console.log(`Speech interrupted (${reason}) after ${playback.chunksPlayed} of ${playback.chunksTotal} chunk(s)`);
+
+        // The rest of the answer will not be heard, so there is no echo of it to expect
+        if (this.audioService) {
+            this.audioService.clearPlaybackReference();
+        }
+        await this.audioPlayer.stopAudio();
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    finishPlayback(playback) {
+        if (this.currentPlayback !== playback) {
+            return;
+        }
+        this.currentPlayback = null;
+        this.isSpeaking = false;
+        if (this.onSpeakingStateChange) {
+            this.onSpeakingStateChange(false);
+        }
+    }
+
+    /**
+     * Synthesize and play prepared SSML chunks in order, until interrupted
+     * @private
+     * @param {string[]} chunks - SSML fragments
+     * @param {Object} playback - The answer's playback state (see synthesizeAndPlay)
+     * @param {string} [languageCode=this.languageCode] - Language of the answer
+     */
+    async playChunks(chunks, playback, languageCode = this.languageCode) {
+        for (const chunk of chunks) {
+            if (playback.interrupted) {
+                break;
+            }
+
+            const { audio, extension } = await this.synthesize(chunk, languageCode);
+            const audioFilename = `speech_${Date.now()}.${extension}`;
+            const audioPath = path.join(this.outputDir, audioFilename);
+
+            await fs.writeFile(audioPath, audio);
+
+            try {
+                // Synthesis takes a moment; the answer may have been interrupted meanwhile
+                if (playback.interrupted) {
+                    break;
+                }
+
+                // Let the capture recognize and remove the bot's voice, and record it
+                if (this.audioService) {
+                    const placed = await this.audioService.addPlaybackReference(audioPath);
+                    if (placed && playback.offsetMs === null) {
+                        playback.offsetMs = placed.offsetMs;
+                    }
+                }
+                await this.audioPlayer.playAudio(audioPath);
+                if (!playback.interrupted) {
+                    playback.chunksPlayed++;
+                }
+            } finally {
+                // Clean up the file after playing
+                await fs.unlink(audioPath).catch(console.error);
+            }
+        }
+    }
+
+    /**
+     * Run a speaking hook, logging rather than propagating failures so a
+     * flaky meeting control never stops the bot from answering
+     * @private
+     * @param {string} name - 'beforeSpeaking' or 'afterSpeaking'
+     */
+    async runSpeakingHook(name) {
+        const hook = this.speakingHooks[name];
+        if (!hook) return;
+
+        try {
+            await hook();
+        } catch (error) {
+            console.warn(`Speaking hook ${name} failed:`, error.message);
+        }
+    }
+
     /**
      * Convert a number to words, with error handling
      * @private
@@ -142,9 +297,10 @@ class TextToSpeechService {
     /**
      * Prepare text for speech synthesis by improving its structure and formatting
      * @param {string} text - The text to prepare
+     * @param {string} [languageCode] - Language of the text; numbers are only spelled out in English
      * @returns {string} Prepared text
      */
-    prepareTextForSpeech(text) {
+    prepareTextForSpeech(text, languageCode = this.languageCode) {
         if (!text) return '';
 
         // Remove any special characters that might affect speech
@@ -159,8 +315,10 @@ class TextToSpeechService {
         text = text.replace(/,\s+/g, ', <break time="200ms"/> ');
         text = text.replace(/;\s+/g, '; <break time="300ms"/> ');
 
-        // Convert numbers to words for better pronunciation
-        text = text.replace(/\b\d+\b/g, (match) => this.numberToWords(match));
+        // Convert numbers to words for better pronunciation (other languages read digits fine)
+        if (primaryLanguage(languageCode) === 'en') {
+            text = text.replace(/\b\d+\b/g, (match) => this.numberToWords(match));
+        }
 
         // Add emphasis to key phrases
         const emphasisPhrases = [
@@ -206,7 +364,7 @@ class TextToSpeechService {
             // Keep only the 5 most recent files
             const files = await fs.readdir(this.outputDir);
             const audioFiles = await Promise.all(
-                files.filter(f => f.endsWith('.mp3'))
+                files.filter(f => f.endsWith('.mp3') || f.endsWith('.wav'))
                      .map(async f => {
                          const filePath = path.join(this.outputDir, f);
                          const stats = await fs.stat(filePath);
@@ -251,6 +409,17 @@ class TextToSpeechService {
     setOnSpeakingStateChange(callback) {
         this.onSpeakingStateChange = callback;
     }
+
+    /**
+     * Register async hooks that are awaited around playback, e.g. to unmute
+     * or raise a hand in the meeting before the bot talks
+     * @param {Object} hooks
+     * @param {Function} [hooks.beforeSpeaking] - Awaited before the first chunk plays
+     * @param {Function} [hooks.afterSpeaking] - Awaited after playback ends or fails
+     */
+    setSpeakingHooks(hooks = {}) {
+        this.speakingHooks = hooks;
+    }
 }
 
 module.exports = TextToSpeechService;
@@ -0,0 +1,175 @@
+const fs = require('fs');
+
+// A query.txt entry header: [timestamp] [FINAL] (confidence: 93.10%) [speaker: Alice] [label: Speaker 2]
+const QUERY_HEADER = /\[(FINAL|INTERIM)\](?: \(confidence: ([\d.]+)%\))?(?: \[speaker: (.*?)\])?(?: \[label: (.*?)\])?\s*$/;
+// A transcript line: [01:02:03] Alice: text, [02:03] text, Alice: text or just text
+const TRANSCRIPT_LINE = /^(?:\[(?:(\d+):)?(\d{1,2}):(\d{2})(?:\.(\d+))?\]\s*)?(?:([^:\[\]]{1,40}):\s+)?(.+)$/;
+
+/**
+ * Parse a transcript file into timed utterances.
+ *
+ * Two layouts are understood: the query.txt the agent writes during a meeting
+ * (final entries only, timed by their timestamps), and plain text with one
+ * utterance per line, optionally prefixed with an [hh:mm:ss] offset and a
+ * "Speaker:" label. Lines without an offset follow the previous one after
+ * `lineGapMs`.
+ * @param {string} content - File content
+ * @param {number} [lineGapMs=2000] - Spacing of lines that carry no offset
+ * @returns {Array<{offsetMs: number, text: string, speaker: string|null, speakerLabel: string|null, confidence: number}>}
+ */
+function parseTranscript(content, lineGapMs = 2000) {
+    const utterances = [];
+
+    if (/\[(FINAL|INTERIM)\]/.test(content)) {
+        let firstTime = null;
+        for (const entry of content.split(/\r?\n\s*\r?\n/)) {
+            const lines = entry.split(/\r?\n/).filter(line => line.trim());
+            const headerIndex = lines.findIndex(line => QUERY_HEADER.test(line));
+            if (headerIndex === -1) {
+                continue;
+            }
+
+            const [, finality, confidence, speaker, speakerLabel] = lines[headerIndex].match(QUERY_HEADER);
+            const text = lines.slice(headerIndex + 1).join('\n').trim();
+            if (finality !== 'FINAL' || !text) {
+                continue;
+            }
+
+            // The timestamp is either on the header line or the line above it
+            const stamp = lines.slice(0, headerIndex + 1).join(' ').match(/\d{4}-\d{2}-\d{2}T[\d:.]+Z?/);
+            const time = stamp ? Date.parse(stamp[0]) : NaN;
+            if (firstTime === null && !isNaN(time)) {
+                firstTime = time;
+            }
+            const previous = utterances.length ? utterances[utterances.length - 1].offsetMs : 0;
+            utterances.push({
+                offsetMs: isNaN(time) ? previous + lineGapMs : Math.max(previous, time - firstTime),
+                text,
+                speaker: speaker || null,
+                speakerLabel: speakerLabel || null,
+                confidence: confidence ? parseFloat(confidence) / 100 : 1
+            });
+        }
+        return utterances;
+    }
+
+    for (const line of content.split(/\r?\n/)) {
+        const match = line.trim().match(TRANSCRIPT_LINE);
+        if (!match) {
+            continue;
+        }
+
+        const [, hours, minutes, seconds, fraction, speaker, text] = match;
+        const previous = utterances.length ? utterances[utterances.length - 1].offsetMs : -lineGapMs;
+        const offsetMs = seconds !== undefined
+            ? ((parseInt(hours || '0', 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000
+                + (fraction ? Math.round(parseFloat(`0.${fraction}`) * 1000) : 0)
+            : previous + lineGapMs;
+        utterances.push({ offsetMs, text: text.trim(), speaker: speaker ? speaker.trim() : null, confidence: 1 });
+    }
+    return utterances;
+}
+
+/**
+ * Transcript source that replays a transcript file instead of listening, for
+ * regression sessions and demos without a meeting or speech recognition. It
+ * produces the same (text, confidence, isFinal, details) callbacks as
+ * AudioService.startRecording, with every utterance final.
+ */
+class TranscriptReplaySource {
+    /**
+     * @param {string} file - Transcript file (query.txt or one utterance per line)
+     * @param {Object} [options] - Replay options
+     * @param {number} [options.speed] - 1 replays at the recorded pace, 0 as fast as the pipeline
+     *   handles each utterance (defaults to REPLAY_SPEED, then 1)
+     * @param {number} [options.lineGapMs=2000] - Spacing of lines that carry no time
+     */
+    constructor(file, options = {}) {
+        this.file = file;
+        this.speed = options.speed !== undefined
+            ? options.speed
+            : (process.env.REPLAY_SPEED !== undefined ? parseFloat(process.env.REPLAY_SPEED) : 1);
+        this.lineGapMs = options.lineGapMs || 2000;
+        this.isRecording = false;
+        this.timer = null;
+        this.wake = null;
+        this.finished = null;
+    }
+
+    async startRecording(transcriptCallback) {
+        if (typeof transcriptCallback !== 'function') {
+            throw new Error('transcriptCallback must be a function');
+        }
+        if (this.isRecording) {
+            console.log('Transcript replay already running', 'WARN');
+            return;
+        }
+
+        const utterances = parseTranscript(await fs.promises.readFile(this.file, 'utf8'), this.lineGapMs);
+        if (utterances.length === 0) {
+            throw new Error(`No utterances found in ${this.file}`);
+        }
+
+        this.isRecording = true;
+        this.finished = this.play(utterances, transcriptCallback);
+        console.log(`Replaying ${utterances.length} utterance(s) from ${this.file}`, 'INFO');
+    }
+
+    /**
+     * @private
+     */
+    async play(utterances, transcriptCallback) {
+        const startedAt = Date.now();
+
+        for (const utterance of utterances) {
+            if (this.speed) {
+                const dueAt = startedAt + utterance.offsetMs / this.speed;
+                await new Promise(resolve => {
+                    this.wake = resolve;
+                    this.timer = setTimeout(resolve, Math.max(0, dueAt - Date.now()));
+                });
+            }
+            if (!this.isRecording) {
+                return;
+            }
+
+            const result = transcriptCallback(utterance.text, utterance.confidence, true, {
+                speaker: utterance.speaker,
+                speakerLabel: utterance.speakerLabel || null,
+                timestamp: new Date().toISOString()
+            });
+
+            // Unpaced replays wait for each utterance so the pipeline sees them in order
+            if (!this.speed) {
+                await result;
+            }
+        }
+    }
+
+    /**
+     * Resolves once every utterance has been delivered
+     * @returns {Promise<void>}
+     */
+    whenFinished() {
+        return this.finished || Promise.resolve();
+    }
+
+    async stopRecording() {
+        if (!this.isRecording) {
+            return;
+        }
+
+        this.isRecording = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.wake) {
+            this.wake();
+        }
+        console.log('Stopped transcript replay', 'INFO');
+    }
+}
+
+module.exports = {
+    TranscriptReplaySource,
+    parseTranscript
+};
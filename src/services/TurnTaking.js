@@ -0,0 +1,82 @@
+/**
+ * Meeting etiquette around the bot's speech, hooked into TextToSpeechService:
+ * the microphone stays muted except while a reply is playing, and in large
+ * meetings the bot raises its hand and waits briefly before it talks.
+ */
+class TurnTaking {
+    /**
+     * @param {Object} browserService - BrowserService with the in-call control API
+     * @param {Object} [options] - Turn-taking options
+     * @param {boolean} [options.unmuteWhileSpeaking] - Keep the mic muted outside of replies
+     * @param {number} [options.raiseHandThreshold] - Participant count at which the bot raises
+     *   its hand before speaking (0 disables)
+     * @param {number} [options.raiseHandWaitMs] - How long to keep the hand up before speaking
+     */
+    constructor(browserService, options = {}) {
+        this.browserService = browserService;
+        this.unmuteWhileSpeaking = options.unmuteWhileSpeaking !== undefined
+            ? options.unmuteWhileSpeaking
+            : process.env.MEET_UNMUTE_WHILE_SPEAKING !== 'false';
+        this.raiseHandThreshold = options.raiseHandThreshold !== undefined
+            ? options.raiseHandThreshold
+            : parseInt(process.env.MEET_RAISE_HAND_THRESHOLD, 10) || 0;
+        this.raiseHandWaitMs = options.raiseHandWaitMs !== undefined
+            ? options.raiseHandWaitMs
+            : (process.env.MEET_RAISE_HAND_WAIT_MS !== undefined ? parseInt(process.env.MEET_RAISE_HAND_WAIT_MS, 10) : 3000);
+        this.handRaised = false;
+    }
+
+    /**
+     * Install the hooks on a TTS service and mute the bot until it has something to say
+     * @param {import('./TextToSpeechService')} ttsService
+     */
+    async attach(ttsService) {
+        ttsService.setSpeakingHooks({
+            beforeSpeaking: () => this.beforeSpeaking(),
+            afterSpeaking: () => this.afterSpeaking()
+        });
+
+        if (this.unmuteWhileSpeaking) {
+            await this.browserService.setMuted(true);
+        }
+    }
+
+    /**
+     * Whether the meeting is large enough to ask for the floor first
+     * @returns {boolean}
+     */
+    isLargeMeeting() {
+        if (!this.raiseHandThreshold) {
+            return false;
+        }
+        // The roster excludes the bot, so count it back in
+        return this.browserService.roster.getParticipants().length + 1 >= this.raiseHandThreshold;
+    }
+
+    async beforeSpeaking() {
+        if (this.isLargeMeeting()) {
+            await this.browserService.raiseHand();
+            this.handRaised = true;
+            await new Promise(resolve => setTimeout(resolve, this.raiseHandWaitMs));
+        }
+
+        if (this.unmuteWhileSpeaking) {
+            await this.browserService.setMuted(false);
+        }
+    }
+
+    async afterSpeaking() {
+        try {
+            if (this.unmuteWhileSpeaking) {
+                await this.browserService.setMuted(true);
+            }
+        } finally {
+            if (this.handRaised) {
+                this.handRaised = false;
+                await this.browserService.lowerHand();
+            }
+        }
+    }
+}
+
+module.exports = TurnTaking;
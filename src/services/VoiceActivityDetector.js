@@ -0,0 +1,148 @@
+const { Writable } = require('stream');
+
+const SAMPLE_RATE = 16000;
+const FRAME_MS = 30;
+const FRAME_BYTES = SAMPLE_RATE * 2 * FRAME_MS / 1000;
+
+// Quietest level the noise floor tracks down to (digital silence is -Infinity)
+const MIN_FLOOR_DB = -90;
+
+function readNumber(value, envName, fallback) {
+    if (value !== undefined) {
+        return value;
+    }
+    return process.env[envName] !== undefined ? parseFloat(process.env[envName]) : fallback;
+}
+
+/**
+ * Energy-based voice activity detection for 16 kHz mono s16le PCM.
+ *
+ * Audio is written in and judged in 30 ms frames against a fixed threshold
+ * and an adaptive noise floor. Speech starts after `minSpeechMs` of loud
+ * frames and ends after `hangoverMs` without any; the `paddingMs` before the
+ * start is kept so the first syllable is not cut off.
+ *
+ * Emits 'speech-start' with { time, audio } (the padding), 'audio' with each
+ * chunk while speech is open (hangover included), and 'speech-end' with
+ * { time, durationMs } (duration of the audio, padding excluded).
+ * @extends Writable
+ */
+class VoiceActivityDetector extends Writable {
+    /**
+     * @param {Object} [options] - Detector options
+     * @param {number} [options.thresholdDb] - Level (dBFS) a frame must reach to count as speech
+     *   (AUDIO_VAD_THRESHOLD_DB, default -45)
+     * @param {number} [options.marginDb=12] - How far above the noise floor speech must be
+     * @param {number} [options.paddingMs] - Audio kept from before speech starts (AUDIO_VAD_PADDING_MS, default 300)
+     * @param {number} [options.hangoverMs] - Silence that ends speech (AUDIO_VAD_HANGOVER_MS, default 800)
+     * @param {number} [options.minSpeechMs] - Loud audio needed to start speech (AUDIO_VAD_MIN_SPEECH_MS, default 90)
+     */
+    constructor(options = {}) {
+        super();
+        this.thresholdDb = readNumber(options.thresholdDb, 'AUDIO_VAD_THRESHOLD_DB', -45);
+        this.marginDb = options.marginDb !== undefined ? options.marginDb : 12;
+        this.paddingMs = readNumber(options.paddingMs, 'AUDIO_VAD_PADDING_MS', 300);
+        this.hangoverMs = readNumber(options.hangoverMs, 'AUDIO_VAD_HANGOVER_MS', 800);
+        this.minSpeechMs = readNumber(options.minSpeechMs, 'AUDIO_VAD_MIN_SPEECH_MS', 90);
+
+        this.noiseFloorDb = MIN_FLOOR_DB;
+        this.isSpeaking = false;
+        this.speechMs = 0;
+        this.loudMs = 0;
+        this.quietMs = 0;
+        this.remainder = Buffer.alloc(0);
+        this.padding = [];
+    }
+
+    /**
+     * Level of one frame in dBFS
+     * @param {Buffer} frame - s16le samples
+     * @returns {number}
+     */
+    static levelDb(frame) {
+        let sum = 0;
+        const samples = frame.length >> 1;
+        for (let i = 0; i < samples; i++) {
+            const sample = frame.readInt16LE(i * 2);
+            sum += sample * sample;
+        }
+        const rms = Math.sqrt(sum / Math.max(samples, 1));
+        return rms > 0 ? 20 * Math.log10(rms / 32768) : -Infinity;
+    }
+
+    _write(chunk, encoding, callback) {
+        let data = this.remainder.length ? Buffer.concat([this.remainder, chunk]) : chunk;
+        let offset = 0;
+        for (; offset + FRAME_BYTES <= data.length; offset += FRAME_BYTES) {
+            this.processFrame(data.subarray(offset, offset + FRAME_BYTES));
+        }
+        this.remainder = Buffer.from(data.subarray(offset));
+        callback();
+    }
+
+    _final(callback) {
+        if (this.isSpeaking) {
+            this.endSpeech();
+        }
+        callback();
+    }
+
+    /**
+     * @private
+     */
+    processFrame(frame) {
+        const level = VoiceActivityDetector.levelDb(frame);
+        const isLoud = level >= Math.max(this.thresholdDb, this.noiseFloorDb + this.marginDb);
+
+        if (this.isSpeaking) {
+            this.emit('audio', frame);
+            this.speechMs += FRAME_MS;
+            this.quietMs = isLoud ? 0 : this.quietMs + FRAME_MS;
+            if (this.quietMs >= this.hangoverMs) {
+                this.endSpeech();
+            }
+            return;
+        }
+
+        // Follow the background level quickly down and slowly up, outside speech only
+        const floor = Math.max(level, MIN_FLOOR_DB);
+        this.noiseFloorDb = floor < this.noiseFloorDb
+            ? floor
+            : this.noiseFloorDb + (floor - this.noiseFloorDb) * 0.02;
+
+        this.padding.push(frame);
+        const maxPaddingFrames = Math.max(1, Math.ceil((this.paddingMs + this.minSpeechMs) / FRAME_MS));
+        if (this.padding.length > maxPaddingFrames) {
+            this.padding.shift();
+        }
+
+        this.loudMs = isLoud ? this.loudMs + FRAME_MS : 0;
+        if (this.loudMs >= this.minSpeechMs) {
+            this.startSpeech();
+        }
+    }
+
+    /**
+     * @private
+     */
+    startSpeech() {
+        this.isSpeaking = true;
+        this.quietMs = 0;
+        this.speechMs = this.minSpeechMs;
+        this.loudMs = 0;
+        const audio = Buffer.concat(this.padding);
+        this.padding = [];
+        this.emit('speech-start', { time: new Date(), audio });
+    }
+
+    /**
+     * @private
+     */
+    endSpeech() {
+        this.isSpeaking = false;
+        this.quietMs = 0;
+        this.emit('speech-end', { time: new Date(), durationMs: this.speechMs });
+    }
+}
+
+module.exports = VoiceActivityDetector;
@@ -4,9 +4,10 @@ const chokidar = require('chokidar');
 const QueryService = require('./QueryService');
 
 class WatcherService {
-    constructor() {
-        this.queryService = new QueryService();
-        this.queryDir = path.join(__dirname, '..', '..', 'query');
+    constructor(options = {}) {
+        this.queryService = options.queryService || new QueryService();
+        // Watch the same transcript file the query service reads
+        this.queryDir = options.queryDir || this.queryService.queryDir;
         this.queryFile = path.join(this.queryDir, 'query.txt');
         this.lastProcessedSize = 0;
         this.isProcessing = false;
@@ -150,14 +151,15 @@ class WatcherService {
                 const text = lines.slice(1).join('\n').trim();
 
                 // Extract timestamp and metadata from the first line
-                const matches = firstLine.match(/\[(.*?)\] \[(FINAL|INTERIM)\] \(confidence: ([\d.]+)%\)/);
+                const matches = firstLine.match(/\[(.*?)\] \[(FINAL|INTERIM)\] \(confidence: ([\d.]+)%\)(?: \[speaker: (.*?)\])?(?: \[label: (.*?)\])?/);
                 
                 if (matches) {
-                    const [_, timestamp, finality, confidence] = matches;
+                    const [_, timestamp, finality, confidence, speaker, speakerLabel] = matches;
                     console.log('Parsed entry:');
                     console.log('Timestamp:', timestamp);
                     console.log('Finality:', finality);
                     console.log('Confidence:', confidence);
+                    console.log('Speaker:', speaker || speakerLabel || 'unknown');
                     console.log('Text:', text);
 
                     // Only process if it's a final transcript
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const CaptureBackend = require('./CaptureBackend');
+
+/**
+ * Plain ALSA capture, e.g. from an snd-aloop loopback device when no sound
+ * server runs
+ */
+class AlsaBackend extends CaptureBackend {
+    get name() {
+        return 'alsa';
+    }
+
+    static async isAvailable() {
+        return process.platform === 'linux' && fs.existsSync('/proc/asound');
+    }
+
+    async listDevices() {
+        const output = await CaptureBackend.run('arecord', ['-L']);
+        if (!output) {
+            return [];
+        }
+
+        // Device names are the unindented lines; descriptions follow indented
+        return output.split('\n')
+            .filter(line => line && !/^\s/.test(line) && line !== 'null');
+    }
+
+    inputArgs(device) {
+        return ['-f', 'alsa', '-i', device];
+    }
+}
+
+module.exports = AlsaBackend;
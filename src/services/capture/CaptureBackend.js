@@ -0,0 +1,195 @@
+const { spawn, execFile } = require('child_process');
+const ffmpeg = require('@ffmpeg-installer/ffmpeg');
+
+// What every backend delivers and the recognizer expects: 16 kHz mono signed 16-bit PCM
+const SAMPLE_RATE = 16000;
+const OUTPUT_ARGS = ['-acodec', 'pcm_s16le', '-ac', '1', '-ar', String(SAMPLE_RATE), '-f', 's16le', '-'];
+
+/**
+ * Base class for audio capture backends.
+ *
+ * A backend knows how to list and open the capture devices of one audio
+ * system (DirectShow, PulseAudio/PipeWire, ALSA, a raw PCM pipe) and hands
+ * AudioService a stream of 16 kHz mono s16le PCM. The default implementation
+ * runs FFmpeg with the backend's input arguments.
+ */
+class CaptureBackend {
+    /**
+     * @param {Object} [options] - Backend options
+     * @param {string} [options.ffmpegPath] - FFmpeg binary (defaults to FFMPEG_PATH or the bundled one)
+     * @param {number} [options.probeTimeout=3000] - How long a device has to produce audio when probed
+     */
+    constructor(options = {}) {
+        this.ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || ffmpeg.path;
+        this.probeTimeout = options.probeTimeout || 3000;
+    }
+
+    /**
+     * Backend name used in config (AUDIO_CAPTURE_BACKEND)
+     * @returns {string}
+     */
+    get name() {
+        return 'unknown';
+    }
+
+    /**
+     * Whether captures follow a live device, which can fail and be replaced by
+     * another; inputs that run out on their own (files, pipes) just end
+     * @returns {boolean}
+     */
+    get isLive() {
+        return true;
+    }
+
+    /**
+     * Whether the backend can work on this machine, used by AUDIO_CAPTURE_BACKEND=auto
+     * @returns {Promise<boolean>}
+     */
+    static async isAvailable() {
+        return false;
+    }
+
+    /**
+     * Devices tried, in order, when none are configured
+     * @returns {string[]}
+     */
+    get defaultDevices() {
+        return ['default'];
+    }
+
+    /**
+     * Capture devices the audio system reports
+     * @returns {Promise<string[]>}
+     */
+    async listDevices() {
+        return [];
+    }
+
+    /**
+     * Prepare the audio system before devices are opened (e.g. create a virtual sink)
+     */
+    async setup() {}
+
+    /**
+     * FFmpeg input arguments for a device
+     * @param {string} device - Device name
+     * @returns {string[]}
+     */
+    inputArgs(device) {
+        throw new Error(`inputArgs() not implemented for ${this.name}`);
+    }
+
+    /**
+     * Start capturing from a device
+     * @param {string} device - Device name
+     * @returns {{device: string, stream: import('stream').Readable, process: import('child_process').ChildProcess|null,
+     *   stop: function(): void}} Capture session
+     */
+    open(device) {
+        const ffmpegProcess = spawn(this.ffmpegPath, [...this.inputArgs(device), ...OUTPUT_ARGS]);
+        ffmpegProcess.stderrTail = '';
+        ffmpegProcess.stderr.on('data', data => {
+            const message = data.toString();
+            ffmpegProcess.stderrTail = (ffmpegProcess.stderrTail + message).slice(-2000);
+            console.log(`FFmpeg stderr: ${message}`, 'DEBUG');
+        });
+
+        return {
+            device,
+            stream: ffmpegProcess.stdout,
+            process: ffmpegProcess,
+            stop: () => {
+                ffmpegProcess.stdout.unpipe();
+                ffmpegProcess.kill();
+            }
+        };
+    }
+
+    /**
+     * Decode an audio file to the format captures deliver, e.g. to compare
+     * what the bot plays with what is captured
+     * @param {string} file - Audio file (any format FFmpeg reads)
+     * @returns {Promise<Buffer>} 16 kHz mono s16le PCM
+     */
+    decodeFile(file) {
+        return new Promise((resolve, reject) => {
+            execFile(this.ffmpegPath, ['-v', 'error', '-i', file, ...OUTPUT_ARGS],
+                { encoding: 'buffer', maxBuffer: 64 * 1024 * 1024 },
+                (error, stdout, stderr) => {
+                    if (error) {
+                        reject(new Error(`could not decode ${file}: ${stderr.toString().trim() || error.message}`));
+                        return;
+                    }
+                    resolve(stdout);
+                });
+        });
+    }
+
+    /**
+     * Open a device and wait until it actually produces audio
+     * @param {string} device - Device name
+     * @returns {Promise<Object>} Open capture session (see open())
+     * @throws {Error} If the device fails or stays silent for probeTimeout
+     */
+    async probe(device) {
+        const session = this.open(device);
+
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error(`no audio within ${this.probeTimeout}ms`)), this.probeTimeout);
+                const fail = reason => {
+                    clearTimeout(timer);
+                    reject(new Error(reason));
+                };
+
+                // 'readable' leaves the data buffered for whoever pipes the stream next;
+                // it also fires at end of stream, which is a failure
+                const onReadable = () => {
+                    if (session.stream.readableLength > 0) {
+                        clearTimeout(timer);
+                        session.stream.removeListener('readable', onReadable);
+                        resolve();
+                    }
+                };
+                session.stream.on('readable', onReadable);
+                session.stream.once('end', () => {
+                    // FFmpeg's exit below explains why its output ended
+                    if (!session.process) {
+                        fail('capture stream ended');
+                    }
+                });
+                if (session.process) {
+                    session.process.once('error', error => fail(error.message));
+                    session.process.once('exit', code => {
+                        const lastLine = (session.process.stderrTail || '').trim().split('\n').pop();
+                        fail(`capture exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`);
+                    });
+                }
+            });
+        } catch (error) {
+            session.stop();
+            throw error;
+        }
+
+        return session;
+    }
+
+    /**
+     * Run a helper command and return its stdout, or null if it is missing or fails
+     * @protected
+     * @param {string} command - Executable
+     * @param {string[]} args - Arguments
+     * @returns {Promise<string|null>}
+     */
+    static run(command, args) {
+        return new Promise(resolve => {
+            execFile(command, args, { timeout: 5000 }, (error, stdout) => {
+                resolve(error ? null : stdout);
+            });
+        });
+    }
+}
+
+CaptureBackend.SAMPLE_RATE = SAMPLE_RATE;
+
+module.exports = CaptureBackend;
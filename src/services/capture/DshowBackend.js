@@ -0,0 +1,71 @@
+const { execFile } = require('child_process');
+const CaptureBackend = require('./CaptureBackend');
+
+/**
+ * Windows DirectShow capture (Stereo Mix, microphones, virtual cables)
+ */
+class DshowBackend extends CaptureBackend {
+    get name() {
+        return 'dshow';
+    }
+
+    static async isAvailable() {
+        return process.platform === 'win32';
+    }
+
+    get defaultDevices() {
+        return [
+            'Microphone Array (Realtek(R) Audio)',
+            'Microphone (Realtek(R) Audio)',
+            'Stereo Mix (Realtek(R) Audio)',
+            'default'
+        ];
+    }
+
+    async listDevices() {
+        // FFmpeg prints the device list to stderr and exits with an error by design
+        const output = await new Promise(resolve => {
+            execFile(this.ffmpegPath, ['-hide_banner', '-list_devices', 'true', '-f', 'dshow', '-i', 'dummy'],
+                { timeout: 10000 }, (error, stdout, stderr) => resolve(stderr || ''));
+        });
+
+        const devices = [];
+        let inAudioSection = false;
+        for (const line of output.split(/\r?\n/)) {
+            if (/DirectShow audio devices/i.test(line)) {
+                inAudioSection = true;
+                continue;
+            }
+            if (/DirectShow video devices/i.test(line)) {
+                inAudioSection = false;
+                continue;
+            }
+            if (/Alternative name/i.test(line)) {
+                continue;
+            }
+
+            // Newer FFmpeg: "Name" (audio); older FFmpeg lists names under an audio section header
+            const tagged = line.match(/"([^"]+)"\s+\(audio\)/);
+            const listed = inAudioSection && line.match(/\]\s+"([^"]+)"/);
+            const name = (tagged && tagged[1]) || (listed && listed[1]);
+            if (name && !devices.includes(name)) {
+                devices.push(name);
+            }
+        }
+        return devices;
+    }
+
+    inputArgs(device) {
+        return [
+            '-f', 'dshow',
+            '-rtbufsize', '1024M',  // Increase real-time buffer size
+            '-thread_queue_size', '4096',  // Increase thread queue size
+            '-probesize', '32M',  // Increase probe size
+            '-analyzeduration', '0',  // Reduce analysis time
+            '-fflags', 'nobuffer',  // Reduce buffering
+            '-i', `audio=${device}`
+        ];
+    }
+}
+
+module.exports = DshowBackend;
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+const CaptureBackend = require('./CaptureBackend');
+
+/**
+ * Raw signed 16-bit little-endian PCM from stdin or a named pipe, for setups
+ * where something else (GStreamer, parec, a container sidecar) does the
+ * capturing. Audio that is not already 16 kHz mono is converted with FFmpeg.
+ *
+ * Devices are `stdin` or a path to a FIFO/file.
+ */
+class PcmInputBackend extends CaptureBackend {
+    /**
+     * @param {Object} [options] - Backend options (see CaptureBackend)
+     * @param {number} [options.sampleRate] - Input sample rate (AUDIO_CAPTURE_PCM_RATE, default 16000)
+     * @param {number} [options.channels] - Input channel count (AUDIO_CAPTURE_PCM_CHANNELS, default 1)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.sampleRate = options.sampleRate || parseInt(process.env.AUDIO_CAPTURE_PCM_RATE, 10) || CaptureBackend.SAMPLE_RATE;
+        this.channels = options.channels || parseInt(process.env.AUDIO_CAPTURE_PCM_CHANNELS, 10) || 1;
+    }
+
+    get name() {
+        return 'pcm';
+    }
+
+    get isLive() {
+        return false;
+    }
+
+    get defaultDevices() {
+        return ['stdin'];
+    }
+
+    async listDevices() {
+        return ['stdin'];
+    }
+
+    open(device) {
+        const input = device === 'stdin' ? process.stdin : fs.createReadStream(device);
+        const closeInput = () => {
+            if (device === 'stdin') {
+                process.stdin.unpipe();
+                process.stdin.pause();
+            } else {
+                input.destroy();
+            }
+        };
+
+        if (this.sampleRate === CaptureBackend.SAMPLE_RATE && this.channels === 1) {
+            return {
+                device,
+                stream: input,
+                process: null,
+                stop: () => {
+                    input.unpipe();
+                    closeInput();
+                }
+            };
+        }
+
+        const ffmpegProcess = spawn(this.ffmpegPath, [
+            '-f', 's16le', '-ar', String(this.sampleRate), '-ac', String(this.channels), '-i', 'pipe:0',
+            '-acodec', 'pcm_s16le', '-ac', '1', '-ar', String(CaptureBackend.SAMPLE_RATE), '-f', 's16le', '-'
+        ]);
+        input.pipe(ffmpegProcess.stdin);
+        ffmpegProcess.stdin.on('error', () => {});  // Input closing first is normal
+
+        return {
+            device,
+            stream: ffmpegProcess.stdout,
+            process: ffmpegProcess,
+            stop: () => {
+                ffmpegProcess.stdout.unpipe();
+                closeInput();
+                ffmpegProcess.kill();
+            }
+        };
+    }
+
+    /**
+     * A pipe only produces audio once its writer starts, so probing just
+     * checks that the input exists instead of waiting for data
+     */
+    async probe(device) {
+        if (device === 'stdin') {
+            if (process.stdin.isTTY) {
+                throw new Error('stdin is a terminal, pipe PCM audio into the agent');
+            }
+        } else if (!fs.existsSync(device)) {
+            throw new Error(`${device} does not exist (create it with mkfifo)`);
+        }
+        return this.open(device);
+    }
+}
+
+module.exports = PcmInputBackend;
@@ -0,0 +1,73 @@
+const CaptureBackend = require('./CaptureBackend');
+
+/**
+ * PulseAudio capture, which also covers PipeWire through pipewire-pulse.
+ *
+ * Meeting audio is captured from a sink's monitor source. On a headless box
+ * set `sink` (AUDIO_CAPTURE_PULSE_SINK) to have a virtual null sink created,
+ * and start the agent with PULSE_SINK set to the same name so Chrome plays
+ * into it.
+ */
+class PulseBackend extends CaptureBackend {
+    /**
+     * @param {Object} [options] - Backend options (see CaptureBackend)
+     * @param {string} [options.sink] - Virtual sink to create and capture the monitor of
+     */
+    constructor(options = {}) {
+        super(options);
+        this.sink = options.sink || process.env.AUDIO_CAPTURE_PULSE_SINK || null;
+    }
+
+    get name() {
+        return 'pulse';
+    }
+
+    static async isAvailable() {
+        return process.platform === 'linux' && (await CaptureBackend.run('pactl', ['info'])) !== null;
+    }
+
+    get defaultDevices() {
+        return this.sink ? [`${this.sink}.monitor`] : ['@DEFAULT_MONITOR@'];
+    }
+
+    async setup() {
+        if (!this.sink) {
+            return;
+        }
+
+        const sinks = await CaptureBackend.run('pactl', ['list', 'short', 'sinks']);
+        if (sinks === null) {
+            throw new Error('pactl is not available; install pulseaudio-utils (or pipewire-pulse)');
+        }
+        if (sinks.split('\n').some(line => line.split('\t')[1] === this.sink)) {
+            return;
+        }
+
+        const loaded = await CaptureBackend.run('pactl', [
+            'load-module', 'module-null-sink',
+            `sink_name=${this.sink}`,
+            `sink_properties=device.description=${this.sink}`
+        ]);
+        if (loaded === null) {
+            throw new Error(`Could not create virtual sink ${this.sink}`);
+        }
+        console.log(`Created virtual sink ${this.sink} (capturing ${this.sink}.monitor)`);
+    }
+
+    async listDevices() {
+        const output = await CaptureBackend.run('pactl', ['list', 'short', 'sources']);
+        if (!output) {
+            return [];
+        }
+
+        // index, name, driver, sample spec, state; monitors first since they carry meeting audio
+        const names = output.split('\n').map(line => line.split('\t')[1]).filter(Boolean);
+        return [...names.filter(name => name.endsWith('.monitor')), ...names.filter(name => !name.endsWith('.monitor'))];
+    }
+
+    inputArgs(device) {
+        return ['-f', 'pulse', '-fragment_size', '3200', '-i', device];
+    }
+}
+
+module.exports = PulseBackend;
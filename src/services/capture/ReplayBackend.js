@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Transform } = require('stream');
+const CaptureBackend = require('./CaptureBackend');
+
+// PCM is handed on in 100 ms pieces so pacing is smooth
+const CHUNK_BYTES = CaptureBackend.SAMPLE_RATE * 2 / 10;
+
+/**
+ * Paces PCM to `speed` times real time (0 passes it through unpaced)
+ * @private
+ */
+function createPacer(speed) {
+    const bytesPerMs = CaptureBackend.SAMPLE_RATE * 2 * speed / 1000;
+    let startedAt = null;
+    let sent = 0;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (!speed) {
+                callback(null, chunk);
+                return;
+            }
+            if (startedAt === null) {
+                startedAt = Date.now();
+            }
+
+            const pieces = [];
+            for (let offset = 0; offset < chunk.length; offset += CHUNK_BYTES) {
+                pieces.push(chunk.subarray(offset, offset + CHUNK_BYTES));
+            }
+
+            const pushNext = () => {
+                const piece = pieces.shift();
+                if (!piece || this.destroyed) {
+                    callback();
+                    return;
+                }
+                const dueAt = startedAt + sent / bytesPerMs;
+                setTimeout(() => {
+                    sent += piece.length;
+                    this.push(piece);
+                    pushNext();
+                }, Math.max(0, dueAt - Date.now()));
+            };
+            pushNext();
+        }
+    });
+}
+
+/**
+ * Recorded audio files (WAV, MP3, FLAC, or anything else FFmpeg decodes)
+ * played through the same FFmpeg-to-PCM path as live capture, so a meeting
+ * can be reproduced without joining a call.
+ *
+ * A device is one file, or several joined with the platform's path delimiter
+ * (`:` on Linux/macOS, `;` on Windows), played back to back.
+ */
+class ReplayBackend extends CaptureBackend {
+    /**
+     * @param {Object} [options] - Backend options (see CaptureBackend)
+     * @param {string[]} [options.files] - Files played when no device is configured
+     * @param {number} [options.speed] - Playback speed: 1 is real time, 0 as fast as FFmpeg decodes
+     *   (defaults to REPLAY_SPEED, then 1)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.files = options.files || [];
+        this.speed = options.speed !== undefined
+            ? options.speed
+            : (process.env.REPLAY_SPEED !== undefined ? parseFloat(process.env.REPLAY_SPEED) : 1);
+    }
+
+    get name() {
+        return 'replay';
+    }
+
+    get isLive() {
+        return false;
+    }
+
+    get defaultDevices() {
+        return this.files.length ? [this.files.join(path.delimiter)] : [];
+    }
+
+    inputArgs(device) {
+        const files = device.split(path.delimiter).filter(Boolean);
+        const inputs = files.flatMap(file => ['-i', file]);
+        if (files.length === 1) {
+            return [...inputs, '-vn'];
+        }
+
+        // Concatenate the audio of every input into one stream
+        const streams = files.map((file, index) => `[${index}:a]`).join('');
+        return [...inputs, '-filter_complex', `${streams}concat=n=${files.length}:v=0:a=1`];
+    }
+
+    open(device) {
+        const ffmpegProcess = spawn(this.ffmpegPath, ['-hide_banner', '-loglevel', 'error', ...this.inputArgs(device),
+            '-acodec', 'pcm_s16le', '-ac', '1', '-ar', String(CaptureBackend.SAMPLE_RATE), '-f', 's16le', '-']);
+        ffmpegProcess.stderrTail = '';
+        ffmpegProcess.stderr.on('data', data => {
+            ffmpegProcess.stderrTail = (ffmpegProcess.stderrTail + data.toString()).slice(-2000);
+            console.error(`FFmpeg replay error: ${data.toString().trim()}`);
+        });
+
+        const stream = ffmpegProcess.stdout.pipe(createPacer(this.speed));
+        return {
+            device,
+            stream,
+            process: ffmpegProcess,
+            stop: () => {
+                ffmpegProcess.stdout.unpipe();
+                stream.destroy();
+                ffmpegProcess.kill();
+            }
+        };
+    }
+
+    /**
+     * Only checks that the files exist; decoding would start the replay clock early
+     */
+    async probe(device) {
+        const missing = device.split(path.delimiter).filter(file => file && !fs.existsSync(file));
+        if (missing.length) {
+            throw new Error(`replay file(s) not found: ${missing.join(', ')}`);
+        }
+        if (!device) {
+            throw new Error('no replay files given');
+        }
+        return this.open(device);
+    }
+}
+
+module.exports = ReplayBackend;
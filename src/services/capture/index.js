@@ -0,0 +1,53 @@
+const CaptureBackend = require('./CaptureBackend');
+const DshowBackend = require('./DshowBackend');
+const PulseBackend = require('./PulseBackend');
+const AlsaBackend = require('./AlsaBackend');
+const PcmInputBackend = require('./PcmInputBackend');
+const ReplayBackend = require('./ReplayBackend');
+
+const backends = {
+    dshow: DshowBackend,
+    pulse: PulseBackend,
+    alsa: AlsaBackend,
+    pcm: PcmInputBackend,
+    replay: ReplayBackend
+};
+
+// Tried in order for AUDIO_CAPTURE_BACKEND=auto; raw PCM input and replays are never guessed
+const autoOrder = [DshowBackend, PulseBackend, AlsaBackend];
+
+/**
+ * Create the configured capture backend
+ * @param {string} [name] - dshow, pulse, alsa, pcm, replay or auto (defaults to AUDIO_CAPTURE_BACKEND, then auto)
+ * @param {Object} [options] - Backend options
+ * @returns {Promise<CaptureBackend>}
+ * @throws {Error} If the name is unknown or no backend works on this machine
+ */
+async function createCaptureBackend(name, options = {}) {
+    const selected = (name || process.env.AUDIO_CAPTURE_BACKEND || 'auto').toLowerCase();
+
+    if (selected === 'auto') {
+        for (const Backend of autoOrder) {
+            if (await Backend.isAvailable()) {
+                return new Backend(options);
+            }
+        }
+        throw new Error(`No audio capture backend available on ${process.platform}; set AUDIO_CAPTURE_BACKEND (dshow, pulse, alsa or pcm)`);
+    }
+
+    const Backend = backends[selected];
+    if (!Backend) {
+        throw new Error(`Unknown audio capture backend: ${selected} (use dshow, pulse, alsa, pcm, replay or auto)`);
+    }
+    return new Backend(options);
+}
+
+module.exports = {
+    createCaptureBackend,
+    CaptureBackend,
+    DshowBackend,
+    PulseBackend,
+    AlsaBackend,
+    PcmInputBackend,
+    ReplayBackend
+};
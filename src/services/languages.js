@@ -0,0 +1,59 @@
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Split a comma-separated list of BCP-47 codes (e.g. STT_ALT_LANGUAGES)
+ * @param {string|string[]} [value] - List or array of codes
+ * @returns {string[]}
+ */
+function parseLanguageList(value) {
+    const codes = Array.isArray(value) ? value : String(value || '').split(',');
+    return codes.map(code => code.trim()).filter(Boolean);
+}
+
+/**
+ * Language part of a code ('es' for 'es-ES')
+ * @param {string} code - BCP-47 code
+ * @returns {string}
+ */
+function primaryLanguage(code) {
+    return String(code || '').split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Match a detected language to one of the configured ones. Engines report
+ * codes in their own form ('es-es', or just 'es'), so the exact code wins,
+ * then the first configured code for the same language.
+ * @param {string} code - Detected code
+ * @param {string[]} candidates - Configured codes, primary language first
+ * @returns {string|null} Configured code, or null if the language is not configured
+ */
+function matchLanguage(code, candidates) {
+    if (!code) {
+        return null;
+    }
+    const exact = candidates.find(candidate => candidate.toLowerCase() === code.toLowerCase());
+    if (exact) {
+        return exact;
+    }
+    return candidates.find(candidate => primaryLanguage(candidate) === primaryLanguage(code)) || null;
+}
+
+/**
+ * English name of a language, for prompts and logs
+ * @param {string} code - BCP-47 code
+ * @returns {string} e.g. 'Spanish' for 'es-ES'
+ */
+function languageName(code) {
+    try {
+        return displayNames.of(primaryLanguage(code)) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+module.exports = {
+    parseLanguageList,
+    primaryLanguage,
+    matchLanguage,
+    languageName
+};
@@ -1,8 +1,11 @@
 /**
- * Defines the AI persona based on Jed McCaleb's communication style
+ * Personas the agent can speak as: prompts, response templates, sampling
+ * settings and the voice on each text-to-speech provider. AGENT_PERSONA, or
+ * an agent's `persona` option, picks one (default jed).
  */
-function getPersona() {
-    const basePersona = {
+const personas = {
+    // Based on Jed McCaleb's communication style
+    jed: {
         systemPrompt: `You are me - Jed McCaleb. I'm direct, honest, and straightforward in all conversations.`,
 
         // Updated casual prompt to ensure first-person perspective
@@ -32,14 +35,70 @@ function getPersona() {
             casual: `[Keep it brief and natural, just like a normal conversation. One or two sentences is usually enough. Use informal language and contractions.]`
         },
 
+        // Voice on each text-to-speech provider (TTS_PROVIDER); a provider left
+        // out speaks with its configured default
+        voices: {
+            google: 'en-US-Neural2-D',
+            openai: 'onyx',
+            elevenlabs: 'pNInz6obpgDQGcFmaJgB'
+        },
+
         temperature: 0.4,
         maxTokens: 350,
         presencePenalty: 0.2,
         frequencyPenalty: 0.3,
         topP: 0.7
-    };
+    },
+
+    // A neutral meeting assistant that answers from the knowledge base
+    assistant: {
+        systemPrompt: `You are a meeting assistant. I'm friendly, clear, and to the point, and I answer from what I know rather than guessing.`,
 
-    return basePersona;
+        casualPrompt: `For casual conversation:
+- Keep it brief and polite
+- One or two sentences is usually enough
+- Don't steer the conversation to work unless asked
+- Say "I don't know" or "I'm not sure" when that's the honest answer`,
+
+        technicalPrompt: `For technical analysis:
+- Answer the question first, then give the key supporting detail
+- Stick to the context provided and say when it doesn't cover the question
+- Keep it plain and conversational; avoid jargon the group hasn't used
+- Say "I don't know" or "I'm not sure" when that's the honest answer`,
+
+        responseTemplates: {
+            technical: `[Answer directly in a few sentences, like a colleague in the meeting. Mention where the answer comes from if it helps.]`,
+
+            casual: `[Keep it brief and friendly. One or two sentences is usually enough.]`
+        },
+
+        voices: {
+            google: 'en-US-Neural2-F',
+            openai: 'nova',
+            elevenlabs: '21m00Tcm4TlvDq8ikWAM'
+        },
+
+        temperature: 0.3,
+        maxTokens: 300,
+        presencePenalty: 0.1,
+        frequencyPenalty: 0.2,
+        topP: 0.8
+    }
+};
+
+/**
+ * Get a persona by name
+ * @param {string} [name] - Persona name (defaults to AGENT_PERSONA, then jed)
+ * @returns {Object} Persona settings
+ * @throws {Error} If there is no persona with that name
+ */
+function getPersona(name) {
+    const selected = (name || process.env.AGENT_PERSONA || 'jed').toLowerCase();
+    const persona = personas[selected];
+    if (!persona) {
+        throw new Error(`Unknown persona: ${selected} (use ${Object.keys(personas).join(', ')})`);
+    }
+    return persona;
 }
 
 // Add conversation type detection
@@ -0,0 +1,299 @@
+const PlatformAdapter = require('./PlatformAdapter');
+const { JoinState } = require('../JoinStateMachine');
+const { CallEndReason } = require('../CallMonitor');
+const { googleSelectors } = require('../../selectors');
+
+// Collects chat messages in page context. Meet groups consecutive messages
+// from the same sender under one header holding the author and time.
+const READ_CHAT_SCRIPT = `
+  const selectors = arguments[0];
+  const messages = [];
+  document.querySelectorAll(selectors.message).forEach(node => {
+    const group = node.closest('[data-sender-id]') || node.parentElement.closest('div[jsname]') || node.parentElement;
+    const authorNode = group.querySelector(selectors.author);
+    const timeNode = group.querySelector(selectors.time);
+    const textNode = node.querySelector(selectors.text) || node;
+    const author = authorNode ? authorNode.textContent.trim() : '';
+    messages.push({
+      id: node.getAttribute('data-message-id'),
+      author,
+      time: timeNode ? (timeNode.getAttribute('data-formatted-timestamp') || timeNode.textContent.trim()) : '',
+      text: textNode.textContent.trim(),
+      self: author === 'You'
+    });
+  });
+  return messages;
+`;
+
+// Collects participant tiles in page context. The bot's own tile carries
+// data-self-name and is skipped; a tile is speaking while its audio level
+// indicator is animated.
+const READ_ROSTER_SCRIPT = `
+  const selectors = arguments[0];
+  const participants = [];
+  const activeSpeakers = [];
+  const seen = new Set();
+  document.querySelectorAll(selectors.tile).forEach(tile => {
+    const id = tile.getAttribute('data-participant-id');
+    if (seen.has(id) || tile.querySelector(selectors.self)) {
+      return;
+    }
+    const nameNode = tile.querySelector(selectors.name);
+    const name = nameNode
+      ? (nameNode.getAttribute('data-participant-name') || nameNode.textContent.trim())
+      : (tile.getAttribute('aria-label') || '').trim();
+    if (!name) {
+      return;
+    }
+    seen.add(id);
+    participants.push({ id, name });
+    if (tile.querySelector(selectors.speaking)) {
+      activeSpeakers.push(name);
+    }
+  });
+  return { participants, activeSpeakers };
+`;
+
+// Watches the caption region and queues every changed caption line with its
+// speaker. Lines get a stable id so the Node side can follow them as Meet
+// keeps rewriting the text while someone talks.
+const CAPTION_OBSERVER_SCRIPT = `
+  if (window.__meetAgentCaptions) {
+    return;
+  }
+  const selectors = arguments[0];
+  const state = window.__meetAgentCaptions = { queue: [], nextId: 1, last: new WeakMap() };
+  const scan = () => {
+    const region = document.querySelector(selectors.region);
+    if (!region) {
+      return;
+    }
+    region.querySelectorAll(selectors.line).forEach(line => {
+      const speakerNode = line.querySelector(selectors.speaker);
+      const textNode = line.querySelector(selectors.text);
+      if (!textNode) {
+        return;
+      }
+      if (!line.dataset.meetAgentCaptionId) {
+        line.dataset.meetAgentCaptionId = String(state.nextId++);
+      }
+      const text = textNode.textContent.trim();
+      if (state.last.get(line) === text) {
+        return;
+      }
+      state.last.set(line, text);
+      const speaker = speakerNode ? (speakerNode.getAttribute('alt') || speakerNode.textContent).trim() : '';
+      state.queue.push({ id: line.dataset.meetAgentCaptionId, speaker, text, self: speaker === 'You' });
+    });
+  };
+  new MutationObserver(scan).observe(document.body, { childList: true, subtree: true, characterData: true });
+  scan();
+`;
+
+const DRAIN_CAPTIONS_SCRIPT = `
+  const state = window.__meetAgentCaptions;
+  if (!state) {
+    return [];
+  }
+  return state.queue.splice(0, state.queue.length);
+`;
+
+/**
+ * Google Meet web client
+ * @extends PlatformAdapter
+ */
+class MeetAdapter extends PlatformAdapter {
+    get name() {
+        return 'Google Meet';
+    }
+
+    static get requiresGoogleSignIn() {
+        return true;
+    }
+
+    static matches(url) {
+        return url.hostname === 'meet.google.com';
+    }
+
+    get joinStatePatterns() {
+        return [
+            { state: JoinState.DENIED, pattern: /denied your request to join|you've been removed from the meeting/i },
+            { state: JoinState.ENDED, pattern: /(this|the) (meeting|call) has ended/i },
+            { state: JoinState.FAILED, pattern: /you can't join this (call|video call)|check your meeting code|meeting code (is )?invalid/i },
+            { state: JoinState.WAITING_FOR_ADMISSION, pattern: /asking to be let in|someone in the (call|meeting) should let you in soon|you'll join the call when someone lets you in/i }
+        ];
+    }
+
+    get callEndPatterns() {
+        return [
+            { reason: CallEndReason.REMOVED, pattern: /you've been removed from the meeting|someone has removed you/i },
+            { reason: CallEndReason.ENDED, pattern: /(this|the) (meeting|call) has ended|you left the meeting|return to home screen/i },
+            { reason: CallEndReason.NETWORK, pattern: /you lost your network connection|trying to reconnect|you're offline/i },
+            { reason: CallEndReason.ALONE, pattern: /you're the only one here/i }
+        ];
+    }
+
+    async openPreJoin(meetingUrl) {
+        // Navigate to the meeting URL
+        await this.driver.get(meetingUrl);
+
+        // Wait for the join button ("Join now" or "Ask to join")
+        await googleSelectors.waitFor(this.driver, 'meet.joinButton', 10000);
+        console.log('Meet page loaded, found join button');
+
+        // Turn off camera and microphone before joining
+        await this.turnOffDevices();
+    }
+
+    async requestJoin() {
+        const joinButton = await googleSelectors.waitFor(this.driver, 'meet.joinButton', 5000);
+        await this.clickElement(joinButton);
+        console.log('Clicked join button');
+    }
+
+    async leave() {
+        const leaveButton = await googleSelectors.find(this.driver, 'meet.leaveButton');
+        if (!leaveButton) {
+            console.log('Leave button not found, not in a Meet call');
+            return;
+        }
+        await this.clickElement(leaveButton);
+        console.log('Left Google Meet call');
+    }
+
+    async turnOffDevices() {
+        console.log('Turning off camera and microphone...');
+
+        try {
+            // Wait for the buttons to be present
+            await this.driver.sleep(2000);
+
+            // Find and click camera button
+            const cameraButton = await googleSelectors.waitFor(this.driver, 'meet.preJoinCamera', 5000);
+            if (cameraButton) {
+                await cameraButton.click();
+                console.log('Clicked camera button');
+            }
+        } catch (error) {
+            console.log('Error turning off devices:', error.message);
+        }
+    }
+
+    async setMuted(muted) {
+        const micButton = await googleSelectors.waitFor(this.driver, 'meet.micButton', 5000);
+        const isMuted = (await micButton.getAttribute('data-is-muted')) === 'true';
+        if (isMuted !== muted) {
+            await this.clickElement(micButton);
+            console.log(`Microphone ${muted ? 'muted' : 'unmuted'}`);
+        }
+    }
+
+    async isMuted() {
+        const micButton = await googleSelectors.waitFor(this.driver, 'meet.micButton', 5000);
+        return (await micButton.getAttribute('data-is-muted')) === 'true';
+    }
+
+    async setCameraEnabled(enabled) {
+        const cameraButton = await googleSelectors.waitFor(this.driver, 'meet.cameraButton', 5000);
+        const isEnabled = (await cameraButton.getAttribute('data-is-muted')) !== 'true';
+        if (isEnabled !== enabled) {
+            await this.clickElement(cameraButton);
+            console.log(`Camera turned ${enabled ? 'on' : 'off'}`);
+        }
+    }
+
+    async setHandRaised(raised) {
+        const handButton = await googleSelectors.waitFor(this.driver, 'meet.raiseHandButton', 5000);
+        const label = ((await handButton.getAttribute('aria-label')) || '').toLowerCase();
+        const isRaised = label.includes('lower hand') || (await handButton.getAttribute('aria-pressed')) === 'true';
+        if (isRaised !== raised) {
+            await this.clickElement(handButton);
+            console.log(`Hand ${raised ? 'raised' : 'lowered'}`);
+        }
+    }
+
+    async sendReaction(emoji) {
+        let option = await googleSelectors.find(this.driver, 'meet.reactionOption', { emoji });
+        if (!option) {
+            const reactionsButton = await googleSelectors.waitFor(this.driver, 'meet.reactionsButton', 5000);
+            await this.clickElement(reactionsButton);
+            option = await googleSelectors.waitFor(this.driver, 'meet.reactionOption', 5000, { emoji });
+        }
+        await this.clickElement(option);
+        console.log(`Sent reaction ${emoji}`);
+    }
+
+    async isInCall() {
+        return (await googleSelectors.find(this.driver, 'meet.leaveButton')) !== null;
+    }
+
+    async readRoster() {
+        return this.driver.executeScript(READ_ROSTER_SCRIPT, {
+            tile: googleSelectors.css('meet.participantTile'),
+            self: googleSelectors.css('meet.selfName'),
+            name: googleSelectors.css('meet.participantName'),
+            speaking: googleSelectors.css('meet.speakingIndicator')
+        });
+    }
+
+    async enableCaptions() {
+        if (await googleSelectors.find(this.driver, 'meet.captionsOffButton')) {
+            return;
+        }
+
+        const captionsButton = await googleSelectors.find(this.driver, 'meet.captionsOnButton');
+        if (captionsButton) {
+            await this.clickElement(captionsButton);
+        } else {
+            // Keyboard shortcut for captions
+            await this.driver.actions().sendKeys('c').perform();
+        }
+        await googleSelectors.waitFor(this.driver, 'meet.captionsOffButton', 5000);
+        console.log('Turned on Meet captions');
+    }
+
+    async installCaptionObserver() {
+        await this.driver.executeScript(CAPTION_OBSERVER_SCRIPT, {
+            region: googleSelectors.css('meet.captionRegion'),
+            line: googleSelectors.css('meet.captionLine'),
+            speaker: googleSelectors.css('meet.captionSpeaker'),
+            text: googleSelectors.css('meet.captionText')
+        });
+    }
+
+    async drainCaptionUpdates() {
+        return this.driver.executeScript(DRAIN_CAPTIONS_SCRIPT);
+    }
+
+    async openChat() {
+        if (await googleSelectors.find(this.driver, 'meet.chatInput')) {
+            return;
+        }
+        const chatButton = await googleSelectors.waitFor(this.driver, 'meet.chatButton', 5000);
+        await this.clickElement(chatButton);
+        await googleSelectors.waitFor(this.driver, 'meet.chatInput', 5000);
+        console.log('Opened Meet chat panel');
+    }
+
+    async readChatMessages() {
+        return this.driver.executeScript(READ_CHAT_SCRIPT, {
+            message: googleSelectors.css('meet.chatMessage'),
+            author: googleSelectors.css('meet.chatAuthor'),
+            time: googleSelectors.css('meet.chatTime'),
+            text: googleSelectors.css('meet.chatText')
+        });
+    }
+
+    async sendChatMessage(text) {
+        await this.openChat();
+        const input = await googleSelectors.waitFor(this.driver, 'meet.chatInput', 5000);
+        await input.clear();
+        await input.sendKeys(text);
+
+        const sendButton = await googleSelectors.waitFor(this.driver, 'meet.chatSendButton', 5000);
+        await this.clickElement(sendButton);
+        console.log('Sent chat message');
+    }
+}
+
+module.exports = MeetAdapter;
@@ -0,0 +1,332 @@
+const { By, until } = require('selenium-webdriver');
+const { JoinState } = require('../JoinStateMachine');
+const { CallEndReason } = require('../CallMonitor');
+
+/**
+ * Base class for meeting platform adapters.
+ *
+ * An adapter knows how to drive one web meeting client (Google Meet, Zoom,
+ * Teams, ...) through Selenium. BrowserService picks the adapter from the
+ * meeting URL and only talks to this interface.
+ */
+class PlatformAdapter {
+    /**
+     * @param {import('selenium-webdriver').WebDriver} driver - Active WebDriver
+     * @param {Object} [options] - Adapter options
+     * @param {string} [options.displayName] - Name used when joining as a guest
+     */
+    constructor(driver, options = {}) {
+        this.driver = driver;
+        this.displayName = options.displayName || process.env.BOT_DISPLAY_NAME || 'Meet Agent';
+    }
+
+    /**
+     * Human readable platform name
+     * @returns {string}
+     */
+    get name() {
+        return 'unknown';
+    }
+
+    /**
+     * Whether the platform needs a signed-in Google account before joining
+     * @returns {boolean}
+     */
+    static get requiresGoogleSignIn() {
+        return false;
+    }
+
+    /**
+     * Check if this adapter handles the given meeting URL
+     * @param {URL} url - Parsed meeting URL
+     * @returns {boolean}
+     */
+    static matches(url) {
+        return false;
+    }
+
+    /**
+     * Page text that identifies join states, checked in order
+     * @returns {Array<{state: string, pattern: RegExp}>}
+     */
+    get joinStatePatterns() {
+        return [];
+    }
+
+    /**
+     * Navigate to the meeting and get into the call without waiting for admission.
+     * Use JoinStateMachine to follow the join through to the call.
+     * @param {string} meetingUrl - Meeting URL
+     */
+    async join(meetingUrl) {
+        await this.openPreJoin(meetingUrl);
+        await this.requestJoin();
+    }
+
+    /**
+     * Navigate to the meeting and prepare the pre-join screen (name, devices)
+     * @param {string} meetingUrl - Meeting URL
+     */
+    async openPreJoin(meetingUrl) {
+        throw new Error(`openPreJoin() not implemented for ${this.name}`);
+    }
+
+    /**
+     * Click the join / ask to join button on the pre-join screen
+     */
+    async requestJoin() {
+        throw new Error(`requestJoin() not implemented for ${this.name}`);
+    }
+
+    /**
+     * Work out where the join currently stands from the page
+     * @returns {Promise<{state: string, reason: string}|null>} Detected state, or null if unknown
+     */
+    async detectJoinState() {
+        if (await this.isInCall()) {
+            return { state: JoinState.IN_CALL, reason: 'in call controls visible' };
+        }
+
+        const text = await this.driver.executeScript('return document.body ? document.body.innerText : "";');
+        for (const { state, pattern } of this.joinStatePatterns) {
+            const match = text.match(pattern);
+            if (match) {
+                return { state, reason: match[0] };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Leave the current call
+     */
+    async leave() {
+        throw new Error(`leave() not implemented for ${this.name}`);
+    }
+
+    /**
+     * Turn camera and microphone off on the pre-join screen
+     */
+    async turnOffDevices() {
+        throw new Error(`turnOffDevices() not implemented for ${this.name}`);
+    }
+
+    /**
+     * Set the microphone state
+     * @param {boolean} muted - True to mute, false to unmute
+     */
+    async setMuted(muted) {
+        throw new Error(`setMuted() not implemented for ${this.name}`);
+    }
+
+    async mute() {
+        return this.setMuted(true);
+    }
+
+    async unmute() {
+        return this.setMuted(false);
+    }
+
+    /**
+     * Read the current microphone state
+     * @returns {Promise<boolean>} True if muted
+     */
+    async isMuted() {
+        throw new Error(`isMuted() not implemented for ${this.name}`);
+    }
+
+    /**
+     * Turn the camera on or off in the call
+     * @param {boolean} enabled - True to turn the camera on
+     */
+    async setCameraEnabled(enabled) {
+        throw new Error(`Camera control is not supported for ${this.name}`);
+    }
+
+    /**
+     * Raise or lower the bot's hand
+     * @param {boolean} raised - True to raise the hand
+     */
+    async setHandRaised(raised) {
+        throw new Error(`Raising hands is not supported for ${this.name}`);
+    }
+
+    /**
+     * Send an emoji reaction to the call
+     * @param {string} emoji - Emoji to send (e.g. '👍')
+     */
+    async sendReaction(emoji) {
+        throw new Error(`Reactions are not supported for ${this.name}`);
+    }
+
+    /**
+     * Detect whether the bot is currently inside the call
+     * @returns {Promise<boolean>}
+     */
+    async isInCall() {
+        throw new Error(`isInCall() not implemented for ${this.name}`);
+    }
+
+    /**
+     * Page text that means the bot should leave the call, checked in order
+     * @returns {Array<{reason: string, pattern: RegExp}>}
+     */
+    get callEndPatterns() {
+        return [];
+    }
+
+    /**
+     * Check whether the call has ended for the bot or it should leave
+     * @returns {Promise<{reason: string, detail: string}|null>} Condition, or null while the call is fine
+     */
+    async detectCallEndState() {
+        const { text, online } = await this.driver.executeScript(
+            'return { text: document.body ? document.body.innerText : "", online: navigator.onLine };'
+        );
+
+        if (!online) {
+            return { reason: CallEndReason.NETWORK, detail: 'browser is offline' };
+        }
+
+        for (const { reason, pattern } of this.callEndPatterns) {
+            const match = text.match(pattern);
+            if (match) {
+                return { reason, detail: match[0] };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Open the in-call chat panel
+     */
+    async openChat() {
+        throw new Error(`Chat is not supported for ${this.name}`);
+    }
+
+    /**
+     * Read the messages currently shown in the chat panel
+     * @returns {Promise<Array<{id: string, author: string, time: string, text: string, self: boolean}>>}
+     */
+    async readChatMessages() {
+        throw new Error(`Chat is not supported for ${this.name}`);
+    }
+
+    /**
+     * Post a message to the in-call chat
+     * @param {string} text - Message text
+     */
+    async sendChatMessage(text) {
+        throw new Error(`Chat is not supported for ${this.name}`);
+    }
+
+    /**
+     * Read the participant list and who currently has the speaking highlight
+     * @returns {Promise<{participants: Array<{id: string, name: string}>, activeSpeakers: string[]}>}
+     */
+    async readRoster() {
+        throw new Error(`Roster is not supported for ${this.name}`);
+    }
+
+    /**
+     * Turn on the meeting's live captions
+     */
+    async enableCaptions() {
+        throw new Error(`Captions are not supported for ${this.name}`);
+    }
+
+    /**
+     * Install a MutationObserver in the page that queues caption changes
+     */
+    async installCaptionObserver() {
+        throw new Error(`Captions are not supported for ${this.name}`);
+    }
+
+    /**
+     * Take the caption changes queued since the last call
+     * @returns {Promise<Array<{id: string, speaker: string, text: string, self: boolean}>>}
+     */
+    async drainCaptionUpdates() {
+        throw new Error(`Captions are not supported for ${this.name}`);
+    }
+
+    /**
+     * Wait for the first element matching any of the given selectors
+     * @protected
+     * @param {string[]} selectors - CSS selectors, tried in order
+     * @param {number} [timeout=10000] - Timeout in milliseconds
+     * @returns {Promise<import('selenium-webdriver').WebElement>}
+     */
+    async waitForAny(selectors, timeout = 10000) {
+        let found = null;
+        await this.driver.wait(async () => {
+            for (const selector of selectors) {
+                const elements = await this.driver.findElements(By.css(selector));
+                if (elements.length > 0) {
+                    found = elements[0];
+                    return true;
+                }
+            }
+            return false;
+        }, timeout, `Timeout waiting for element: ${selectors.join(', ')}`);
+        return found;
+    }
+
+    /**
+     * Find the first element matching any of the given selectors without waiting
+     * @protected
+     * @param {string[]} selectors - CSS selectors, tried in order
+     * @returns {Promise<import('selenium-webdriver').WebElement|null>}
+     */
+    async findAny(selectors) {
+        for (const selector of selectors) {
+            const elements = await this.driver.findElements(By.css(selector));
+            if (elements.length > 0) {
+                return elements[0];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Click an element, falling back through JavaScript, WebDriver and Actions clicks
+     * @protected
+     * @param {import('selenium-webdriver').WebElement} element - Element to click
+     */
+    async clickElement(element) {
+        await this.driver.wait(until.elementIsVisible(element), 5000, 'Element not visible');
+        await this.driver.wait(until.elementIsEnabled(element), 5000, 'Element not enabled');
+
+        try {
+            // Method 1: JavaScript click
+            await this.driver.executeScript('arguments[0].click();', element);
+        } catch (error) {
+            console.log('JavaScript click failed, trying WebDriver click');
+            try {
+                // Method 2: WebDriver click
+                await element.click();
+            } catch (error) {
+                console.log('WebDriver click failed, trying Actions click');
+                // Method 3: Actions click
+                const actions = this.driver.actions({bridge: true});
+                await actions.move({origin: element}).click().perform();
+            }
+        }
+    }
+
+    /**
+     * Type into an input, replacing its current value
+     * @protected
+     * @param {import('selenium-webdriver').WebElement} element - Input element
+     * @param {string} text - Text to type
+     */
+    async typeInto(element, text) {
+        await element.clear();
+        for (const char of text) {
+            await element.sendKeys(char);
+            await this.driver.sleep(50 + Math.random() * 50);
+        }
+    }
+}
+
+module.exports = PlatformAdapter;
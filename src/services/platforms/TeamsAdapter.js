@@ -0,0 +1,136 @@
+const PlatformAdapter = require('./PlatformAdapter');
+const { JoinState } = require('../JoinStateMachine');
+const { CallEndReason } = require('../CallMonitor');
+const { teamsSelectors } = require('../../selectors');
+
+const CONTINUE_IN_BROWSER = teamsSelectors.cssList('teams.continueInBrowser');
+const NAME_INPUT = teamsSelectors.cssList('teams.nameInput');
+const PREJOIN_CAMERA_TOGGLE = teamsSelectors.cssList('teams.preJoinCamera');
+const PREJOIN_MIC_TOGGLE = teamsSelectors.cssList('teams.preJoinMic');
+const JOIN_BUTTON = teamsSelectors.cssList('teams.joinButton');
+const MIC_BUTTON = teamsSelectors.cssList('teams.micButton');
+const CAMERA_BUTTON = teamsSelectors.cssList('teams.cameraButton');
+const RAISE_HAND_BUTTON = teamsSelectors.cssList('teams.raiseHandButton');
+const LEAVE_BUTTON = teamsSelectors.cssList('teams.leaveButton');
+
+/**
+ * Microsoft Teams web client
+ * @extends PlatformAdapter
+ */
+class TeamsAdapter extends PlatformAdapter {
+    get name() {
+        return 'Microsoft Teams';
+    }
+
+    static matches(url) {
+        return url.hostname === 'teams.microsoft.com' || url.hostname === 'teams.live.com';
+    }
+
+    get joinStatePatterns() {
+        return [
+            { state: JoinState.DENIED, pattern: /denied access to the meeting|you've been removed from this meeting/i },
+            { state: JoinState.ENDED, pattern: /(the|this) meeting has ended/i },
+            { state: JoinState.FAILED, pattern: /we couldn't connect you|this meeting link is invalid|something went wrong/i },
+            { state: JoinState.WAITING_FOR_ADMISSION, pattern: /someone in the meeting should let you in soon|we've let people in the meeting know you're waiting/i }
+        ];
+    }
+
+    get callEndPatterns() {
+        return [
+            { reason: CallEndReason.REMOVED, pattern: /you've been removed from this meeting|someone removed you/i },
+            { reason: CallEndReason.ENDED, pattern: /(the|this) meeting has ended|you left the meeting|call ended/i },
+            { reason: CallEndReason.NETWORK, pattern: /poor network quality|trying to reconnect|you're offline/i },
+            { reason: CallEndReason.ALONE, pattern: /you're the only one here|waiting for others to join/i }
+        ];
+    }
+
+    async openPreJoin(meetingUrl) {
+        await this.driver.get(meetingUrl);
+
+        // The launcher page offers the desktop app first
+        const continueButton = await this.waitForAny(CONTINUE_IN_BROWSER, 15000).catch(() => null);
+        if (continueButton) {
+            await this.clickElement(continueButton);
+        }
+
+        const nameInput = await this.waitForAny(NAME_INPUT, 20000).catch(() => null);
+        if (nameInput) {
+            await this.typeInto(nameInput, this.displayName);
+        }
+
+        await this.turnOffDevices();
+    }
+
+    async requestJoin() {
+        const joinButton = await this.waitForAny(JOIN_BUTTON, 10000);
+        await this.clickElement(joinButton);
+        console.log('Clicked Teams join button');
+    }
+
+    async leave() {
+        const leaveButton = await this.findAny(LEAVE_BUTTON);
+        if (!leaveButton) {
+            console.log('Leave button not found, not in a Teams call');
+            return;
+        }
+        await this.clickElement(leaveButton);
+        console.log('Left Teams call');
+    }
+
+    async turnOffDevices() {
+        console.log('Turning off camera and microphone...');
+
+        for (const selectors of [PREJOIN_CAMERA_TOGGLE, PREJOIN_MIC_TOGGLE]) {
+            try {
+                const toggle = await this.waitForAny(selectors, 5000);
+                const checked = (await toggle.getAttribute('aria-checked')) || (await toggle.getAttribute('checked'));
+                if (checked === 'true') {
+                    await this.clickElement(toggle);
+                }
+            } catch (error) {
+                console.log('Error turning off devices:', error.message);
+            }
+        }
+    }
+
+    async setMuted(muted) {
+        const button = await this.waitForAny(MIC_BUTTON, 5000);
+        if ((await this.isMuted()) !== muted) {
+            await this.clickElement(button);
+            console.log(`Microphone ${muted ? 'muted' : 'unmuted'}`);
+        }
+    }
+
+    async isMuted() {
+        const button = await this.waitForAny(MIC_BUTTON, 5000);
+        // Teams marks the active microphone with aria-pressed / data-state="mic"
+        const state = (await button.getAttribute('data-state')) || '';
+        const pressed = await button.getAttribute('aria-pressed');
+        return state ? state === 'mic-off' : pressed === 'false';
+    }
+
+    async setCameraEnabled(enabled) {
+        const button = await this.waitForAny(CAMERA_BUTTON, 5000);
+        const state = (await button.getAttribute('data-state')) || '';
+        const isEnabled = state ? state === 'call-video' : (await button.getAttribute('aria-pressed')) === 'true';
+        if (isEnabled !== enabled) {
+            await this.clickElement(button);
+            console.log(`Camera turned ${enabled ? 'on' : 'off'}`);
+        }
+    }
+
+    async setHandRaised(raised) {
+        const button = await this.waitForAny(RAISE_HAND_BUTTON, 5000);
+        const isRaised = (await button.getAttribute('aria-pressed')) === 'true';
+        if (isRaised !== raised) {
+            await this.clickElement(button);
+            console.log(`Hand ${raised ? 'raised' : 'lowered'}`);
+        }
+    }
+
+    async isInCall() {
+        return (await this.findAny(LEAVE_BUTTON)) !== null;
+    }
+}
+
+module.exports = TeamsAdapter;
@@ -0,0 +1,191 @@
+const PlatformAdapter = require('./PlatformAdapter');
+const { JoinState } = require('../JoinStateMachine');
+const { CallEndReason } = require('../CallMonitor');
+const { zoomSelectors } = require('../../selectors');
+
+const CLIENT_FRAME = zoomSelectors.cssList('zoom.clientFrame');
+const NAME_INPUT = zoomSelectors.cssList('zoom.nameInput');
+const PREVIEW_MUTE_BUTTON = zoomSelectors.cssList('zoom.previewMuteButton');
+const PREVIEW_VIDEO_BUTTON = zoomSelectors.cssList('zoom.previewVideoButton');
+const JOIN_BUTTON = zoomSelectors.cssList('zoom.joinButton');
+const AUDIO_BUTTON = zoomSelectors.cssList('zoom.audioButton');
+const VIDEO_BUTTON = zoomSelectors.cssList('zoom.videoButton');
+const REACTIONS_BUTTON = zoomSelectors.cssList('zoom.reactionsButton');
+const RAISE_HAND_BUTTON = zoomSelectors.cssList('zoom.raiseHandButton');
+const LEAVE_BUTTON = zoomSelectors.cssList('zoom.leaveButton');
+const CONFIRM_LEAVE_BUTTON = zoomSelectors.cssList('zoom.confirmLeaveButton');
+
+/**
+ * Zoom web client (app.zoom.us/wc)
+ * @extends PlatformAdapter
+ */
+class ZoomAdapter extends PlatformAdapter {
+    get name() {
+        return 'Zoom';
+    }
+
+    static matches(url) {
+        return url.hostname === 'zoom.us' || url.hostname.endsWith('.zoom.us');
+    }
+
+    /**
+     * Rewrite a regular Zoom invite link into its web client equivalent
+     * so the browser does not try to launch the desktop app.
+     * @param {string} meetingUrl - Zoom invite link (e.g. https://zoom.us/j/123?pwd=abc)
+     * @returns {string} Web client URL
+     */
+    toWebClientUrl(meetingUrl) {
+        const url = new URL(meetingUrl);
+        const match = url.pathname.match(/\/(?:j|wc\/join|wc)\/(\d+)/);
+        if (!match) {
+            return meetingUrl;
+        }
+        const webUrl = new URL(`https://app.zoom.us/wc/join/${match[1]}`);
+        const pwd = url.searchParams.get('pwd');
+        if (pwd) {
+            webUrl.searchParams.set('pwd', pwd);
+        }
+        return webUrl.toString();
+    }
+
+    /**
+     * The web client renders inside an iframe on newer builds
+     * @private
+     */
+    async switchToClientFrame() {
+        await this.driver.switchTo().defaultContent();
+        const frame = await this.findAny(CLIENT_FRAME);
+        if (frame) {
+            await this.driver.switchTo().frame(frame);
+        }
+    }
+
+    get joinStatePatterns() {
+        return [
+            { state: JoinState.DENIED, pattern: /host has removed you|you have been removed|host denied/i },
+            { state: JoinState.ENDED, pattern: /meeting has been ended by (the )?host|this meeting has ended/i },
+            { state: JoinState.FAILED, pattern: /invalid meeting id|passcode is wrong|meeting is locked|unable to join this meeting/i },
+            { state: JoinState.WAITING_FOR_ADMISSION, pattern: /host will let you in soon|waiting for the host to start|you are in the waiting room/i }
+        ];
+    }
+
+    get callEndPatterns() {
+        return [
+            { reason: CallEndReason.REMOVED, pattern: /host has removed you|you have been removed/i },
+            { reason: CallEndReason.ENDED, pattern: /meeting has been ended by (the )?host|this meeting has ended/i },
+            { reason: CallEndReason.NETWORK, pattern: /reconnecting|network connection (is )?unstable|connection lost/i },
+            { reason: CallEndReason.ALONE, pattern: /you are the only (one|participant) (here|in this meeting)/i }
+        ];
+    }
+
+    async openPreJoin(meetingUrl) {
+        await this.driver.get(this.toWebClientUrl(meetingUrl));
+        await this.driver.sleep(3000);
+        await this.switchToClientFrame();
+
+        const nameInput = await this.waitForAny(NAME_INPUT, 15000);
+        await this.typeInto(nameInput, this.displayName);
+
+        await this.turnOffDevices();
+    }
+
+    async requestJoin() {
+        const joinButton = await this.waitForAny(JOIN_BUTTON, 10000);
+        await this.clickElement(joinButton);
+        console.log('Clicked Zoom join button');
+    }
+
+    async detectJoinState() {
+        await this.switchToClientFrame();
+        return super.detectJoinState();
+    }
+
+    async detectCallEndState() {
+        await this.switchToClientFrame();
+        return super.detectCallEndState();
+    }
+
+    async leave() {
+        await this.switchToClientFrame();
+        const leaveButton = await this.findAny(LEAVE_BUTTON);
+        if (!leaveButton) {
+            console.log('Leave button not found, not in a Zoom call');
+            return;
+        }
+        await this.clickElement(leaveButton);
+
+        const confirmButton = await this.waitForAny(CONFIRM_LEAVE_BUTTON, 5000).catch(() => null);
+        if (confirmButton) {
+            await this.clickElement(confirmButton);
+        }
+        console.log('Left Zoom call');
+    }
+
+    async turnOffDevices() {
+        console.log('Turning off camera and microphone...');
+
+        for (const selectors of [PREVIEW_VIDEO_BUTTON, PREVIEW_MUTE_BUTTON]) {
+            try {
+                const button = await this.waitForAny(selectors, 5000);
+                const label = (await button.getAttribute('aria-label')) || '';
+                // Zoom labels the button with the action it will perform
+                if (/^(mute|stop)/i.test(label.trim())) {
+                    await this.clickElement(button);
+                }
+            } catch (error) {
+                console.log('Error turning off devices:', error.message);
+            }
+        }
+    }
+
+    async setMuted(muted) {
+        await this.switchToClientFrame();
+        const button = await this.waitForAny(AUDIO_BUTTON, 5000);
+        const label = ((await button.getAttribute('aria-label')) || '').toLowerCase();
+        const isMuted = label.startsWith('unmute');
+        if (isMuted !== muted) {
+            await this.clickElement(button);
+            console.log(`Microphone ${muted ? 'muted' : 'unmuted'}`);
+        }
+    }
+
+    async isMuted() {
+        await this.switchToClientFrame();
+        const button = await this.waitForAny(AUDIO_BUTTON, 5000);
+        const label = ((await button.getAttribute('aria-label')) || '').toLowerCase();
+        return label.startsWith('unmute');
+    }
+
+    async setCameraEnabled(enabled) {
+        await this.switchToClientFrame();
+        const button = await this.waitForAny(VIDEO_BUTTON, 5000);
+        const label = ((await button.getAttribute('aria-label')) || '').toLowerCase();
+        const isEnabled = label.startsWith('stop');
+        if (isEnabled !== enabled) {
+            await this.clickElement(button);
+            console.log(`Camera turned ${enabled ? 'on' : 'off'}`);
+        }
+    }
+
+    async setHandRaised(raised) {
+        await this.switchToClientFrame();
+        // Raise Hand lives in the reactions menu
+        let handButton = await this.findAny(RAISE_HAND_BUTTON);
+        if (!handButton) {
+            await this.clickElement(await this.waitForAny(REACTIONS_BUTTON, 5000));
+            handButton = await this.waitForAny(RAISE_HAND_BUTTON, 5000);
+        }
+        const isRaised = (await handButton.getAttribute('aria-label')) === 'Lower Hand';
+        if (isRaised !== raised) {
+            await this.clickElement(handButton);
+            console.log(`Hand ${raised ? 'raised' : 'lowered'}`);
+        }
+    }
+
+    async isInCall() {
+        await this.switchToClientFrame();
+        return (await this.findAny(LEAVE_BUTTON)) !== null;
+    }
+}
+
+module.exports = ZoomAdapter;
@@ -0,0 +1,46 @@
+const MeetAdapter = require('./MeetAdapter');
+const ZoomAdapter = require('./ZoomAdapter');
+const TeamsAdapter = require('./TeamsAdapter');
+
+const adapters = [MeetAdapter, ZoomAdapter, TeamsAdapter];
+
+/**
+ * Find the adapter class that handles a meeting URL
+ * @param {string} meetingUrl - Meeting URL
+ * @returns {typeof import('./PlatformAdapter')}
+ * @throws {Error} If no adapter supports the URL host
+ */
+function resolvePlatform(meetingUrl) {
+    let url;
+    try {
+        url = new URL(meetingUrl);
+    } catch (error) {
+        throw new Error(`Invalid meeting URL: ${meetingUrl}`);
+    }
+
+    const Adapter = adapters.find(candidate => candidate.matches(url));
+    if (!Adapter) {
+        throw new Error(`Unsupported meeting platform: ${url.hostname}`);
+    }
+    return Adapter;
+}
+
+/**
+ * Create the platform adapter for a meeting URL
+ * @param {string} meetingUrl - Meeting URL
+ * @param {import('selenium-webdriver').WebDriver} driver - Active WebDriver
+ * @param {Object} [options] - Adapter options
+ * @returns {import('./PlatformAdapter')}
+ */
+function createPlatformAdapter(meetingUrl, driver, options = {}) {
+    const Adapter = resolvePlatform(meetingUrl);
+    return new Adapter(driver, options);
+}
+
+module.exports = {
+    resolvePlatform,
+    createPlatformAdapter,
+    MeetAdapter,
+    ZoomAdapter,
+    TeamsAdapter
+};
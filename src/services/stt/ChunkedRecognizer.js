@@ -0,0 +1,132 @@
+const { Writable } = require('stream');
+
+// 16 kHz mono s16le
+const BYTES_PER_MS = 32;
+
+/**
+ * Recognizer for engines that transcribe finished pieces of audio rather
+ * than a live stream. Audio is collected until an utterance ends (flush())
+ * or `chunkMs` has built up, then handed to `transcribe`; pieces are
+ * transcribed one at a time, in order, and every result is final.
+ *
+ * Emits 'result' and 'health' like ManagedRecognizer.
+ * @extends Writable
+ */
+class ChunkedRecognizer extends Writable {
+    /**
+     * @param {function(Buffer): Promise<string|{text: string, languageCode: string}|null>} transcribe -
+     *   Turns a piece of PCM into text, with the language if the engine detected it
+     * @param {Object} [options] - Recognizer options
+     * @param {number} [options.chunkMs=10000] - Longest piece of audio transcribed at once
+     * @param {number} [options.minChunkMs=300] - Shorter pieces are dropped at flush()
+     * @param {number} [options.confidence=1] - Confidence reported with results (engines without scores)
+     */
+    constructor(transcribe, options = {}) {
+        super();
+        this.transcribe = transcribe;
+        this.chunkBytes = (options.chunkMs || 10000) * BYTES_PER_MS;
+        this.minChunkBytes = (options.minChunkMs !== undefined ? options.minChunkMs : 300) * BYTES_PER_MS;
+        this.confidence = options.confidence !== undefined ? options.confidence : 1;
+
+        this.chunks = [];
+        this.bufferedBytes = 0;
+        this.queue = Promise.resolve();
+        this.queued = 0;
+
+        this.state = 'idle';
+        this.stats = {
+            piecesTranscribed: 0,
+            errors: 0,
+            lastError: null,
+            lastResultAt: null
+        };
+    }
+
+    /**
+     * @returns {{state: string, queued: number, piecesTranscribed: number, errors: number,
+     *   lastError: string|null, lastResultAt: Date|null}} state is 'idle', 'transcribing' or 'closed'
+     */
+    getHealth() {
+        return { state: this.state, queued: this.queued, ...this.stats };
+    }
+
+    _write(chunk, encoding, callback) {
+        this.chunks.push(chunk);
+        this.bufferedBytes += chunk.length;
+        if (this.bufferedBytes >= this.chunkBytes) {
+            this.cut();
+        }
+        callback();
+    }
+
+    _final(callback) {
+        this.flush();
+        this.queue.then(() => {
+            this.setState('closed');
+            callback();
+        });
+    }
+
+    /**
+     * Transcribe what has been collected so far (end of an utterance)
+     */
+    flush() {
+        if (this.bufferedBytes >= this.minChunkBytes) {
+            this.cut();
+        } else {
+            this.chunks = [];
+            this.bufferedBytes = 0;
+        }
+    }
+
+    /**
+     * @private
+     */
+    cut() {
+        const pcm = Buffer.concat(this.chunks);
+        this.chunks = [];
+        this.bufferedBytes = 0;
+
+        this.queued++;
+        if (this.queued > 2) {
+            console.log(`Transcription is falling behind (${this.queued} pieces queued)`, 'WARN');
+        }
+
+        this.queue = this.queue.then(async () => {
+            this.setState('transcribing');
+            try {
+                const transcript = await this.transcribe(pcm);
+                const { text, languageCode } = typeof transcript === 'string' || !transcript
+                    ? { text: transcript }
+                    : transcript;
+                this.stats.piecesTranscribed++;
+                if (text) {
+                    this.stats.lastResultAt = new Date();
+                    this.emit('result', {
+                        text,
+                        confidence: this.confidence,
+                        isFinal: true,
+                        ...(languageCode ? { languageCode } : {})
+                    });
+                }
+            } catch (error) {
+                this.stats.errors++;
+                this.stats.lastError = error.message;
+                console.error('Error transcribing audio:', error.message);
+            } finally {
+                this.queued--;
+                this.setState('idle');
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    setState(state) {
+        this.state = state;
+        this.emit('health', this.getHealth());
+    }
+}
+
+module.exports = ChunkedRecognizer;
@@ -0,0 +1,72 @@
+const speech = require('@google-cloud/speech');
+const fs = require('fs');
+const path = require('path');
+const SttProvider = require('./SttProvider');
+const ManagedRecognizer = require('./ManagedRecognizer');
+
+/**
+ * Google Cloud Speech-to-Text streaming recognition
+ */
+class GoogleSttProvider extends SttProvider {
+    /**
+     * @param {Object} [options] - Provider options (see SttProvider)
+     * @param {string} [options.keyFilename] - Service account key (STT_GOOGLE_CREDENTIALS,
+     *   default src/creds/meetBot-credentials.json)
+     * @param {string} [options.model='latest_long'] - Recognition model
+     * @param {boolean} [options.diarization] - Label results by speaker (STT_DIARIZATION, default true)
+     * @param {number} [options.maxSpeakers] - Most voices diarization tells apart (STT_MAX_SPEAKERS, default 6)
+     * @param {Object} [options.recognizerOptions] - ManagedRecognizer options (stream limit, replay, backoff)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.keyFilename = options.keyFilename || process.env.STT_GOOGLE_CREDENTIALS
+            || path.join(__dirname, '..', '..', 'creds', 'meetBot-credentials.json');
+        this.model = options.model || 'latest_long';
+        this.diarization = options.diarization !== undefined
+            ? options.diarization
+            : process.env.STT_DIARIZATION !== 'false';
+        this.maxSpeakers = options.maxSpeakers || parseInt(process.env.STT_MAX_SPEAKERS, 10) || 6;
+        this.recognizerOptions = options.recognizerOptions || {};
+        this.speechClient = null;
+    }
+
+    get name() {
+        return 'google';
+    }
+
+    async initialize() {
+        if (!fs.existsSync(this.keyFilename)) {
+            throw new Error(`Google Cloud credentials not found at ${this.keyFilename}`);
+        }
+        if (!this.speechClient) {
+            this.speechClient = new speech.SpeechClient({ keyFilename: this.keyFilename });
+        }
+    }
+
+    createRecognizer() {
+        if (!this.speechClient) {
+            this.speechClient = new speech.SpeechClient({ keyFilename: this.keyFilename });
+        }
+
+        return new ManagedRecognizer(this.speechClient, {
+            config: {
+                encoding: 'LINEAR16',
+                sampleRateHertz: 16000,
+                languageCode: this.languageCode,
+                ...(this.alternativeLanguageCodes.length ? { alternativeLanguageCodes: this.alternativeLanguageCodes } : {}),
+                enableAutomaticPunctuation: true,
+                model: this.model,
+                ...(this.diarization ? {
+                    diarizationConfig: {
+                        enableSpeakerDiarization: true,
+                        minSpeakerCount: 1,
+                        maxSpeakerCount: this.maxSpeakers
+                    }
+                } : {}),
+            },
+            interimResults: true,
+        }, this.recognizerOptions);
+    }
+}
+
+module.exports = GoogleSttProvider;
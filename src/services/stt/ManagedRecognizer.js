@@ -0,0 +1,322 @@
+const { Writable } = require('stream');
+
+// 16 kHz mono s16le
+const BYTES_PER_MS = 32;
+
+// gRPC status Google returns when a stream runs past its maximum duration
+const OUT_OF_RANGE = 11;
+
+function readNumber(value, envName, fallback) {
+    if (value !== undefined) {
+        return value;
+    }
+    return process.env[envName] !== undefined ? parseInt(process.env[envName], 10) : fallback;
+}
+
+/**
+ * A Google streaming recognition session that survives the stream duration
+ * limit and network errors.
+ *
+ * Audio written in goes to the current streamingRecognize call, which is
+ * opened on demand. Before a stream reaches `streamLimitMs` it is replaced
+ * by a fresh one; after an error a new one is opened with exponential
+ * backoff. Either way the last `replayMs` of audio that has no final result
+ * yet is sent again, so nothing said across the switch is lost. flush() ends
+ * the current stream normally (e.g. at the end of an utterance) and lets its
+ * last results arrive.
+ *
+ * Emits 'result' with { text, confidence, isFinal } (see SttProvider), plus
+ * the speaker of most words in a diarized final result, and 'health' with
+ * getHealth() whenever the state changes. Speaker numbers restart with
+ * every stream, so speakerId is scoped to the stream.
+ * @extends Writable
+ */
+class ManagedRecognizer extends Writable {
+    /**
+     * @param {Object} speechClient - @google-cloud/speech SpeechClient
+     * @param {Object} request - streamingRecognize request (config, interimResults)
+     * @param {Object} [options] - Recognizer options
+     * @param {number} [options.streamLimitMs] - Stream age at which it is replaced (STT_STREAM_LIMIT_MS, default 280000)
+     * @param {number} [options.replayMs] - Unfinalized audio resent to a new stream (STT_REPLAY_MS, default 5000)
+     * @param {number} [options.reconnectMaxMs] - Longest wait between reconnects (STT_RECONNECT_MAX_MS, default 30000)
+     */
+    constructor(speechClient, request, options = {}) {
+        super();
+        this.speechClient = speechClient;
+        this.request = request;
+        this.streamLimitMs = readNumber(options.streamLimitMs, 'STT_STREAM_LIMIT_MS', 280000);
+        this.replayMs = readNumber(options.replayMs, 'STT_REPLAY_MS', 5000);
+        this.reconnectMaxMs = readNumber(options.reconnectMaxMs, 'STT_RECONNECT_MAX_MS', 30000);
+
+        this.stream = null;
+        this.streamOpenedAt = 0;
+        this.streamStartOffset = 0;  // Byte offset of the first audio the current stream received
+        this.offset = 0;             // Bytes written in total
+        this.finalOffset = 0;        // Byte offset up to which results are final
+        this.buffer = [];            // { offset, chunk } covering the last replayMs
+        this.endingStreams = new Set();
+        this.reconnectTimer = null;
+
+        this.state = 'idle';
+        this.stats = {
+            streamsOpened: 0,
+            rotations: 0,
+            errors: 0,
+            consecutiveErrors: 0,
+            lastError: null,
+            lastResultAt: null
+        };
+    }
+
+    /**
+     * Current stream health
+     * @returns {{state: string, streamAgeMs: number, streamsOpened: number, rotations: number, errors: number,
+     *   consecutiveErrors: number, lastError: string|null, lastResultAt: Date|null}}
+     *   state is 'idle' (no stream open), 'streaming', 'reconnecting' or 'closed'
+     */
+    getHealth() {
+        return {
+            state: this.state,
+            streamAgeMs: this.stream ? Date.now() - this.streamOpenedAt : 0,
+            ...this.stats
+        };
+    }
+
+    _write(chunk, encoding, callback) {
+        this.buffer.push({ offset: this.offset, chunk });
+        this.offset += chunk.length;
+        this.trimBuffer();
+
+        if (this.reconnectTimer) {
+            // Kept in the buffer and replayed once reconnected
+            callback();
+            return;
+        }
+
+        if (this.stream && this.streamAge() >= this.streamLimitMs) {
+            this.stats.rotations++;
+            console.log(`Rotating speech recognition stream after ${Math.round(this.streamAge() / 1000)}s`, 'DEBUG');
+            this.detachStream();
+        }
+
+        if (!this.stream) {
+            this.openStream(this.replayMs > 0 && this.finalOffset < this.offset - chunk.length);
+        } else {
+            this.stream.write(chunk);
+        }
+        callback();
+    }
+
+    _final(callback) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.flush();
+        Promise.all(this.endingStreams).then(() => {
+            this.setState('closed');
+            callback();
+        });
+    }
+
+    /**
+     * End the current stream normally and let its last results arrive; the
+     * next write opens a new one
+     */
+    flush() {
+        if (this.stream) {
+            const stream = this.stream;
+            this.stream = null;
+            this.trackEnding(stream);
+            stream.end();
+        }
+        this.buffer = [];
+        this.finalOffset = this.offset;
+        if (this.state === 'streaming') {
+            this.setState('idle');
+        }
+    }
+
+    /**
+     * How long the current stream has run: wall time, or audio time when
+     * audio arrives faster than real time (replays)
+     * @private
+     */
+    streamAge() {
+        return Math.max(Date.now() - this.streamOpenedAt, (this.offset - this.streamStartOffset) / BYTES_PER_MS);
+    }
+
+    /**
+     * @private
+     */
+    trimBuffer() {
+        const keepFrom = this.offset - this.replayMs * BYTES_PER_MS;
+        while (this.buffer.length > 1 && this.buffer[0].offset + this.buffer[0].chunk.length <= keepFrom) {
+            this.buffer.shift();
+        }
+    }
+
+    /**
+     * Open a stream, sending it the buffered audio that has no final result yet
+     * (or just the latest chunk when starting fresh)
+     * @private
+     */
+    openStream(replay) {
+        const from = replay
+            ? Math.max(this.finalOffset, this.offset - this.replayMs * BYTES_PER_MS)
+            : this.buffer[this.buffer.length - 1].offset;
+
+        const stream = this.speechClient.streamingRecognize(this.request);
+        stream.number = this.stats.streamsOpened + 1;
+        stream.on('data', data => this.handleData(stream, data));
+        stream.on('error', error => this.handleError(stream, error));
+        stream.on('end', () => {
+            // Closed by the server without an error: the next write opens a new stream
+            if (this.stream === stream) {
+                this.detachStream();
+            }
+        });
+
+        this.stream = stream;
+        this.streamOpenedAt = Date.now();
+        this.streamStartOffset = from;
+        this.stats.streamsOpened++;
+
+        for (const { offset, chunk } of this.buffer) {
+            if (offset + chunk.length > from) {
+                stream.write(offset >= from ? chunk : chunk.subarray(from - offset));
+            }
+        }
+        if (this.state === 'reconnecting') {
+            console.log(`Speech recognition stream reconnected, resent ${Math.round((this.offset - from) / BYTES_PER_MS)}ms of audio`, 'INFO');
+        }
+        this.setState('streaming');
+    }
+
+    /**
+     * Stop listening to the current stream and close it; its pending results are dropped
+     * because the audio behind them is replayed to the next stream
+     * @private
+     */
+    detachStream() {
+        const stream = this.stream;
+        this.stream = null;
+        stream.removeAllListeners('data');
+        stream.removeAllListeners('error');
+        stream.on('error', () => {});
+        stream.end();
+        if (this.state === 'streaming') {
+            this.setState('idle');
+        }
+    }
+
+    /**
+     * @private
+     */
+    trackEnding(stream) {
+        const done = new Promise(resolve => {
+            stream.once('end', resolve);
+            stream.once('close', resolve);
+            stream.once('error', resolve);
+        });
+        this.endingStreams.add(done);
+        done.then(() => this.endingStreams.delete(done));
+    }
+
+    /**
+     * @private
+     */
+    handleData(stream, data) {
+        const result = data.results && data.results[0];
+        if (!result || !result.alternatives[0]) {
+            return;
+        }
+
+        this.stats.lastResultAt = new Date();
+        if (this.stats.consecutiveErrors) {
+            this.stats.consecutiveErrors = 0;
+            this.setState(this.state);
+        }
+
+        // resultEndTime is relative to the audio this stream has received
+        if (result.isFinal && stream === this.stream && result.resultEndTime) {
+            const endMs = Number(result.resultEndTime.seconds || 0) * 1000 + (result.resultEndTime.nanos || 0) / 1e6;
+            this.finalOffset = Math.max(this.finalOffset, this.streamStartOffset + Math.round(endMs) * BYTES_PER_MS);
+        }
+
+        const alternative = result.alternatives[0];
+        const speakerTag = result.isFinal ? ManagedRecognizer.dominantSpeaker(alternative.words) : null;
+        this.emit('result', {
+            text: alternative.transcript,
+            confidence: result.isFinal ? alternative.confidence : 0,
+            isFinal: result.isFinal,
+            ...(result.languageCode ? { languageCode: result.languageCode } : {}),
+            ...(speakerTag ? { speakerLabel: `Speaker ${speakerTag}`, speakerId: `${stream.number}:${speakerTag}` } : {})
+        });
+    }
+
+    /**
+     * Speaker tag of most words in a diarized result
+     * @private
+     * @param {Array<{speakerTag: number}>} [words] - Recognized words
+     * @returns {number|null}
+     */
+    static dominantSpeaker(words) {
+        const counts = new Map();
+        for (const word of words || []) {
+            if (word.speakerTag) {
+                counts.set(word.speakerTag, (counts.get(word.speakerTag) || 0) + 1);
+            }
+        }
+
+        let speakerTag = null;
+        let best = 0;
+        for (const [tag, count] of counts) {
+            if (count > best) {
+                speakerTag = tag;
+                best = count;
+            }
+        }
+        return speakerTag;
+    }
+
+    /**
+     * @private
+     */
+    handleError(stream, error) {
+        if (stream !== this.stream) {
+            return;
+        }
+        this.detachStream();
+
+        // Running past the duration limit just needs a new stream
+        if (error.code === OUT_OF_RANGE) {
+            this.stats.rotations++;
+            console.log('Speech recognition stream reached its time limit, rotating', 'DEBUG');
+            return;
+        }
+
+        this.stats.errors++;
+        this.stats.consecutiveErrors++;
+        this.stats.lastError = error.message;
+        const delay = Math.min(1000 * 2 ** (this.stats.consecutiveErrors - 1), this.reconnectMaxMs);
+        console.log(`Speech recognition stream error (${error.message}), reconnecting in ${delay}ms`, 'WARN');
+
+        this.setState('reconnecting');
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.writableEnded) {
+                return;
+            }
+            this.openStream(true);
+        }, delay);
+    }
+
+    /**
+     * @private
+     */
+    setState(state) {
+        this.state = state;
+        this.emit('health', this.getHealth());
+    }
+}
+
+module.exports = ManagedRecognizer;
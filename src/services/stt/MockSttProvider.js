@@ -0,0 +1,62 @@
+const fs = require('fs');
+const SttProvider = require('./SttProvider');
+const ChunkedRecognizer = require('./ChunkedRecognizer');
+
+/**
+ * Returns scripted text instead of recognizing speech, for demos and
+ * regression runs without a speech engine. Each utterance (or every
+ * `intervalMs` of audio without voice activity detection) yields the next
+ * line of the script.
+ */
+class MockSttProvider extends SttProvider {
+    /**
+     * @param {Object} [options] - Provider options (see SttProvider)
+     * @param {string[]} [options.script] - Lines returned in order (defaults to the lines of STT_MOCK_SCRIPT)
+     * @param {number} [options.intervalMs] - Audio per line without utterance boundaries
+     *   (STT_MOCK_INTERVAL_MS, default 5000)
+     * @param {boolean} [options.loop=false] - Start over after the last line
+     */
+    constructor(options = {}) {
+        super(options);
+        this.script = options.script || null;
+        this.intervalMs = options.intervalMs || parseInt(process.env.STT_MOCK_INTERVAL_MS, 10) || 5000;
+        this.loop = Boolean(options.loop);
+        this.position = 0;
+    }
+
+    get name() {
+        return 'mock';
+    }
+
+    async initialize() {
+        if (!this.script) {
+            const file = process.env.STT_MOCK_SCRIPT;
+            if (!file) {
+                throw new Error('The mock speech provider needs a script (set STT_MOCK_SCRIPT to a text file)');
+            }
+            this.script = fs.readFileSync(file, 'utf8').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        }
+    }
+
+    createRecognizer() {
+        return new ChunkedRecognizer(async () => this.nextLine(), { chunkMs: this.intervalMs });
+    }
+
+    /**
+     * @private
+     */
+    nextLine() {
+        if (!this.script || this.script.length === 0) {
+            return null;
+        }
+        if (this.position >= this.script.length) {
+            if (!this.loop) {
+                return null;
+            }
+            this.position = 0;
+        }
+        return this.script[this.position++];
+    }
+}
+
+module.exports = MockSttProvider;
@@ -0,0 +1,69 @@
+const { parseLanguageList, matchLanguage } = require('../languages');
+
+/**
+ * Base class for speech-to-text providers.
+ *
+ * A provider turns 16 kHz mono s16le PCM into transcripts. AudioService asks
+ * it for a recognizer per recording: a Writable that audio is written to,
+ * which emits 'result' with { text, confidence, isFinal } (confidence 0-1,
+ * 0 for interim results) - the same contract as the transcript callback.
+ * Engines that tell voices apart add speakerLabel ("Speaker 2") and
+ * speakerId, which stays the same for one voice within a recognition stream.
+ * Engines that detect the language add languageCode, in their own form;
+ * resolveLanguage() maps it to a configured code.
+ * Recognizers also implement flush(), called at the end of each utterance
+ * when voice activity detection is on, and getHealth().
+ */
+class SttProvider {
+    /**
+     * @param {Object} [options] - Provider options
+     * @param {string} [options.languageCode] - BCP-47 language of the meeting (STT_LANGUAGE, default en-US)
+     * @param {string[]} [options.alternativeLanguageCodes] - Other languages spoken, detected per
+     *   utterance (STT_ALT_LANGUAGES, comma-separated)
+     */
+    constructor(options = {}) {
+        this.languageCode = options.languageCode || process.env.STT_LANGUAGE || 'en-US';
+        this.alternativeLanguageCodes = parseLanguageList(options.alternativeLanguageCodes || process.env.STT_ALT_LANGUAGES);
+    }
+
+    /**
+     * Every language recognized, the main one first
+     * @returns {string[]}
+     */
+    get languageCodes() {
+        return [this.languageCode, ...this.alternativeLanguageCodes];
+    }
+
+    /**
+     * Configured language of a result
+     * @param {string} [detected] - languageCode reported by the recognizer
+     * @returns {string} The matching configured code, or the main language
+     */
+    resolveLanguage(detected) {
+        return matchLanguage(detected, this.languageCodes) || this.languageCode;
+    }
+
+    /**
+     * Provider name used in config (STT_PROVIDER)
+     * @returns {string}
+     */
+    get name() {
+        return 'unknown';
+    }
+
+    /**
+     * Check the provider can run (credentials, binaries, models) before a meeting starts
+     * @throws {Error} If it cannot
+     */
+    async initialize() {}
+
+    /**
+     * Start a recognition session
+     * @returns {import('stream').Writable} Recognizer (see class description)
+     */
+    createRecognizer() {
+        throw new Error(`createRecognizer() not implemented for ${this.name}`);
+    }
+}
+
+module.exports = SttProvider;
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const SttProvider = require('./SttProvider');
+const ChunkedRecognizer = require('./ChunkedRecognizer');
+
+// whisper.cpp's CLI: text only, no timestamps or progress
+const DEFAULT_COMMAND = 'whisper-cli -m {model} -f {file} -l {language} -t {threads} -nt -np';
+
+/**
+ * 16 kHz mono s16le PCM as a WAV file
+ * @private
+ */
+function toWav(pcm) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);        // PCM
+    header.writeUInt16LE(1, 22);        // Mono
+    header.writeUInt32LE(16000, 24);
+    header.writeUInt32LE(32000, 28);    // Byte rate
+    header.writeUInt16LE(2, 32);        // Block align
+    header.writeUInt16LE(16, 34);       // Bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Local transcription on the CPU with whisper.cpp, or any Whisper engine
+ * (e.g. a faster-whisper script) that prints the transcript of a WAV file.
+ *
+ * Audio is transcribed in pieces - one per utterance with voice activity
+ * detection, otherwise every `chunkMs` - so results are final only and
+ * arrive a little after the speech. Whisper gives no usable confidence, so
+ * results report 1. With alternative languages, {language} is 'auto' and
+ * the language whisper.cpp reports detecting is passed on.
+ */
+class WhisperSttProvider extends SttProvider {
+    /**
+     * @param {Object} [options] - Provider options (see SttProvider)
+     * @param {string} [options.command] - Command line with {file}, {model}, {language} and {threads}
+     *   placeholders (STT_WHISPER_COMMAND, default whisper.cpp's whisper-cli)
+     * @param {string} [options.model] - Model file (STT_WHISPER_MODEL)
+     * @param {number} [options.threads] - CPU threads (STT_WHISPER_THREADS, default all cores)
+     * @param {number} [options.chunkMs] - Longest piece transcribed at once (STT_WHISPER_CHUNK_MS, default 10000)
+     * @param {number} [options.timeoutMs=120000] - Longest a piece may take
+     */
+    constructor(options = {}) {
+        super(options);
+        this.command = options.command || process.env.STT_WHISPER_COMMAND || DEFAULT_COMMAND;
+        this.model = options.model || process.env.STT_WHISPER_MODEL || '';
+        this.threads = options.threads || parseInt(process.env.STT_WHISPER_THREADS, 10) || os.cpus().length;
+        this.chunkMs = options.chunkMs || parseInt(process.env.STT_WHISPER_CHUNK_MS, 10) || 10000;
+        this.timeoutMs = options.timeoutMs || 120000;
+        this.tempDir = null;
+    }
+
+    get name() {
+        return 'whisper';
+    }
+
+    async initialize() {
+        if (this.command.includes('{model}') && !fs.existsSync(this.model)) {
+            throw new Error(`Whisper model not found: ${this.model || '(set STT_WHISPER_MODEL)'}`);
+        }
+
+        // A second of silence proves the binary runs before the meeting depends on it
+        await this.transcribe(Buffer.alloc(32000));
+        console.log(`Whisper transcription ready (${this.command.split(/\s+/)[0]})`);
+    }
+
+    createRecognizer() {
+        return new ChunkedRecognizer(pcm => this.transcribe(pcm), { chunkMs: this.chunkMs });
+    }
+
+    /**
+     * Transcribe one piece of audio
+     * @param {Buffer} pcm - 16 kHz mono s16le audio
+     * @returns {Promise<{text: string, languageCode: string|null}>} Text (empty when nothing was
+     *   said) and the detected language, if any
+     */
+    async transcribe(pcm) {
+        if (!this.tempDir) {
+            this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meet-agent-whisper-'));
+        }
+        const file = path.join(this.tempDir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.wav`);
+        await fs.promises.writeFile(file, toWav(pcm));
+
+        const values = {
+            file,
+            model: this.model,
+            language: this.alternativeLanguageCodes.length ? 'auto' : this.languageCode.split('-')[0],
+            threads: String(this.threads)
+        };
+        // Placeholders are filled per argument, so paths with spaces stay one argument
+        const [executable, ...args] = this.command.split(/\s+/).filter(Boolean)
+            .map(part => part.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match)));
+
+        try {
+            const { stdout, stderr } = await new Promise((resolve, reject) => {
+                execFile(executable, args, { timeout: this.timeoutMs, maxBuffer: 1024 * 1024 }, (error, out, err) => {
+                    if (error) {
+                        const detail = (err || '').trim().split('\n').pop();
+                        reject(new Error(`${executable} failed: ${detail || error.message}`));
+                    } else {
+                        resolve({ stdout: out, stderr: err || '' });
+                    }
+                });
+            });
+
+            // whisper.cpp logs "auto-detected language: es (p = 0.97)"
+            const detected = stderr.match(/auto-detected language: ([a-z]{2,3})\b/);
+
+            // Drop markers such as [BLANK_AUDIO] or (music) and join the lines
+            const text = stdout
+                .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+            return { text, languageCode: detected ? detected[1] : null };
+        } finally {
+            fs.promises.unlink(file).catch(() => {});
+        }
+    }
+}
+
+module.exports = WhisperSttProvider;
@@ -0,0 +1,34 @@
+const SttProvider = require('./SttProvider');
+const GoogleSttProvider = require('./GoogleSttProvider');
+const WhisperSttProvider = require('./WhisperSttProvider');
+const MockSttProvider = require('./MockSttProvider');
+
+const providers = {
+    google: GoogleSttProvider,
+    whisper: WhisperSttProvider,
+    mock: MockSttProvider
+};
+
+/**
+ * Create the configured speech-to-text provider
+ * @param {string} [name] - google, whisper or mock (defaults to STT_PROVIDER, then google)
+ * @param {Object} [options] - Provider options
+ * @returns {SttProvider}
+ * @throws {Error} If the name is unknown
+ */
+function createSttProvider(name, options = {}) {
+    const selected = (name || process.env.STT_PROVIDER || 'google').toLowerCase();
+    const Provider = providers[selected];
+    if (!Provider) {
+        throw new Error(`Unknown speech-to-text provider: ${selected} (use google, whisper or mock)`);
+    }
+    return new Provider(options);
+}
+
+module.exports = {
+    createSttProvider,
+    SttProvider,
+    GoogleSttProvider,
+    WhisperSttProvider,
+    MockSttProvider
+};
@@ -0,0 +1,53 @@
+const TtsProvider = require('./TtsProvider');
+
+const API_URL = 'https://api.elevenlabs.io/v1/text-to-speech';
+
+/**
+ * ElevenLabs speech. The multilingual model speaks whatever language the
+ * answer is in with the same voice.
+ */
+class ElevenLabsTtsProvider extends TtsProvider {
+    /**
+     * @param {Object} [options] - Provider options (see TtsProvider)
+     * @param {string} [options.voice] - Voice id (TTS_ELEVENLABS_VOICE, default "Adam")
+     * @param {string} [options.apiKey] - API key (ELEVENLABS_API_KEY)
+     * @param {string} [options.model] - Model id (TTS_ELEVENLABS_MODEL, default eleven_multilingual_v2)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.voice = this.voice || process.env.TTS_ELEVENLABS_VOICE || this.personaVoice || 'pNInz6obpgDQGcFmaJgB';
+        this.apiKey = options.apiKey || process.env.ELEVENLABS_API_KEY;
+        this.model = options.model || process.env.TTS_ELEVENLABS_MODEL || 'eleven_multilingual_v2';
+    }
+
+    get name() {
+        return 'elevenlabs';
+    }
+
+    async initialize() {
+        if (!this.apiKey) {
+            throw new Error('ELEVENLABS_API_KEY is not set');
+        }
+    }
+
+    async synthesize(fragment) {
+        const response = await fetch(`${API_URL}/${encodeURIComponent(this.voice)}?output_format=mp3_44100_128`, {
+            method: 'POST',
+            headers: {
+                'xi-api-key': this.apiKey,
+                'Content-Type': 'application/json',
+                Accept: 'audio/mpeg'
+            },
+            body: JSON.stringify({ text: this.textOf(fragment), model_id: this.model }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            const detail = (await response.text().catch(() => '')).slice(0, 200);
+            throw new Error(`ElevenLabs returned ${response.status}${detail ? `: ${detail}` : ''}`);
+        }
+        return { audio: Buffer.from(await response.arrayBuffer()), extension: 'mp3' };
+    }
+}
+
+module.exports = ElevenLabsTtsProvider;
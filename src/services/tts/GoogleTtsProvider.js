@@ -0,0 +1,85 @@
+const { TextToSpeechClient } = require('@google-cloud/text-to-speech');
+const fs = require('fs');
+const path = require('path');
+const TtsProvider = require('./TtsProvider');
+const { matchLanguage, primaryLanguage } = require('../languages');
+
+/**
+ * Google Cloud Text-to-Speech, the only provider that reads the SSML pauses
+ * and emphasis. Answers in other languages use the TTS_VOICES voice for the
+ * language, or Google's default voice for it.
+ */
+class GoogleTtsProvider extends TtsProvider {
+    /**
+     * @param {Object} [options] - Provider options (see TtsProvider)
+     * @param {string} [options.voice] - Voice name (TTS_GOOGLE_VOICE, default en-US-Neural2-D)
+     * @param {string} [options.keyFilename] - Service account key (TTS_GOOGLE_CREDENTIALS,
+     *   default src/creds/meetBot-credentials.json)
+     * @param {Object<string, string>} [options.languageVoices] - Voice name per language code for
+     *   answers in other languages (TTS_VOICES, e.g. "es-ES=es-ES-Neural2-B,de-DE=de-DE-Neural2-B")
+     */
+    constructor(options = {}) {
+        super(options);
+        this.voice = this.voice || process.env.TTS_GOOGLE_VOICE || this.personaVoice || 'en-US-Neural2-D';
+        this.keyFilename = options.keyFilename || process.env.TTS_GOOGLE_CREDENTIALS
+            || path.join(__dirname, '..', '..', 'creds', 'meetBot-credentials.json');
+        this.languageVoices = options.languageVoices || Object.fromEntries((process.env.TTS_VOICES || '').split(',')
+            .map(entry => entry.split('=').map(part => part.trim()))
+            .filter(([code, name]) => code && name));
+        this.client = null;
+
+        // Voice settings for more natural speech
+        this.ssmlGender = 'MALE';
+
+        // Audio settings for better quality
+        this.audioConfig = {
+            audioEncoding: 'MP3',
+            speakingRate: 1.1,        // Slightly faster for engagement
+            pitch: -0.5,              // Slightly lower pitch for male voice
+            volumeGainDb: 1.0,        // Slight volume boost
+            effectsProfileId: ['small-bluetooth-speaker-class-device']  // Optimize for speakers
+        };
+    }
+
+    get name() {
+        return 'google';
+    }
+
+    async initialize() {
+        if (!fs.existsSync(this.keyFilename)) {
+            throw new Error(`Google Cloud credentials not found at ${this.keyFilename}`);
+        }
+        if (!this.client) {
+            this.client = new TextToSpeechClient({ keyFilename: this.keyFilename });
+        }
+    }
+
+    /**
+     * Voice for an answer: the persona's voice in its own language, the
+     * configured voice for another language, or Google's default voice for it
+     * @param {string} [languageCode] - Language of the answer
+     * @returns {{languageCode: string, name?: string, ssmlGender: string}}
+     */
+    voiceFor(languageCode) {
+        if (!languageCode || primaryLanguage(languageCode) === primaryLanguage(this.languageCode)) {
+            return { languageCode: this.languageCode, name: this.voice, ssmlGender: this.ssmlGender };
+        }
+
+        const configured = matchLanguage(languageCode, Object.keys(this.languageVoices));
+        if (configured) {
+            return { languageCode: configured, name: this.languageVoices[configured], ssmlGender: this.ssmlGender };
+        }
+        return { languageCode, ssmlGender: this.ssmlGender };
+    }
+
+    async synthesize(fragment, options = {}) {
+        const [response] = await this.client.synthesizeSpeech({
+            input: { ssml: `<speak>${fragment}</speak>` },
+            voice: this.voiceFor(options.languageCode),
+            audioConfig: this.audioConfig
+        }, { timeout: this.timeoutMs });
+        return { audio: Buffer.from(response.audioContent), extension: 'mp3' };
+    }
+}
+
+module.exports = GoogleTtsProvider;
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const TtsProvider = require('./TtsProvider');
+const { primaryLanguage } = require('../languages');
+
+// Commands that read the text on stdin and write a WAV file
+const ENGINES = {
+    piper: 'piper --model {voice} --output_file {file}',
+    espeak: 'espeak-ng -v {voice} -w {file} --stdin'
+};
+
+/**
+ * Offline speech on the CPU with Piper, espeak-ng, or any command that reads
+ * text on stdin and writes a WAV file.
+ *
+ * For Piper the voice is a model file (.onnx), which speaks one language.
+ * For espeak-ng it is an espeak voice; answers in another language use
+ * espeak's voice for that language.
+ */
+class LocalTtsProvider extends TtsProvider {
+    /**
+     * @param {Object} [options] - Provider options (see TtsProvider)
+     * @param {string} [options.engine='piper'] - piper or espeak
+     * @param {string} [options.voice] - Piper model (TTS_PIPER_MODEL) or espeak voice
+     *   (TTS_ESPEAK_VOICE, default the language)
+     * @param {string} [options.command] - Command line with {file}, {voice} and {language}
+     *   placeholders (TTS_LOCAL_COMMAND, default the engine's)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.engine = options.engine || 'piper';
+        if (!ENGINES[this.engine]) {
+            throw new Error(`Unknown local speech engine: ${this.engine} (use piper or espeak)`);
+        }
+        this.voice = this.voice || (this.engine === 'piper' ? process.env.TTS_PIPER_MODEL : process.env.TTS_ESPEAK_VOICE)
+            || this.personaVoice || null;
+        this.command = options.command || process.env.TTS_LOCAL_COMMAND || ENGINES[this.engine];
+        this.tempDir = null;
+    }
+
+    get name() {
+        return this.engine;
+    }
+
+    async initialize() {
+        if (this.engine === 'piper' && this.command.includes('{voice}') && !(this.voice && fs.existsSync(this.voice))) {
+            throw new Error(`Piper model not found: ${this.voice || '(set TTS_PIPER_MODEL)'}`);
+        }
+
+        // A short phrase proves the binary runs before the meeting depends on it
+        await this.synthesize('Ready.');
+        console.log(`Local speech ready (${this.command.split(/\s+/)[0]})`);
+    }
+
+    async synthesize(fragment, options = {}) {
+        if (!this.tempDir) {
+            this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meet-agent-tts-'));
+        }
+        const file = path.join(this.tempDir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.wav`);
+
+        const language = primaryLanguage(options.languageCode || this.languageCode);
+        const ownLanguage = language === primaryLanguage(this.languageCode);
+        const values = {
+            file,
+            language,
+            voice: this.engine === 'espeak' && !ownLanguage ? language : (this.voice || language)
+        };
+        // Placeholders are filled per argument, so paths with spaces stay one argument
+        const [executable, ...args] = this.command.split(/\s+/).filter(Boolean)
+            .map(part => part.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match)));
+
+        try {
+            await new Promise((resolve, reject) => {
+                const child = spawn(executable, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+                let stderr = '';
+                const timer = setTimeout(() => child.kill(), this.timeoutMs);
+                child.stderr.on('data', data => {
+                    stderr = (stderr + data.toString()).slice(-2000);
+                });
+                child.on('error', error => {
+                    clearTimeout(timer);
+                    reject(new Error(`${executable} failed: ${error.message}`));
+                });
+                child.on('close', (code, signal) => {
+                    clearTimeout(timer);
+                    if (code === 0) {
+                        resolve();
+                    } else {
+                        const detail = stderr.trim().split('\n').pop();
+                        reject(new Error(`${executable} failed: ${detail || (signal ? `killed by ${signal}` : `exit code ${code}`)}`));
+                    }
+                });
+                child.stdin.on('error', () => {});  // Reported through the exit instead
+                child.stdin.end(this.textOf(fragment) + '\n');
+            });
+
+            return { audio: await fs.promises.readFile(file), extension: 'wav' };
+        } finally {
+            fs.promises.unlink(file).catch(() => {});
+        }
+    }
+}
+
+LocalTtsProvider.ENGINES = Object.keys(ENGINES);
+
+module.exports = LocalTtsProvider;
@@ -0,0 +1,46 @@
+const { OpenAI } = require('openai');
+const TtsProvider = require('./TtsProvider');
+
+/**
+ * OpenAI speech. Its voices speak whatever language the answer is in.
+ */
+class OpenAiTtsProvider extends TtsProvider {
+    /**
+     * @param {Object} [options] - Provider options (see TtsProvider)
+     * @param {string} [options.voice] - Voice (TTS_OPENAI_VOICE, default onyx)
+     * @param {string} [options.apiKey] - API key (OPENAI_API_KEY)
+     * @param {string} [options.model] - Model (TTS_OPENAI_MODEL, default tts-1)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.voice = this.voice || process.env.TTS_OPENAI_VOICE || this.personaVoice || 'onyx';
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.model = options.model || process.env.TTS_OPENAI_MODEL || 'tts-1';
+        this.client = null;
+    }
+
+    get name() {
+        return 'openai';
+    }
+
+    async initialize() {
+        if (!this.apiKey) {
+            throw new Error('OPENAI_API_KEY is not set');
+        }
+        if (!this.client) {
+            this.client = new OpenAI({ apiKey: this.apiKey, timeout: this.timeoutMs, maxRetries: 0 });
+        }
+    }
+
+    async synthesize(fragment) {
+        const response = await this.client.audio.speech.create({
+            model: this.model,
+            voice: this.voice,
+            input: this.textOf(fragment),
+            response_format: 'mp3'
+        });
+        return { audio: Buffer.from(await response.arrayBuffer()), extension: 'mp3' };
+    }
+}
+
+module.exports = OpenAiTtsProvider;
@@ -0,0 +1,71 @@
+/**
+ * Base class for text-to-speech providers.
+ *
+ * A provider turns one sentence into an audio file's contents. TextToSpeechService
+ * hands it the sentence as an SSML fragment (pauses and emphasis, no <speak>
+ * wrapper); providers without SSML read it through textOf(). Providers speak
+ * with `voice` - the agent's own choice, then the provider's environment
+ * setting, then the persona's voice - in the answer's language where the
+ * voice allows it.
+ */
+class TtsProvider {
+    /**
+     * @param {Object} [options] - Provider options
+     * @param {string} [options.voice] - Voice to speak with (provider-specific name or id)
+     * @param {string} [options.personaVoice] - Persona's voice, used when neither `voice` nor the
+     *   provider's environment setting picks one
+     * @param {string} [options.languageCode='en-US'] - Language the voice speaks by default
+     * @param {number} [options.timeoutMs=20000] - Longest one sentence may take to synthesize
+     */
+    constructor(options = {}) {
+        this.voice = options.voice || null;
+        this.personaVoice = options.personaVoice || null;
+        this.languageCode = options.languageCode || 'en-US';
+        this.timeoutMs = options.timeoutMs || 20000;
+    }
+
+    /**
+     * Provider name used in config (TTS_PROVIDER)
+     * @returns {string}
+     */
+    get name() {
+        return 'unknown';
+    }
+
+    /**
+     * Check the provider can run (credentials, binaries, voices) before a meeting starts
+     * @throws {Error} If it cannot
+     */
+    async initialize() {}
+
+    /**
+     * Synthesize one sentence
+     * @param {string} fragment - SSML fragment
+     * @param {Object} [options]
+     * @param {string} [options.languageCode] - Language of the answer
+     * @returns {Promise<{audio: Buffer, extension: string}>} Encoded audio and its file extension
+     */
+    async synthesize(fragment, options = {}) {
+        throw new Error(`synthesize() not implemented for ${this.name}`);
+    }
+
+    /**
+     * Plain text of an SSML fragment
+     * @protected
+     * @param {string} fragment - SSML fragment
+     * @returns {string}
+     */
+    textOf(fragment) {
+        return fragment
+            .replace(/<[^>]+>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+module.exports = TtsProvider;
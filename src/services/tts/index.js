@@ -0,0 +1,63 @@
+const TtsProvider = require('./TtsProvider');
+const GoogleTtsProvider = require('./GoogleTtsProvider');
+const ElevenLabsTtsProvider = require('./ElevenLabsTtsProvider');
+const OpenAiTtsProvider = require('./OpenAiTtsProvider');
+const LocalTtsProvider = require('./LocalTtsProvider');
+
+const providers = {
+    google: GoogleTtsProvider,
+    elevenlabs: ElevenLabsTtsProvider,
+    openai: OpenAiTtsProvider
+};
+
+/**
+ * Create a text-to-speech provider
+ * @param {string} name - google, elevenlabs, openai, piper or espeak
+ * @param {Object} [options] - Provider options
+ * @returns {TtsProvider}
+ * @throws {Error} If the name is unknown
+ */
+function createTtsProvider(name, options = {}) {
+    const selected = name.toLowerCase();
+    if (LocalTtsProvider.ENGINES.includes(selected)) {
+        return new LocalTtsProvider({ ...options, engine: selected });
+    }
+    const Provider = providers[selected];
+    if (!Provider) {
+        throw new Error(`Unknown text-to-speech provider: ${selected} (use google, elevenlabs, openai, piper or espeak)`);
+    }
+    return new Provider(options);
+}
+
+/**
+ * Create the configured providers, in fallback order
+ * @param {string|string[]} [names] - Comma-separated list or array (defaults to TTS_PROVIDER, then google)
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.voices] - Voice per provider name
+ * @param {Object<string, string>} [options.personaVoices] - Persona's voice per provider name, used
+ *   where neither `voices` nor the provider's environment setting picks one
+ * @param {Object<string, Object>} [options.providerOptions] - Other options per provider name
+ * @returns {TtsProvider[]}
+ */
+function createTtsProviders(names, options = {}) {
+    const list = Array.isArray(names) ? names : String(names || process.env.TTS_PROVIDER || 'google').split(',');
+    const selected = [...new Set(list.map(name => name.trim().toLowerCase()).filter(Boolean))];
+    const voices = options.voices || {};
+    const personaVoices = options.personaVoices || {};
+    const providerOptions = options.providerOptions || {};
+    return selected.map(name => createTtsProvider(name, {
+        voice: voices[name],
+        personaVoice: personaVoices[name],
+        ...providerOptions[name]
+    }));
+}
+
+module.exports = {
+    createTtsProvider,
+    createTtsProviders,
+    TtsProvider,
+    GoogleTtsProvider,
+    ElevenLabsTtsProvider,
+    OpenAiTtsProvider,
+    LocalTtsProvider
+};
@@ -0,0 +1,55 @@
+require('dotenv').config();
+
+const path = require('path');
+const AgentSupervisor = require('./services/AgentSupervisor');
+
+// Instance list: first argument, AGENTS_CONFIG, or agents.json in the project root
+const configPath = path.resolve(process.argv[2] || process.env.AGENTS_CONFIG || path.join(__dirname, '..', 'agents.json'));
+const supervisor = new AgentSupervisor(AgentSupervisor.loadConfig(configPath));
+const shutdownTimeout = 15000;
+
+supervisor.on('started', ({ name }) => console.log(`Instance ${name} is in its meeting`));
+supervisor.on('failed', ({ name, error }) => console.error(`Instance ${name} failed: ${error.message}`));
+supervisor.on('ended', ({ name, reason }) => console.log(`Instance ${name} left its meeting (${reason})`));
+
+async function shutdown() {
+    // Force exit after timeout
+    setTimeout(() => {
+        console.log('Shutdown timeout reached');
+        console.log('Forcing exit...');
+        process.exit(1);
+    }, shutdownTimeout);
+
+    await supervisor.stopAll();
+    process.exit(0);
+}
+
+// Handle process termination
+process.on('SIGINT', () => {
+    console.log('Received SIGINT. Stopping all instances...');
+    shutdown();
+});
+
+process.on('uncaughtException', (error) => {
+    // An error thrown inside one instance only takes that instance down
+    if (supervisor.handleUncaughtError(error)) {
+        return;
+    }
+    console.log('Received uncaughtException. Stopping all instances...');
+    console.error('Uncaught exception:', error);
+    shutdown();
+});
+
+const starting = supervisor.startAll().then(results => {
+    const started = results.filter(result => result.ok).length;
+    console.log(`${started} of ${results.length} agent instance(s) started`);
+});
+
+// Exit once nothing is left running, after the start summary when every instance failed
+supervisor.on('idle', () => {
+    starting.then(() => {
+        console.log('No agent instances left running');
+        const anyJoined = supervisor.getStatus().some(instance => instance.status !== 'failed');
+        process.exit(anyJoined ? 0 : 1);
+    });
+});
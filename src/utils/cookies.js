@@ -0,0 +1,114 @@
+const fs = require('fs');
+
+const SAME_SITE = {
+    no_restriction: 'None',
+    none: 'None',
+    lax: 'Lax',
+    strict: 'Strict'
+};
+
+/**
+ * Convert one exported cookie to a CDP Network.CookieParam. Host-only cookies
+ * are set by URL so they don't widen into domain cookies.
+ * @private
+ */
+function toCookieParam(cookie) {
+    const domain = cookie.domain || '';
+    const cookiePath = cookie.path || '/';
+    const hostOnly = cookie.hostOnly !== undefined ? cookie.hostOnly : !domain.startsWith('.');
+    const param = {
+        name: cookie.name,
+        value: cookie.value,
+        path: cookiePath,
+        secure: Boolean(cookie.secure),
+        httpOnly: Boolean(cookie.httpOnly)
+    };
+
+    if (hostOnly) {
+        param.url = `${cookie.secure ? 'https' : 'http'}://${domain.replace(/^\./, '')}${cookiePath}`;
+    } else {
+        param.domain = domain;
+    }
+
+    // Cookie-Editor/EditThisCookie use expirationDate, Playwright/Puppeteer use expires (-1 = session)
+    const expires = cookie.expirationDate !== undefined ? cookie.expirationDate : cookie.expires;
+    if (!cookie.session && typeof expires === 'number' && expires > 0) {
+        param.expires = expires;
+    }
+
+    const sameSite = SAME_SITE[String(cookie.sameSite || '').toLowerCase()];
+    if (sameSite) {
+        param.sameSite = sameSite;
+    }
+
+    return param;
+}
+
+/**
+ * Parse a Netscape/curl cookies.txt export
+ * @private
+ */
+function parseNetscape(content) {
+    const cookies = [];
+    for (const rawLine of content.split(/\r?\n/)) {
+        let line = rawLine.trim();
+        let httpOnly = false;
+        if (line.startsWith('#HttpOnly_')) {
+            httpOnly = true;
+            line = line.slice('#HttpOnly_'.length);
+        }
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const fields = line.split('\t');
+        if (fields.length < 7) {
+            continue;
+        }
+        const [domain, includeSubdomains, cookiePath, secure, expires, name, ...value] = fields;
+        cookies.push({
+            domain,
+            hostOnly: includeSubdomains.toUpperCase() !== 'TRUE',
+            path: cookiePath,
+            secure: secure.toUpperCase() === 'TRUE',
+            expires: parseInt(expires, 10),
+            name,
+            value: value.join('\t'),
+            httpOnly
+        });
+    }
+    return cookies;
+}
+
+/**
+ * Read an exported browser session into CDP cookie params.
+ *
+ * Accepts a JSON array of cookies (Cookie-Editor, EditThisCookie), a JSON
+ * object with a `cookies` array (Playwright storage state), or a Netscape
+ * cookies.txt file.
+ * @param {string} file - Path to the export
+ * @returns {Object[]} Cookies for Network.setCookies
+ */
+function readCookieFile(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Cookie file not found: ${file}`);
+    }
+
+    const content = fs.readFileSync(file, 'utf8');
+    let cookies;
+    if (/^\s*[[{]/.test(content)) {
+        const parsed = JSON.parse(content);
+        cookies = Array.isArray(parsed) ? parsed : parsed.cookies;
+        if (!Array.isArray(cookies)) {
+            throw new Error(`No cookies found in ${file}`);
+        }
+    } else {
+        cookies = parseNetscape(content);
+    }
+
+    return cookies.filter(cookie => cookie.name && cookie.domain).map(toCookieParam);
+}
+
+module.exports = {
+    readCookieFile
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+let installed = false;
+
+/**
+ * Route console output to per-instance log files. Anything logged while
+ * running inside an instance log's run() (including timers, promises and event
+ * handlers set up from there) is prefixed with the instance name and also
+ * appended to that instance's log file; other output is left untouched.
+ */
+function installInstanceLogging() {
+    if (installed) {
+        return;
+    }
+    installed = true;
+
+    for (const method of CONSOLE_METHODS) {
+        const original = console[method].bind(console);
+        console[method] = (...args) => {
+            const instance = storage.getStore();
+            if (!instance) {
+                original(...args);
+                return;
+            }
+
+            original(`[${instance.name}]`, ...args);
+            // Late callbacks can still log after the instance's file is closed
+            if (!instance.stream.writable) {
+                return;
+            }
+            instance.stream.write(`[${new Date().toISOString()}] [${method.toUpperCase()}] ${util.format(...args)}\n`);
+        };
+    }
+}
+
+/**
+ * Open an instance's log file
+ * @param {string} name - Instance name used as the log prefix
+ * @param {string} logFile - File the instance's output is appended to
+ * @returns {{run: function(function(): *): *, close: function(): void}} run() executes
+ *   work with its console output attributed to the instance; close() ends the file
+ */
+function createInstanceLog(name, logFile) {
+    installInstanceLogging();
+    fs.mkdirSync(path.dirname(logFile), { recursive: true });
+    const context = { name, stream: fs.createWriteStream(logFile, { flags: 'a' }) };
+
+    return {
+        run: fn => storage.run(context, fn),
+        close: () => context.stream.end()
+    };
+}
+
+/**
+ * Name of the instance whose run() the current code was started from
+ * @returns {string|null} Null outside every instance
+ */
+function currentInstanceName() {
+    const instance = storage.getStore();
+    return instance ? instance.name : null;
+}
+
+module.exports = {
+    installInstanceLogging,
+    createInstanceLog,
+    currentInstanceName
+};
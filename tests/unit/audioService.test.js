@@ -0,0 +1,238 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Writable } = require('stream');
+const AudioService = require('../../src/services/AudioService');
+const SttProvider = require('../../src/services/stt/SttProvider');
+
+// QueryService creates its OpenAI client up front; nothing here calls it
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+const MeetAgent = require('../../src/MeetAgent');
+
+const SAMPLES_PER_MS = 16;
+
+function pcm(ms, amplitude) {
+    const samples = ms * SAMPLES_PER_MS;
+    const buffer = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        const value = amplitude
+            ? Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / 16000))
+            : (i % 2 ? 20 : -20);
+        buffer.writeInt16LE(value, i * 2);
+    }
+    return buffer;
+}
+
+const speech = ms => pcm(ms, 8000);
+const quiet = ms => pcm(ms, 0);
+
+/**
+ * Recognizer that reports "utterance <n>" for every piece of audio it is flushed with
+ */
+class FakeRecognizer extends Writable {
+    constructor() {
+        super();
+        this.bytes = 0;
+        this.pending = 0;
+        this.utterances = 0;
+    }
+
+    _write(chunk, encoding, callback) {
+        this.bytes += chunk.length;
+        this.pending += chunk.length;
+        callback();
+    }
+
+    _final(callback) {
+        this.flush();
+        callback();
+    }
+
+    flush() {
+        if (this.pending) {
+            this.pending = 0;
+            this.utterances++;
+            this.emit('result', { text: `utterance ${this.utterances}`, confidence: 0.9, isFinal: true });
+        }
+    }
+
+    getHealth() {
+        return { state: 'idle' };
+    }
+}
+
+class FakeSttProvider extends SttProvider {
+    get name() {
+        return 'fake';
+    }
+
+    createRecognizer() {
+        this.recognizer = new FakeRecognizer();
+        return this.recognizer;
+    }
+}
+
+/**
+ * Capture backend whose devices are PassThrough streams the test writes PCM to.
+ * Devices listed in `broken` fail to open.
+ */
+function createBackend(devices, { isLive = false, broken = [] } = {}) {
+    const backend = {
+        name: 'fake',
+        isLive,
+        defaultDevices: devices,
+        opened: [],
+        listDevices: async () => [],
+        probe: async device => {
+            if (broken.includes(device)) {
+                throw new Error(`${device} is unplugged`);
+            }
+            const capture = {
+                device,
+                stream: new PassThrough(),
+                process: null,
+                stopped: false,
+                stop: () => {
+                    capture.stopped = true;
+                }
+            };
+            backend.opened.push(capture);
+            return capture;
+        }
+    };
+    return backend;
+}
+
+function createService(backend, options = {}) {
+    const service = new AudioService({ echoSuppression: false, record: false, ...options });
+    service.backend = backend;
+    service.sttProvider = new FakeSttProvider({ languageCode: 'en-US' });
+    return service;
+}
+
+test('only passes audio to the recognizer while someone speaks, one utterance at a time', async () => {
+    const backend = createBackend(['replay']);
+    const service = createService(backend, { vad: true, vadOptions: { hangoverMs: 600 } });
+    const transcripts = [];
+    const speechEvents = [];
+    service.on('speech-start', () => speechEvents.push('start'));
+    service.on('speech-end', () => speechEvents.push('end'));
+
+    await service.startRecording((text, confidence, isFinal) => transcripts.push({ text, confidence, isFinal }));
+    const { recognizer } = service.sttProvider;
+    const audio = [quiet(1500), speech(1000), quiet(1500), speech(800), quiet(1500)];
+    backend.opened[0].stream.end(Buffer.concat(audio));
+    await service.whenFinished();
+    await service.stopRecording();
+
+    assert.deepEqual(transcripts, [
+        { text: 'utterance 1', confidence: 0.9, isFinal: true },
+        { text: 'utterance 2', confidence: 0.9, isFinal: true }
+    ]);
+    assert.deepEqual(speechEvents, ['start', 'end', 'start', 'end']);
+    // Speech plus, per utterance, up to 390 ms of padding and 600 ms of hangover; not the quiet between
+    const bytesPerMs = SAMPLES_PER_MS * 2;
+    assert.ok(recognizer.bytes >= 1800 * bytesPerMs);
+    assert.ok(recognizer.bytes <= (1800 + 2 * (390 + 600 + 30)) * bytesPerMs, `${recognizer.bytes} bytes recognized`);
+});
+
+test('passes all audio to the recognizer with voice activity detection off', async () => {
+    const backend = createBackend(['replay']);
+    const service = createService(backend, { vad: false });
+    const transcripts = [];
+
+    await service.startRecording(text => transcripts.push(text));
+    const { recognizer } = service.sttProvider;
+    const audio = Buffer.concat([quiet(1000), speech(500), quiet(1000)]);
+    backend.opened[0].stream.end(audio);
+    await service.whenFinished();
+    await service.stopRecording();
+
+    assert.equal(recognizer.bytes, audio.length);
+    assert.deepEqual(transcripts, ['utterance 1']);
+});
+
+test('probe() finds a working device and closes it again', async () => {
+    const backend = createBackend(['unplugged', 'mic'], { broken: ['unplugged'] });
+    const service = createService(backend);
+
+    assert.deepEqual(await service.probe(), { backend: 'fake', device: 'mic', stt: 'fake' });
+    assert.deepEqual(backend.opened.map(capture => [capture.device, capture.stopped]), [['mic', true]]);
+    // Recording starts with the device that worked
+    assert.deepEqual(await service.candidateDevices(), ['mic', 'unplugged']);
+});
+
+test('probe() fails when no device works', async () => {
+    const service = createService(createBackend(['a', 'b'], { broken: ['a', 'b'] }));
+    await assert.rejects(service.probe(), /Could not find a working fake audio device. Tried: a \(a is unplugged\); b/);
+});
+
+test('fails over to the next device when a live capture stops and keeps the same recognizer', async () => {
+    const backend = createBackend(['a', 'b'], { isLive: true });
+    const service = createService(backend, { vad: false });
+    const failovers = [];
+    service.on('capture-failover', event => failovers.push(event));
+
+    await service.startRecording(() => {});
+    const { recognizer } = service.sttProvider;
+    const [first] = backend.opened;
+    first.stream.write(speech(100));
+    first.stream.end();
+    await new Promise(resolve => service.once('capture-failover', resolve));
+
+    const second = backend.opened[1];
+    second.stream.write(speech(100));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(failovers, [{ from: 'a', to: 'b', reason: 'capture stream ended' }]);
+    assert.equal(first.stopped, true);
+    assert.equal(service.sttProvider.recognizer, recognizer);
+    assert.equal(recognizer.bytes, speech(200).length);
+    assert.equal(service.getCaptureHealth().failovers, 1);
+    await service.stopRecording();
+    assert.equal(second.stopped, true);
+});
+
+test('keeps retrying while no device works and recovers once one does', async () => {
+    const broken = [];
+    const backend = createBackend(['a', 'b'], { isLive: true, broken });
+    const service = createService(backend, { vad: false, failoverRetryMs: 20 });
+
+    await service.startRecording(() => {});
+    broken.push('a', 'b');
+    backend.opened[0].stream.end();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(service.getCaptureHealth().state, 'switching');
+
+    broken.length = 0;
+    const event = await new Promise(resolve => service.once('capture-failover', resolve));
+    assert.deepEqual(event, { from: 'a', to: 'b', reason: 'capture stream ended' });
+    await service.stopRecording();
+});
+
+test('replaying audio files probes the capture and answers what is transcribed', async t => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meet-agent-replay-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    const agent = new MeetAgent({ dataDir, replay: { audioFiles: ['meeting.wav'], speed: 0 } });
+    const backend = createBackend(['meeting.wav']);
+    agent.audioService.backend = backend;
+    agent.audioService.sttProvider = new FakeSttProvider({ languageCode: 'en-US' });
+    agent.queryService.initialize = async () => {};
+    const questions = [];
+    agent.queryService.processQuery = async text => {
+        questions.push(text);
+        return null;
+    };
+
+    const ended = new Promise(resolve => agent.once('ended', resolve));
+    await agent.start();
+    // The probe opened and closed the file once; the recording reads it again
+    assert.deepEqual(backend.opened.map(capture => capture.stopped), [true, false]);
+    backend.opened[1].stream.end(Buffer.concat([quiet(500), speech(800), quiet(1500)]));
+
+    assert.equal(await ended, 'replay-finished');
+    assert.deepEqual(questions, ['utterance 1']);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const BargeIn = require('../../src/services/BargeIn');
+
+const MIN_SPEECH_MS = 100;
+
+function setup({ useVad = true, echoSuppressed = true, enabled = true } = {}) {
+    const audioService = Object.assign(new EventEmitter(), {
+        useVad,
+        isEchoSuppressed: () => echoSuppressed
+    });
+    const ttsService = {
+        isSpeaking: true,
+        interruptions: [],
+        interrupt: async reason => {
+            ttsService.interruptions.push(reason);
+        }
+    };
+    const bargeIn = new BargeIn(audioService, ttsService, { enabled, minSpeechMs: MIN_SPEECH_MS });
+    return { audioService, ttsService, bargeIn };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('stops the bot once someone has talked over it for minSpeechMs', async () => {
+    const { audioService, ttsService, bargeIn } = setup();
+    assert.equal(bargeIn.attach(), true);
+
+    audioService.emit('speech-start');
+    await wait(MIN_SPEECH_MS / 5);
+    assert.deepEqual(ttsService.interruptions, []);
+
+    await wait(MIN_SPEECH_MS * 2);
+    assert.deepEqual(ttsService.interruptions, ['barge-in']);
+    bargeIn.detach();
+});
+
+test('lets the bot go on after short sounds', async () => {
+    const { audioService, ttsService, bargeIn } = setup();
+    bargeIn.attach();
+
+    audioService.emit('speech-start');
+    await wait(MIN_SPEECH_MS / 5);
+    audioService.emit('speech-end');
+    await wait(MIN_SPEECH_MS * 2);
+
+    assert.deepEqual(ttsService.interruptions, []);
+    bargeIn.detach();
+});
+
+test('ignores speech while the bot is quiet', async () => {
+    const { audioService, ttsService, bargeIn } = setup();
+    ttsService.isSpeaking = false;
+    bargeIn.attach();
+
+    audioService.emit('speech-start');
+    await wait(MIN_SPEECH_MS * 2);
+
+    assert.deepEqual(ttsService.interruptions, []);
+    bargeIn.detach();
+});
+
+test('does not interrupt after being detached', async () => {
+    const { audioService, ttsService, bargeIn } = setup();
+    bargeIn.attach();
+
+    audioService.emit('speech-start');
+    bargeIn.detach();
+    await wait(MIN_SPEECH_MS * 2);
+    audioService.emit('speech-start');
+    await wait(MIN_SPEECH_MS * 2);
+
+    assert.deepEqual(ttsService.interruptions, []);
+});
+
+test('stays off without voice activity detection, echo suppression or when disabled', () => {
+    for (const options of [{ useVad: false }, { echoSuppressed: false }, { enabled: false }]) {
+        const { audioService, bargeIn } = setup(options);
+        assert.equal(bargeIn.attach(), false, JSON.stringify(options));
+        assert.equal(audioService.listenerCount('speech-start'), 0);
+    }
+});
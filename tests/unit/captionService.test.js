@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CaptionService = require('../../src/services/CaptionService');
+
+const FINALIZE_AFTER_MS = 5;
+
+/**
+ * Caption source whose page queue is filled by queue(); poll() is driven by hand
+ */
+async function createCaptions() {
+    const pending = [];
+    const results = [];
+    const platform = {
+        enableCaptions: async () => {},
+        installCaptionObserver: async () => {},
+        drainCaptionUpdates: async () => pending.splice(0, pending.length)
+    };
+    const captions = new CaptionService({ platform }, { pollInterval: 60000, finalizeAfterMs: FINALIZE_AFTER_MS });
+    await captions.startRecording((text, confidence, isFinal, details) => {
+        results.push({ text, confidence, isFinal, speaker: details.speaker });
+    });
+
+    return {
+        captions,
+        results,
+        finals: () => results.filter(result => result.isFinal).map(result => result.text),
+        queue: (...updates) => pending.push(...updates),
+        // Poll now, then again once the line has been quiet long enough to be final
+        settle: async () => {
+            await captions.poll();
+            await new Promise(resolve => setTimeout(resolve, FINALIZE_AFTER_MS * 2));
+            await captions.poll();
+        }
+    };
+}
+
+test('reports interim text while a line grows and final text once it is quiet', async t => {
+    const { captions, results, queue, settle } = await createCaptions();
+    t.after(() => captions.stopRecording());
+
+    queue({ id: '1', speaker: 'Alice', text: 'What is' });
+    queue({ id: '1', speaker: 'Alice', text: 'What is the deadline?' });
+    await settle();
+
+    assert.deepEqual(results, [
+        { text: 'What is', confidence: 0, isFinal: false, speaker: 'Alice' },
+        { text: 'What is the deadline?', confidence: 0, isFinal: false, speaker: 'Alice' },
+        { text: 'What is the deadline?', confidence: 1, isFinal: true, speaker: 'Alice' }
+    ]);
+});
+
+test('only reports the words added to a line after it was finalized', async t => {
+    const { captions, finals, queue, settle } = await createCaptions();
+    t.after(() => captions.stopRecording());
+
+    queue({ id: '1', speaker: 'Alice', text: 'What is the deadline?' });
+    await settle();
+    queue({ id: '1', speaker: 'Alice', text: 'What is the deadline? And who owns it?' });
+    await settle();
+
+    assert.deepEqual(finals(), ['What is the deadline?', 'And who owns it?']);
+});
+
+test('does not report a line again when it is rewritten in place', async t => {
+    const { captions, finals, queue, settle } = await createCaptions();
+    t.after(() => captions.stopRecording());
+
+    queue({ id: '1', speaker: 'Alice', text: 'we need to ship it by friday' });
+    await settle();
+    // Punctuation and case fixed, then a correction to a word already reported
+    queue({ id: '1', speaker: 'Alice', text: 'We need to ship it by Friday.' });
+    await settle();
+    queue({ id: '1', speaker: 'Alice', text: 'We need to shift it by Friday. Any objections?' });
+    await settle();
+
+    assert.deepEqual(finals(), ['we need to ship it by friday', 'Any objections?']);
+});
+
+test('continues after the reported words when the start of a long line is dropped', async t => {
+    const { captions, finals, queue, settle } = await createCaptions();
+    t.after(() => captions.stopRecording());
+
+    queue({ id: '1', speaker: 'Bob', text: 'one two three four five six' });
+    await settle();
+    queue({ id: '1', speaker: 'Bob', text: 'four five six seven eight' });
+    await settle();
+
+    assert.deepEqual(finals(), ['one two three four five six', 'seven eight']);
+});
+
+test('ignores the bot\'s own captions', async t => {
+    const { captions, results, queue, settle } = await createCaptions();
+    t.after(() => captions.stopRecording());
+
+    queue({ id: '1', speaker: 'You', text: 'The deadline is Friday.', self: true });
+    await settle();
+
+    assert.deepEqual(results, []);
+});
+
+test('drops text still being spoken when stopped instead of finalizing it', async () => {
+    const { captions, finals, queue } = await createCaptions();
+
+    queue({ id: '1', speaker: 'Alice', text: 'Before you go' });
+    await captions.poll();
+    await captions.stopRecording();
+
+    assert.deepEqual(finals(), []);
+});
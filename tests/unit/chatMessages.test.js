@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserService } = require('../../src/services/BrowserService');
+
+function createService(limit) {
+    const sent = [];
+    const service = createBrowserService();
+    service.chatMessageLimit = limit;
+    service.platform = { sendChatMessage: async text => sent.push(text) };
+    return { service, sent };
+}
+
+test('sends a short message as it is, with newlines flattened', async () => {
+    const { service, sent } = createService(500);
+    await service.sendChatMessage('First line\n\n  second line ');
+    assert.deepEqual(sent, ['First line second line']);
+});
+
+test('splits long messages at whitespace within the limit', async () => {
+    const { service, sent } = createService(20);
+    await service.sendChatMessage('The deadline for the report is Friday afternoon at five');
+
+    assert.ok(sent.length > 1);
+    for (const part of sent) {
+        assert.ok(part.length <= 20, `"${part}" is longer than the limit`);
+    }
+    assert.equal(sent.join(' '), 'The deadline for the report is Friday afternoon at five');
+});
+
+test('hard-splits runs without whitespace that are longer than the limit', async () => {
+    const { service, sent } = createService(10);
+    const url = 'https://example.com/a/very/long/path';
+    await service.sendChatMessage(`See ${url} now`);
+
+    for (const part of sent) {
+        assert.ok(part.length <= 10, `"${part}" is longer than the limit`);
+    }
+    assert.equal(sent.join('').replace(/\s/g, ''), `See${url}now`);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readMeetings, extractMeetingUrl } = require('../../src/services/IcsCalendar');
+
+const FROM = new Date('2024-03-04T00:00:00Z');
+const TO = new Date('2024-03-25T23:59:59Z');
+
+let dir;
+test.before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meet-agent-ics-'));
+});
+test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeCalendar(name, lines) {
+    const file = path.join(dir, `${name}.ics`);
+    fs.writeFileSync(file, ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//meet-agent tests//EN', ...lines, 'END:VCALENDAR', ''].join('\r\n'));
+    return file;
+}
+
+// Weekly Monday stand-up, 09:00-09:30 UTC
+const STANDUP = [
+    'BEGIN:VEVENT',
+    'UID:standup@example.com',
+    'DTSTAMP:20240301T000000Z',
+    'DTSTART:20240304T090000Z',
+    'DTEND:20240304T093000Z',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO',
+    'SUMMARY:Stand-up',
+    'LOCATION:https://meet.google.com/abc-defg-hij',
+    'END:VEVENT'
+];
+
+test('expands recurring events over the window', async () => {
+    const meetings = await readMeetings([writeCalendar('weekly', STANDUP)], FROM, TO);
+
+    assert.deepEqual(meetings.map(meeting => meeting.start.toISOString()), [
+        '2024-03-04T09:00:00.000Z',
+        '2024-03-11T09:00:00.000Z',
+        '2024-03-18T09:00:00.000Z',
+        '2024-03-25T09:00:00.000Z'
+    ]);
+    for (const meeting of meetings) {
+        assert.equal(meeting.summary, 'Stand-up');
+        assert.equal(meeting.url, 'https://meet.google.com/abc-defg-hij');
+        assert.equal(meeting.end - meeting.start, 30 * 60 * 1000);
+        assert.equal(meeting.cancelled, false);
+    }
+});
+
+test('skips excluded dates and applies moved and cancelled instances', async () => {
+    const file = writeCalendar('overrides', [
+        ...STANDUP.slice(0, -1),
+        'EXDATE:20240311T090000Z',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:standup@example.com',
+        'DTSTAMP:20240301T000000Z',
+        'RECURRENCE-ID:20240318T090000Z',
+        'DTSTART:20240318T140000Z',
+        'DTEND:20240318T143000Z',
+        'SUMMARY:Stand-up (moved)',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:standup@example.com',
+        'DTSTAMP:20240301T000000Z',
+        'RECURRENCE-ID:20240325T090000Z',
+        'DTSTART:20240325T090000Z',
+        'DTEND:20240325T093000Z',
+        'STATUS:CANCELLED',
+        'END:VEVENT'
+    ]);
+
+    const meetings = await readMeetings([file], FROM, TO);
+
+    assert.deepEqual(meetings.map(({ start, summary, cancelled }) => [start.toISOString(), summary, cancelled]), [
+        ['2024-03-04T09:00:00.000Z', 'Stand-up', false],
+        ['2024-03-18T14:00:00.000Z', 'Stand-up (moved)', false],
+        ['2024-03-25T09:00:00.000Z', 'Stand-up', true]
+    ]);
+    // The moved instance keeps the series' meeting link
+    assert.equal(meetings[1].url, 'https://meet.google.com/abc-defg-hij');
+});
+
+test('honours a cancellation for the whole series sent in another file', async () => {
+    const series = writeCalendar('series', STANDUP);
+    const cancel = writeCalendar('cancel', [
+        'METHOD:CANCEL',
+        'BEGIN:VEVENT',
+        'UID:standup@example.com',
+        'DTSTAMP:20240302T000000Z',
+        'DTSTART:20240304T090000Z',
+        'DTEND:20240304T093000Z',
+        'STATUS:CANCELLED',
+        'END:VEVENT'
+    ]);
+
+    const meetings = await readMeetings([series, cancel], FROM, TO);
+
+    assert.equal(meetings.length, 4);
+    assert.ok(meetings.every(meeting => meeting.cancelled));
+});
+
+test('finds meeting links but not platform home pages', () => {
+    assert.equal(
+        extractMeetingUrl({ description: 'Agenda at https://docs.example.com/x. Join: https://zoom.us/j/123456789?pwd=abc.' }),
+        'https://zoom.us/j/123456789?pwd=abc'
+    );
+    assert.equal(
+        extractMeetingUrl({ location: 'https://teams.microsoft.com/l/meetup-join/19%3ameeting_abc/0' }),
+        'https://teams.microsoft.com/l/meetup-join/19%3ameeting_abc/0'
+    );
+    assert.equal(extractMeetingUrl({ description: 'Set up Meet at https://meet.google.com/landing' }), null);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JoinState, JoinStateMachine } = require('../../src/services/JoinStateMachine');
+
+/**
+ * Platform adapter whose page reports the given join states, one per check
+ */
+function createPlatform(states = [], overrides = {}) {
+    const platform = {
+        opened: 0,
+        openPreJoin: async () => {
+            platform.opened++;
+        },
+        requestJoin: async () => {},
+        detectJoinState: async () => {
+            const state = states.length > 1 ? states.shift() : states[0];
+            return state ? { state, reason: state } : null;
+        },
+        ...overrides
+    };
+    return platform;
+}
+
+test('joins once the page shows the call', async () => {
+    const platform = createPlatform([JoinState.WAITING_FOR_ADMISSION, JoinState.IN_CALL]);
+    const machine = new JoinStateMachine(platform, { pollInterval: 0, retries: 2 });
+    const transitions = [];
+    machine.on('transition', ({ to }) => transitions.push(to));
+
+    const outcome = await machine.run('https://meet.google.com/abc-defg-hij');
+
+    assert.deepEqual(outcome, { state: JoinState.IN_CALL, reason: JoinState.IN_CALL, attempts: 1 });
+    assert.deepEqual(transitions, [JoinState.WAITING_FOR_ADMISSION, JoinState.IN_CALL]);
+});
+
+test('retries failed attempts up to the retry count', async () => {
+    const platform = createPlatform([], {
+        requestJoin: async () => {
+            throw new Error('join button missing');
+        }
+    });
+    const machine = new JoinStateMachine(platform, { pollInterval: 0, retries: 2 });
+
+    const outcome = await machine.run('https://meet.google.com/abc-defg-hij');
+
+    assert.equal(outcome.state, JoinState.FAILED);
+    assert.equal(outcome.attempts, 3);
+    assert.equal(platform.opened, 3);
+});
+
+test('does not retry denied joins', async () => {
+    const platform = createPlatform([JoinState.DENIED]);
+    const machine = new JoinStateMachine(platform, { pollInterval: 0, retries: 2 });
+
+    const outcome = await machine.run('https://meet.google.com/abc-defg-hij');
+
+    assert.equal(outcome.state, JoinState.DENIED);
+    assert.equal(outcome.attempts, 1);
+});
+
+test('reports an admission timeout as its own outcome and does not retry it', async () => {
+    const platform = createPlatform([JoinState.WAITING_FOR_ADMISSION]);
+    const machine = new JoinStateMachine(platform, { admissionTimeout: 20, pollInterval: 5, retries: 2 });
+
+    const outcome = await machine.run('https://meet.google.com/abc-defg-hij');
+
+    assert.equal(outcome.state, JoinState.ADMISSION_TIMEOUT);
+    assert.equal(outcome.attempts, 1);
+    assert.equal(platform.opened, 1);
+});
+
+test('takes an admission timeout and poll interval of 0 as given', () => {
+    const machine = new JoinStateMachine(createPlatform(), { admissionTimeout: 0, pollInterval: 0 });
+    assert.equal(machine.admissionTimeout, 0);
+    assert.equal(machine.pollInterval, 0);
+});
+
+test('reads a page that failed to load before giving up on it', async () => {
+    const platform = createPlatform([JoinState.ENDED], {
+        openPreJoin: async () => {
+            throw new Error('join button not found');
+        }
+    });
+    const machine = new JoinStateMachine(platform, { pollInterval: 0, retries: 2 });
+
+    const outcome = await machine.run('https://meet.google.com/abc-defg-hij');
+
+    assert.equal(outcome.state, JoinState.ENDED);
+    assert.equal(outcome.attempts, 1);
+});
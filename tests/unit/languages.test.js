@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseLanguageList, primaryLanguage, matchLanguage, languageName } = require('../../src/services/languages');
+const SttProvider = require('../../src/services/stt/SttProvider');
+const WhisperSttProvider = require('../../src/services/stt/WhisperSttProvider');
+const ProcessResult = require('../../src/services/ProcessResult');
+
+test('parses language lists from settings', () => {
+    assert.deepEqual(parseLanguageList(' es-ES, de-DE ,,'), ['es-ES', 'de-DE']);
+    assert.deepEqual(parseLanguageList(['fr-FR']), ['fr-FR']);
+    assert.deepEqual(parseLanguageList(undefined), []);
+});
+
+test('matches detected languages to the configured codes', () => {
+    const configured = ['en-US', 'es-ES', 'es-MX', 'pt-BR'];
+    assert.equal(primaryLanguage('es_MX'), 'es');
+    assert.equal(matchLanguage('es-mx', configured), 'es-MX');
+    assert.equal(matchLanguage('es', configured), 'es-ES');
+    assert.equal(matchLanguage('pt-PT', configured), 'pt-BR');
+    assert.equal(matchLanguage('fr', configured), null);
+    assert.equal(matchLanguage(null, configured), null);
+    assert.equal(languageName('es-ES'), 'Spanish');
+});
+
+test('recognizers fall back to the main language for unknown or missing detections', () => {
+    const provider = new SttProvider({ languageCode: 'en-US', alternativeLanguageCodes: 'es-ES,de-DE' });
+    assert.deepEqual(provider.languageCodes, ['en-US', 'es-ES', 'de-DE']);
+    assert.equal(provider.resolveLanguage('es'), 'es-ES');
+    assert.equal(provider.resolveLanguage('de-de'), 'de-DE');
+    assert.equal(provider.resolveLanguage('fr'), 'en-US');
+    assert.equal(provider.resolveLanguage(undefined), 'en-US');
+});
+
+test('whisper detects the language only when several are configured', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meet-agent-whisper-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    // Stands in for whisper-cli: echoes the language it was given, and "detects" Spanish when asked to
+    const script = path.join(dir, 'fake-whisper.js');
+    fs.writeFileSync(script, [
+        'const language = process.argv[2];',
+        'if (language === "auto") console.error("whisper_full: auto-detected language: es (p = 0.97)");',
+        'console.log(`[00:00.000 --> 00:02.000] language ${language}`);'
+    ].join('\n'));
+    const command = `${process.execPath} ${script} {language}`;
+
+    const single = new WhisperSttProvider({ command, languageCode: 'en-US', alternativeLanguageCodes: [] });
+    const multiple = new WhisperSttProvider({ command, languageCode: 'en-US', alternativeLanguageCodes: ['es-ES'] });
+    // Each provider keeps its audio pieces in a temp folder of its own
+    t.after(() => [single, multiple].forEach(provider => provider.tempDir && fs.rmSync(provider.tempDir, { recursive: true, force: true })));
+
+    assert.deepEqual(await single.transcribe(Buffer.alloc(3200)), { text: 'language en', languageCode: null });
+
+    const result = await multiple.transcribe(Buffer.alloc(3200));
+    assert.deepEqual(result, { text: 'language auto', languageCode: 'es' });
+    assert.equal(multiple.resolveLanguage(result.languageCode), 'es-ES');
+});
+
+test('asks for the answer in the language of the question', async () => {
+    const processor = new ProcessResult();
+    const { messages } = await processor.createAnalysisPrompt('¿Cuál es la fecha límite?', null, 'casual', { languageCode: 'es-ES' });
+    assert.match(messages[0].content, /asked in Spanish\. Answer in Spanish\./);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const ManagedRecognizer = require('../../src/services/stt/ManagedRecognizer');
+
+const BYTES_PER_MS = 32;
+
+/**
+ * Stands in for @google-cloud/speech: every streamingRecognize() call returns a
+ * stream that records the audio it receives
+ */
+function createSpeechClient() {
+    const streams = [];
+    return {
+        streams,
+        streamingRecognize() {
+            const stream = new EventEmitter();
+            stream.audio = [];
+            stream.ended = false;
+            stream.write = chunk => stream.audio.push(chunk);
+            stream.end = () => {
+                if (!stream.ended) {
+                    stream.ended = true;
+                    setImmediate(() => stream.emit('end'));
+                }
+            };
+            stream.bytes = () => Buffer.concat(stream.audio);
+            streams.push(stream);
+            return stream;
+        }
+    };
+}
+
+/**
+ * 100 ms chunks of audio whose bytes count up, so any chunk can be located
+ */
+function chunks(count, first = 0) {
+    return Array.from({ length: count }, (_, i) => Buffer.alloc(100 * BYTES_PER_MS, first + i));
+}
+
+function finalResult(text, endMs, words) {
+    return {
+        results: [{
+            isFinal: true,
+            resultEndTime: { seconds: Math.floor(endMs / 1000), nanos: (endMs % 1000) * 1e6 },
+            alternatives: [{ transcript: text, confidence: 0.8, words }]
+        }]
+    };
+}
+
+function createRecognizer(options) {
+    const client = createSpeechClient();
+    const recognizer = new ManagedRecognizer(client, { config: {} }, { replayMs: 500, reconnectMaxMs: 20, ...options });
+    const results = [];
+    recognizer.on('result', result => results.push(result));
+    return { client, recognizer, results };
+}
+
+test('opens a stream on the first write and sends it the audio', () => {
+    const { client, recognizer } = createRecognizer({ streamLimitMs: 60000 });
+    for (const chunk of chunks(3)) {
+        recognizer.write(chunk);
+    }
+
+    assert.equal(client.streams.length, 1);
+    assert.deepEqual(client.streams[0].bytes(), Buffer.concat(chunks(3)));
+    assert.equal(recognizer.getHealth().state, 'streaming');
+});
+
+test('rotates the stream at its limit and resends the audio without a final result', () => {
+    const { client, recognizer } = createRecognizer({ streamLimitMs: 1000 });
+    // Audio arriving faster than real time counts by its own length
+    for (const chunk of chunks(12)) {
+        recognizer.write(chunk);
+    }
+
+    assert.equal(client.streams.length, 2);
+    assert.ok(client.streams[0].ended);
+    assert.equal(recognizer.getHealth().rotations, 1);
+    // It rotated after the 10th chunk; the new stream gets the last 500 ms (replayMs) again
+    assert.deepEqual(client.streams[1].bytes(), Buffer.concat(chunks(12).slice(5)));
+});
+
+test('does not resend audio that already has a final result', () => {
+    const { client, recognizer } = createRecognizer({ streamLimitMs: 1000 });
+    const audio = chunks(12);
+    audio.slice(0, 9).forEach(chunk => recognizer.write(chunk));
+    // Everything up to 800 ms is final
+    client.streams[0].emit('data', finalResult('the deadline is friday', 800));
+    audio.slice(9).forEach(chunk => recognizer.write(chunk));
+
+    assert.equal(client.streams.length, 2);
+    assert.deepEqual(client.streams[1].bytes(), Buffer.concat(audio.slice(8)));
+});
+
+test('reconnects after an error with backoff and replays the audio written meanwhile', async () => {
+    const { client, recognizer } = createRecognizer({ streamLimitMs: 60000 });
+    const audio = chunks(6);
+    audio.slice(0, 3).forEach(chunk => recognizer.write(chunk));
+    client.streams[0].emit('error', Object.assign(new Error('socket hang up'), { code: 14 }));
+
+    assert.equal(recognizer.getHealth().state, 'reconnecting');
+    audio.slice(3).forEach(chunk => recognizer.write(chunk));
+    assert.equal(client.streams.length, 1);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const health = recognizer.getHealth();
+    assert.equal(client.streams.length, 2);
+    assert.equal(health.state, 'streaming');
+    assert.equal(health.errors, 1);
+    assert.equal(health.lastError, 'socket hang up');
+    assert.deepEqual(client.streams[1].bytes(), Buffer.concat(audio.slice(1)));
+});
+
+test('rotates without counting an error when the stream runs past its limit', () => {
+    const { client, recognizer } = createRecognizer({ streamLimitMs: 60000 });
+    recognizer.write(chunks(1)[0]);
+    client.streams[0].emit('error', Object.assign(new Error('Exceeded maximum allowed stream duration'), { code: 11 }));
+    recognizer.write(chunks(1, 1)[0]);
+
+    const health = recognizer.getHealth();
+    assert.equal(client.streams.length, 2);
+    assert.equal(health.errors, 0);
+    assert.equal(health.rotations, 1);
+});
+
+test('flush() ends the stream and lets its last results arrive', async () => {
+    const { client, recognizer, results } = createRecognizer({ streamLimitMs: 60000 });
+    chunks(3).forEach(chunk => recognizer.write(chunk));
+    recognizer.flush();
+    client.streams[0].emit('data', finalResult('see you friday', 300));
+    recognizer.write(chunks(1, 3)[0]);
+
+    assert.ok(client.streams[0].ended);
+    assert.deepEqual(results.map(result => result.text), ['see you friday']);
+    // A fresh utterance: nothing is replayed
+    assert.deepEqual(client.streams[1].bytes(), chunks(1, 3)[0]);
+
+    await new Promise(resolve => recognizer.end(resolve));
+    assert.equal(recognizer.getHealth().state, 'closed');
+});
+
+test('labels final results with the speaker of most words, scoped to the stream', () => {
+    const { client, recognizer, results } = createRecognizer({ streamLimitMs: 60000 });
+    recognizer.write(chunks(1)[0]);
+    const words = [{ speakerTag: 2 }, { speakerTag: 2 }, { speakerTag: 1 }];
+    client.streams[0].emit('data', finalResult('what is the deadline', 100, words));
+
+    assert.deepEqual(results, [{
+        text: 'what is the deadline',
+        confidence: 0.8,
+        isFinal: true,
+        speakerLabel: 'Speaker 2',
+        speakerId: '1:2'
+    }]);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RosterService = require('../../src/services/RosterService');
+const AudioService = require('../../src/services/AudioService');
+const SttProvider = require('../../src/services/stt/SttProvider');
+
+// QueryService creates its OpenAI client up front; nothing here calls it
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+const MeetAgent = require('../../src/MeetAgent');
+
+/**
+ * Roster whose page shows the given people speaking on each show() call
+ */
+function createRoster(options) {
+    const roster = new RosterService(options);
+    let speaking = [];
+    roster.platform = {
+        readRoster: async () => ({
+            participants: [{ id: 'a', name: 'Alice' }, { id: 'b', name: 'Bob' }],
+            activeSpeakers: speaking
+        })
+    };
+    const show = async names => {
+        speaking = names;
+        await roster.poll();
+    };
+    return { roster, show };
+}
+
+test('attributes an utterance to whoever the page showed speaking most', async () => {
+    const { roster, show } = createRoster();
+    await show(['Alice']);
+    await show(['Bob']);
+    await show(['Bob']);
+    await show([]);
+
+    assert.equal(roster.getLikelySpeaker(), 'Bob');
+});
+
+test('names a diarized voice by votes, so one misattribution does not rename it', async () => {
+    const { roster, show } = createRoster({ speakerWindowMs: 20 });
+    await show(['Alice']);
+    assert.equal(roster.nameForSpeaker('1:1'), 'Alice');
+    assert.equal(roster.nameForSpeaker('1:1'), 'Alice');
+
+    // Later Bob's highlight shows while voice 1 talks once
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await show(['Bob']);
+    assert.equal(roster.nameForSpeaker('1:1'), 'Alice');
+    // Another stream's voice 1 is someone else
+    assert.equal(roster.nameForSpeaker('2:1'), 'Bob');
+});
+
+test('passes diarization labels on only when each stream can span several utterances', () => {
+    const result = { text: 'what is the deadline', confidence: 0.9, isFinal: true, speakerLabel: 'Speaker 2', speakerId: '1:2' };
+    const details = vad => {
+        const service = new AudioService({ vad });
+        service.sttProvider = new SttProvider({ languageCode: 'en-US' });
+        let received = null;
+        service.handleResult(result, (text, confidence, isFinal, callbackDetails) => {
+            received = callbackDetails;
+        });
+        return received;
+    };
+
+    assert.deepEqual(details(false), { languageCode: 'en-US', speakerLabel: 'Speaker 2', speakerId: '1:2' });
+    // With voice activity detection every utterance has its own stream and labels
+    assert.deepEqual(details(true), { languageCode: 'en-US' });
+});
+
+test('the agent prefers the named speaker, then the diarized voice, then the roster guess', async t => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meet-agent-speakers-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    const agent = new MeetAgent({ dataDir, replay: { transcriptFile: 'unused.txt', speed: 0 } });
+    const queries = [];
+    agent.queryService.processQuery = async (text, context, options) => {
+        queries.push({ text, speaker: options.speaker, speakerLabel: options.speakerLabel });
+        return null;
+    };
+    const roster = agent.browserService.roster;
+    roster.nameForSpeaker = speakerId => (speakerId === '1:2' ? 'Bob' : null);
+    roster.getLikelySpeaker = () => 'Alice';
+
+    await agent.handleTranscript('from captions', 1, true, { speaker: 'Carol' });
+    await agent.handleTranscript('diarized', 0.9, true, { speakerLabel: 'Speaker 2', speakerId: '1:2' });
+    await agent.handleTranscript('unknown voice', 0.9, true, { speakerLabel: 'Speaker 3', speakerId: '1:3' });
+    await agent.handleTranscript('no labels', 0.9, true, {});
+    await agent.handleTranscript('still talking', 0, false, {});
+
+    assert.deepEqual(queries, [
+        { text: 'from captions', speaker: 'Carol', speakerLabel: null },
+        { text: 'diarized', speaker: 'Bob', speakerLabel: 'Speaker 2' },
+        { text: 'unknown voice', speaker: 'Alice', speakerLabel: 'Speaker 3' },
+        { text: 'no labels', speaker: 'Alice', speakerLabel: null }
+    ]);
+    const log = fs.readFileSync(path.join(dataDir, 'query', 'query.txt'), 'utf8');
+    assert.match(log, /\[speaker: Bob\] \[label: Speaker 2\]\ndiarized/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const VoiceActivityDetector = require('../../src/services/VoiceActivityDetector');
+
+const SAMPLES_PER_MS = 16;
+
+/**
+ * 16 kHz s16le audio: a 440 Hz tone at the given amplitude, or faint hiss at 0
+ */
+function pcm(ms, amplitude) {
+    const samples = ms * SAMPLES_PER_MS;
+    const buffer = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        const value = amplitude
+            ? Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / 16000))
+            : (i % 2 ? 20 : -20);
+        buffer.writeInt16LE(value, i * 2);
+    }
+    return buffer;
+}
+
+const speech = ms => pcm(ms, 8000);
+const quiet = ms => pcm(ms, 0);
+
+/**
+ * Write the pieces in 100 ms chunks and collect the detector's events
+ */
+async function detect(pieces, options = {}) {
+    const vad = new VoiceActivityDetector({ thresholdDb: -45, paddingMs: 300, hangoverMs: 600, minSpeechMs: 90, ...options });
+    const events = [];
+    let audioBytes = 0;
+    vad.on('speech-start', event => events.push({ type: 'speech-start', paddingBytes: event.audio.length }));
+    vad.on('audio', chunk => {
+        audioBytes += chunk.length;
+    });
+    vad.on('speech-end', event => events.push({ type: 'speech-end', durationMs: event.durationMs }));
+
+    const audio = Buffer.concat(pieces);
+    const chunk = 100 * SAMPLES_PER_MS * 2;
+    for (let offset = 0; offset < audio.length; offset += chunk) {
+        vad.write(audio.subarray(offset, offset + chunk));
+    }
+    await new Promise(resolve => vad.end(resolve));
+    return { events, audioBytes };
+}
+
+test('levelDb measures frames in dBFS', () => {
+    assert.equal(VoiceActivityDetector.levelDb(Buffer.alloc(960)), -Infinity);
+    // A full-scale sine is 3 dB below a full-scale square wave
+    assert.ok(Math.abs(VoiceActivityDetector.levelDb(pcm(30, 32767)) + 3) < 0.1);
+});
+
+test('passes nothing on while it is quiet', async () => {
+    const { events, audioBytes } = await detect([quiet(2000)]);
+    assert.deepEqual(events, []);
+    assert.equal(audioBytes, 0);
+});
+
+test('opens speech with the padding from before it and closes it after the hangover', async () => {
+    const { events, audioBytes } = await detect([quiet(1000), speech(1200), quiet(1500)]);
+
+    assert.deepEqual(events.map(event => event.type), ['speech-start', 'speech-end']);
+    // Padding covers paddingMs plus the loud audio that started speech
+    assert.equal(events[0].paddingBytes, Math.ceil(390 / 30) * 30 * SAMPLES_PER_MS * 2);
+    // The rest of the speech and the hangover go out as audio
+    const durationMs = events[1].durationMs;
+    assert.ok(durationMs >= 1200 + 600 - 60 && durationMs <= 1200 + 600 + 60, `duration ${durationMs}ms`);
+    assert.equal(audioBytes, (durationMs - 90) * SAMPLES_PER_MS * 2);
+});
+
+test('ignores sounds shorter than minSpeechMs', async () => {
+    // Two whole 30 ms frames
+    const { events } = await detect([quiet(990), speech(60), quiet(1000)]);
+    assert.deepEqual(events, []);
+});
+
+test('keeps one utterance across pauses shorter than the hangover', async () => {
+    const { events } = await detect([quiet(500), speech(500), quiet(300), speech(500), quiet(1000)]);
+    assert.deepEqual(events.map(event => event.type), ['speech-start', 'speech-end']);
+});
+
+test('ends speech that is still open when the input ends', async () => {
+    const { events } = await detect([quiet(500), speech(1000)]);
+    assert.deepEqual(events.map(event => event.type), ['speech-start', 'speech-end']);
+});